@@ -0,0 +1,83 @@
+/**
+ * Attributes scraper module
+ * Opens the About tab of a place and reads its attributes
+ * (accessibility, service options, amenities, ...)
+ */
+
+import { SELECTORS, TIMEOUTS } from './config/selectors.js';
+import { LOCALES } from './config/locales.js';
+import { cleanString } from './utils/validation.js';
+import { toCanonicalAttributeName } from './utils/locale.js';
+
+/**
+ * Extract attributes for the place currently open in the details panel
+ * Attributes Google marks as missing ("No dine-in") are kept with value false
+ * @param {import('playwright').Page} page - Page with business details open
+ * @param {Object} [locale] - Locale pack used to find the tab and read missing attributes
+ * @returns {Promise<Object|null>} - { [section]: { [attribute]: boolean } }, or null if there is no About tab
+ */
+export async function extractAttributes(page, locale = LOCALES.en) {
+    try {
+        const aboutTab = await page.$(locale.aboutTabSelector);
+        if (!aboutTab) {
+            console.log('  ℹ No About tab found');
+            return null;
+        }
+
+        await aboutTab.click({ timeout: 5000 });
+        await page.waitForSelector(SELECTORS.attributeSection, { timeout: TIMEOUTS.aboutLoad }).catch(() => {});
+
+        const rawSections = await page.$$eval(SELECTORS.attributeSection, (sections, selectors) => {
+            return sections.map(section => ({
+                title: section.querySelector(selectors.title)?.textContent?.trim() || null,
+                items: Array.from(section.querySelectorAll(selectors.item)).map(item => ({
+                    label: item.textContent?.trim() || null,
+                    ariaLabel: item.querySelector('[aria-label]')?.getAttribute('aria-label') || null,
+                })),
+            }));
+        }, {
+            title: SELECTORS.attributeSectionTitle,
+            item: SELECTORS.attributeItem,
+        });
+
+        const attributes = cleanAttributes(rawSections, locale);
+        if (!attributes) {
+            console.log('  ℹ No attributes listed');
+            return null;
+        }
+
+        const count = Object.values(attributes).reduce((sum, section) => sum + Object.keys(section).length, 0);
+        console.log(`  ✓ Extracted ${count} attributes in ${Object.keys(attributes).length} sections`);
+        return attributes;
+
+    } catch (error) {
+        console.log(`  ✗ Attribute extraction failed: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Turn raw About tab sections into { section: { attribute: available } }
+ * Section and attribute names the locale pack lists are translated to English
+ * @param {Array} rawSections
+ * @param {Object} [locale] - Locale pack the names and aria-labels are worded in
+ */
+export function cleanAttributes(rawSections, locale = LOCALES.en) {
+    const attributes = {};
+
+    for (const section of rawSections || []) {
+        const title = cleanString(section.title);
+        if (!title) continue;
+        const sectionName = toCanonicalAttributeName(title, locale);
+
+        for (const item of section.items || []) {
+            const label = cleanString(item.label);
+            if (!label) continue;
+
+            const available = !locale.missingAttribute.test(item.ariaLabel || '');
+            (attributes[sectionName] || (attributes[sectionName] = {}))[toCanonicalAttributeName(label, locale)] = available;
+        }
+    }
+
+    return Object.keys(attributes).length > 0 ? attributes : null;
+}
@@ -0,0 +1,98 @@
+/**
+ * Block detection module
+ * Recognizes the pages Google serves instead of Maps when it throttles a proxy
+ */
+
+import { SessionError } from 'crawlee';
+import { SELECTORS, BLOCK_PATTERNS } from './config/selectors.js';
+import { isValidBusinessName } from './utils/validation.js';
+
+/**
+ * Thrown when a block page is detected
+ * Extends SessionError so Crawlee retires the session (and its proxy) before retrying
+ */
+export class BlockedError extends SessionError {
+    constructor(reason) {
+        super();
+        this.message = `Blocked by Google (${reason})`;
+        this.name = 'BlockedError';
+        this.reason = reason;
+    }
+}
+
+/**
+ * Check whether the page is a block page rather than Google Maps
+ * @param {import('playwright').Page} page - Page after navigation (and consent dismissal)
+ * @param {Object} [options]
+ * @param {boolean} [options.expectPlace] - The page should show a single place; a
+ *   localized "Results" heading means Google served something else
+ * @returns {Promise<string|null>} - Block reason, or null if the page looks fine
+ */
+export async function detectBlock(page, options = {}) {
+    const { expectPlace = false } = options;
+
+    const url = page.url();
+    if (BLOCK_PATTERNS.sorryUrl.test(url)) {
+        return 'unusual_traffic';
+    }
+    if (BLOCK_PATTERNS.consentUrl.test(url)) {
+        return 'consent_wall';
+    }
+
+    try {
+        if (await page.$(BLOCK_PATTERNS.captchaFrame) || await page.$(BLOCK_PATTERNS.captchaForm)) {
+            return 'captcha';
+        }
+
+        const bodyText = await page.evaluate(() => document.body?.innerText?.substring(0, 2000) || '');
+        if (BLOCK_PATTERNS.unusualTraffic.test(bodyText)) {
+            return 'unusual_traffic';
+        }
+
+        if (expectPlace) {
+            const heading = await page.$eval(SELECTORS.businessNameAlt, el => el.textContent).catch(() => null)
+                ?? await page.$eval('h1', el => el.textContent).catch(() => null);
+            if (heading && !isValidBusinessName(heading)) {
+                return 'results_placeholder';
+            }
+        }
+    } catch (error) {
+        // Page may be mid-navigation; treat as not blocked and let extraction decide
+    }
+
+    return null;
+}
+
+/**
+ * Remove the password from a proxy URL so it can be logged and stored
+ */
+export function maskProxyUrl(proxyUrl) {
+    if (!proxyUrl) return 'direct';
+
+    try {
+        const url = new URL(proxyUrl);
+        if (url.password) {
+            url.password = '***';
+        }
+        return url.toString().replace(/\/$/, '');
+    } catch (error) {
+        return 'unknown';
+    }
+}
+
+/**
+ * Group block events by proxy for the run report
+ * @param {Array<{proxy: string, reason: string}>} blockEvents
+ * @returns {{total: number, byProxy: Object}} - Counts per proxy, split by reason
+ */
+export function summarizeBlockEvents(blockEvents) {
+    const byProxy = {};
+
+    for (const event of blockEvents) {
+        const entry = byProxy[event.proxy] || (byProxy[event.proxy] = { total: 0, reasons: {} });
+        entry.total++;
+        entry.reasons[event.reason] = (entry.reasons[event.reason] || 0) + 1;
+    }
+
+    return { total: blockEvents.length, byProxy };
+}
@@ -0,0 +1,481 @@
+/**
+ * Locale packs for non-English Google Maps interfaces
+ * Each pack holds the words Google uses in aria-labels for one interface language (hl),
+ * so the scraper can read ratings, review counts, hours, price levels, the Reviews and
+ * About tabs, attribute names, photos, popular times and review dates in that language
+ * Note: Labels may change as Google updates their UI
+ * Last verified: October 2025
+ */
+
+import { SELECTORS, ARIA_PATTERNS } from './selectors.js';
+
+/**
+ * Build the selectors and patterns shared by every pack from its words
+ */
+function buildPack(pack) {
+    const { ratingWord, reviewsWord, reviewsTabLabel, sortReviewsLabel, aboutTabLabel, photosWord, ownerPhotosLabel } = pack;
+
+    return {
+        ...pack,
+        ratingSelector: `span[role="img"][aria-label*="${ratingWord}"]`,
+        reviewCountSelector: `span[aria-label*="${reviewsWord}"]`,
+        reviewsTabSelector: `button[role="tab"][aria-label*="${reviewsTabLabel}"]`,
+        reviewsSortSelector: `button[aria-label*="${sortReviewsLabel}"], button[data-value="Sort"]`,
+        aboutTabSelector: `button[role="tab"][aria-label*="${aboutTabLabel}"]`,
+        photoCountSelector: `[aria-label*="${photosWord}" i]`,
+        galleryOwnerTabSelector: `button[role="tab"][aria-label*="${ownerPhotosLabel}"]`,
+        // Decimal comma ("4,5 Sterne") and dot, space or comma thousands ("1.234", "1 234")
+        rating: new RegExp(`(\\d+(?:[.,]\\d+)?)\\s+${ratingWord}`, 'i'),
+        reviews: new RegExp(`(\\d[\\d.,\\s\\u00a0\\u202f]*?)\\s+${reviewsWord}`, 'i'),
+        photos: new RegExp(`(\\d[\\d.,\\s\\u00a0\\u202f]*?)\\s+${photosWord}`, 'i'),
+    };
+}
+
+export const LOCALES = {
+    en: {
+        acceptLanguage: 'en-US,en;q=0.9',
+        ratingSelector: SELECTORS.ratingSpan,
+        reviewCountSelector: SELECTORS.reviewCount,
+        rating: ARIA_PATTERNS.rating,
+        reviews: ARIA_PATTERNS.reviews,
+        days: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
+        copyHoursLabel: 'Copy open hours',
+        closed: 'Closed',
+        open24Hours: 'Open 24 hours',
+        permanentlyClosed: 'Permanently closed',
+        temporarilyClosed: 'Temporarily closed',
+        opensSoon: 'Opens soon',
+        noReviews: 'No reviews',
+        priceLevels: ['Inexpensive', 'Moderate', 'Expensive', 'Very Expensive'],
+        reviewsTabSelector: SELECTORS.reviewsTab,
+        reviewsSortSelector: SELECTORS.reviewsSortButton,
+        aboutTabSelector: SELECTORS.aboutTab,
+        photoCountSelector: SELECTORS.photoCountLabel,
+        galleryOwnerTabSelector: SELECTORS.galleryOwnerTab,
+        photos: ARIA_PATTERNS.photos,
+        missingAttribute: ARIA_PATTERNS.missingAttribute,
+        resultsHeading: 'Results',
+        resultsForLabel: 'Results for',
+        // About tab section and attribute names by their English name; English needs none
+        attributeNames: {},
+        busyAtHour: ARIA_PATTERNS.busyAtHour,
+        liveBusyness: ARIA_PATTERNS.liveBusyness,
+        timeSpent: ARIA_PATTERNS.timeSpent,
+        // Text of the hours button when it has no data-item-id ("See more hours", "Open ⋅ Closes 5 PM")
+        hoursButtonWords: ['hours'],
+        openStatusWords: ['open', 'close'],
+        // Review dates ("2 months ago", "Edited a week ago")
+        relativeDate: /^(?:edited\s+)?(?<amount>an?|one|\d+)\s+(?<unit>\p{L}+)\s+ago$/iu,
+        timeUnits: {
+            minute: ['minute', 'minutes'],
+            hour: ['hour', 'hours'],
+            day: ['day', 'days'],
+            week: ['week', 'weeks'],
+            month: ['month', 'months'],
+            year: ['year', 'years'],
+        },
+    },
+    de: buildPack({
+        acceptLanguage: 'de-DE,de;q=0.9',
+        ratingWord: 'Stern',
+        reviewsWord: 'Rezension',
+        days: ['Sonntag', 'Montag', 'Dienstag', 'Mittwoch', 'Donnerstag', 'Freitag', 'Samstag'],
+        copyHoursLabel: 'Öffnungszeiten kopieren',
+        closed: 'Geschlossen',
+        open24Hours: '24 Stunden geöffnet',
+        permanentlyClosed: 'Dauerhaft geschlossen',
+        temporarilyClosed: 'Vorübergehend geschlossen',
+        opensSoon: 'Eröffnet bald',
+        noReviews: 'Keine Rezensionen',
+        priceLevels: ['Günstig', 'Mittelteuer', 'Teuer', 'Sehr teuer'],
+        reviewsTabLabel: 'Rezensionen',
+        sortReviewsLabel: 'Rezensionen sortieren',
+        aboutTabLabel: 'Info',
+        photosWord: 'Foto',
+        ownerPhotosLabel: 'Vom Inhaber',
+        missingAttribute: /^(Kein|Keine|Keinen|Nicht)\s/i,
+        resultsHeading: 'Ergebnisse',
+        resultsForLabel: 'Ergebnisse für',
+        attributeNames: {
+            Accessibility: 'Barrierefreiheit',
+            'Service options': 'Serviceoptionen',
+            Highlights: 'Highlights',
+            Offerings: 'Angebote',
+            Amenities: 'Ausstattung',
+            Atmosphere: 'Ambiente',
+            Crowd: 'Publikum',
+            Planning: 'Planung',
+            Payments: 'Zahlungen',
+            Children: 'Kinder',
+            Parking: 'Parken',
+            Pets: 'Haustiere',
+            'From the business': 'Vom Unternehmen',
+            'Dine-in': 'Essen vor Ort',
+            Takeout: 'Zum Mitnehmen',
+            Delivery: 'Lieferung',
+            'Wheelchair-accessible entrance': 'Rollstuhlgerechter Eingang',
+            'Wheelchair-accessible restroom': 'Rollstuhlgerechte Toilette',
+            'Wheelchair-accessible parking lot': 'Rollstuhlgerechter Parkplatz',
+            Restroom: 'Toilette',
+            'Free Wi-Fi': 'Kostenloses WLAN',
+            'Credit cards': 'Kreditkarten',
+            'Debit cards': 'Debitkarten',
+            'NFC mobile payments': 'Mobile NFC-Zahlungen',
+            'Appointment required': 'Termin erforderlich',
+            'Accepts reservations': 'Reservierungen möglich',
+            'Good for kids': 'Gut für Kinder geeignet',
+            'Outdoor seating': 'Sitzplätze im Freien',
+            'LGBTQ+ friendly': 'LGBTQ+-freundlich',
+            'Dogs allowed': 'Hunde erlaubt',
+        },
+        busyAtHour: /Um\s+(?<hour>\d{1,2})\s+Uhr\s+zu\s+(?<busyness>\d+)\s*%\s+ausgelastet/i,   // "Um 18 Uhr zu 45 % ausgelastet."
+        liveBusyness: /Derzeit zu\s+(?<busyness>\d+)\s*%\s+ausgelastet(?:.*?normal\D*(?<usual>\d+)\s*%)?/i,
+        timeSpent: /Kunden verbringen hier normalerweise\s+(?<duration>[^\n]+?)\.?(?:\n|$)/i,
+        hoursButtonWords: ['öffnungszeiten'],
+        openStatusWords: ['geöffnet', 'öffnet', 'geschlossen', 'schließt'],
+        relativeDate: /^(?:bearbeitet:?\s+)?vor\s+(?<amount>ein(?:e[mnr]?)?|\d+)\s+(?<unit>\p{L}+)$/iu,
+        timeUnits: {
+            minute: ['Minute', 'Minuten'],
+            hour: ['Stunde', 'Stunden'],
+            day: ['Tag', 'Tagen'],
+            week: ['Woche', 'Wochen'],
+            month: ['Monat', 'Monaten'],
+            year: ['Jahr', 'Jahren'],
+        },
+    }),
+    fr: buildPack({
+        acceptLanguage: 'fr-FR,fr;q=0.9',
+        ratingWord: 'étoile',
+        reviewsWord: 'avis',
+        days: ['dimanche', 'lundi', 'mardi', 'mercredi', 'jeudi', 'vendredi', 'samedi'],
+        copyHoursLabel: 'Copier les horaires',
+        closed: 'Fermé',
+        open24Hours: 'Ouvert 24h/24',
+        permanentlyClosed: 'Fermé définitivement',
+        temporarilyClosed: 'Fermé temporairement',
+        opensSoon: 'Ouvre bientôt',
+        noReviews: 'Aucun avis',
+        priceLevels: ['Bon marché', 'Prix modérés', 'Cher', 'Très cher'],
+        reviewsTabLabel: 'Avis',
+        sortReviewsLabel: 'Trier les avis',
+        aboutTabLabel: 'À propos',
+        photosWord: 'photo',
+        ownerPhotosLabel: 'Du propriétaire',
+        missingAttribute: /^(Pas\s|Sans\s|Ne\s|N['’])/i,
+        resultsHeading: 'Résultats',
+        resultsForLabel: 'Résultats pour',
+        attributeNames: {
+            Accessibility: 'Accessibilité',
+            'Service options': 'Options de service',
+            Highlights: 'Points forts',
+            Offerings: 'Offre',
+            Amenities: 'Équipements',
+            Atmosphere: 'Ambiance',
+            Crowd: 'Clientèle',
+            Planning: 'Planning',
+            Payments: 'Paiements',
+            Children: 'Enfants',
+            Parking: 'Parking',
+            Pets: 'Animaux de compagnie',
+            'Dine-in': 'Repas sur place',
+            Takeout: 'Vente à emporter',
+            Delivery: 'Livraison',
+            'Wheelchair-accessible entrance': 'Entrée accessible en fauteuil roulant',
+            'Wheelchair-accessible restroom': 'Toilettes accessibles en fauteuil roulant',
+            'Wheelchair-accessible parking lot': 'Parking accessible en fauteuil roulant',
+            Restroom: 'Toilettes',
+            'Free Wi-Fi': 'Wi-Fi gratuit',
+            'Credit cards': 'Cartes de crédit',
+            'Debit cards': 'Cartes de débit',
+            'NFC mobile payments': 'Paiements mobiles NFC',
+            'Appointment required': 'Rendez-vous requis',
+            'Accepts reservations': 'Accepte les réservations',
+            'Good for kids': 'Adapté aux enfants',
+            'Outdoor seating': 'Places assises en extérieur',
+            'LGBTQ+ friendly': 'LGBTQ+ friendly',
+            'Dogs allowed': 'Chiens acceptés',
+        },
+        busyAtHour: /(?<busyness>\d+)\s*%.*?\sà\s+(?<hour>\d{1,2})\s*h/i,   // "Taux de fréquentation : 45 % à 18 h."
+        liveBusyness: /Actuellement\D*(?<busyness>\d+)\s*%(?:.*?habituellement\D*(?<usual>\d+)\s*%)?/i,
+        timeSpent: /Les clients restent généralement\s+(?<duration>[^\n]+?)(?:\s+ici)?\.?(?:\n|$)/i,
+        hoursButtonWords: ['horaires'],
+        openStatusWords: ['ouvert', 'ouvre', 'fermé', 'ferme'],
+        relativeDate: /^(?:modifié\s+)?il y a\s+(?<amount>une?|\d+)\s+(?<unit>\p{L}+)$/iu,
+        timeUnits: {
+            minute: ['minute', 'minutes'],
+            hour: ['heure', 'heures'],
+            day: ['jour', 'jours'],
+            week: ['semaine', 'semaines'],
+            month: ['mois'],
+            year: ['an', 'ans'],
+        },
+    }),
+    es: buildPack({
+        acceptLanguage: 'es-ES,es;q=0.9',
+        ratingWord: 'estrella',
+        reviewsWord: 'reseña',
+        days: ['domingo', 'lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábado'],
+        copyHoursLabel: 'Copiar el horario',
+        closed: 'Cerrado',
+        open24Hours: 'Abierto 24 horas',
+        permanentlyClosed: 'Cerrado permanentemente',
+        temporarilyClosed: 'Cerrado temporalmente',
+        opensSoon: 'Abre pronto',
+        noReviews: 'No hay reseñas',
+        priceLevels: ['Económico', 'Moderado', 'Caro', 'Muy caro'],
+        reviewsTabLabel: 'Reseñas',
+        sortReviewsLabel: 'Ordenar reseñas',
+        aboutTabLabel: 'Información',
+        photosWord: 'foto',
+        ownerPhotosLabel: 'Del propietario',
+        missingAttribute: /^(No|Sin)\s/i,
+        resultsHeading: 'Resultados',
+        resultsForLabel: 'Resultados de',
+        attributeNames: {
+            Accessibility: 'Accesibilidad',
+            'Service options': 'Opciones de servicio',
+            Highlights: 'Aspectos destacados',
+            Offerings: 'Oferta',
+            Amenities: 'Servicios',
+            Atmosphere: 'Ambiente',
+            Crowd: 'Público',
+            Planning: 'Planificación',
+            Payments: 'Pagos',
+            Children: 'Niños',
+            Parking: 'Aparcamiento',
+            Pets: 'Mascotas',
+            'Dine-in': 'Consumo en el local',
+            Takeout: 'Para llevar',
+            Delivery: 'Entrega a domicilio',
+            'Wheelchair-accessible entrance': 'Entrada accesible para personas en silla de ruedas',
+            'Wheelchair-accessible restroom': 'Baño accesible para personas en silla de ruedas',
+            'Wheelchair-accessible parking lot': 'Aparcamiento accesible para personas en silla de ruedas',
+            Restroom: 'Baño',
+            'Free Wi-Fi': 'Wi-Fi gratis',
+            'Credit cards': 'Tarjetas de crédito',
+            'Debit cards': 'Tarjetas de débito',
+            'NFC mobile payments': 'Pagos móviles mediante NFC',
+            'Appointment required': 'Se necesita cita previa',
+            'Accepts reservations': 'Acepta reservas',
+            'Good for kids': 'Apto para niños',
+            'Outdoor seating': 'Mesas al aire libre',
+            'LGBTQ+ friendly': 'Apto para el colectivo LGBTQ+',
+            'Dogs allowed': 'Se admiten perros',
+        },
+        busyAtHour: /(?<busyness>\d+)\s*%.*?a las\s+(?<hour>\d{1,2})/i,   // "Ocupación del 45 % a las 18."
+        liveBusyness: /actual\D*(?<busyness>\d+)\s*%(?:.*?normalmente\D*(?<usual>\d+)\s*%)?/i,
+        timeSpent: /La gente suele pasar\s+(?<duration>[^\n]+?)\s+aquí/i,
+        hoursButtonWords: ['horario'],
+        openStatusWords: ['abierto', 'abre', 'cerrado', 'cierra'],
+        relativeDate: /^(?:editado\s+)?hace\s+(?<amount>una?|\d+)\s+(?<unit>\p{L}+)$/iu,
+        timeUnits: {
+            minute: ['minuto', 'minutos'],
+            hour: ['hora', 'horas'],
+            day: ['día', 'días'],
+            week: ['semana', 'semanas'],
+            month: ['mes', 'meses'],
+            year: ['año', 'años'],
+        },
+    }),
+    it: buildPack({
+        acceptLanguage: 'it-IT,it;q=0.9',
+        ratingWord: 'stell',
+        reviewsWord: 'recension',
+        days: ['domenica', 'lunedì', 'martedì', 'mercoledì', 'giovedì', 'venerdì', 'sabato'],
+        copyHoursLabel: 'Copia orari',
+        closed: 'Chiuso',
+        open24Hours: 'Aperto 24 ore su 24',
+        permanentlyClosed: 'Chiuso definitivamente',
+        temporarilyClosed: 'Chiuso temporaneamente',
+        opensSoon: 'Apre a breve',
+        noReviews: 'Nessuna recensione',
+        priceLevels: ['Economico', 'Moderato', 'Costoso', 'Molto costoso'],
+        reviewsTabLabel: 'Recensioni',
+        sortReviewsLabel: 'Ordina recensioni',
+        aboutTabLabel: 'Informazioni',
+        photosWord: 'foto',
+        ownerPhotosLabel: 'Dal proprietario',
+        missingAttribute: /^(Non|Senza|Nessun[oa]?)\s/i,
+        resultsHeading: 'Risultati',
+        resultsForLabel: 'Risultati per',
+        attributeNames: {
+            Accessibility: 'Accessibilità',
+            'Service options': 'Opzioni di servizio',
+            Highlights: 'Punti salienti',
+            Offerings: 'Offerta',
+            Amenities: 'Servizi',
+            Atmosphere: 'Atmosfera',
+            Crowd: 'Clientela',
+            Planning: 'Pianificazione',
+            Payments: 'Pagamenti',
+            Children: 'Bambini',
+            Parking: 'Parcheggio',
+            Pets: 'Animali domestici',
+            'Dine-in': 'Consumazione sul posto',
+            Takeout: 'Da asporto',
+            Delivery: 'Consegna a domicilio',
+            'Wheelchair-accessible entrance': 'Ingresso accessibile in sedia a rotelle',
+            'Wheelchair-accessible restroom': 'Toilette accessibile in sedia a rotelle',
+            'Wheelchair-accessible parking lot': 'Parcheggio accessibile in sedia a rotelle',
+            Restroom: 'Toilette',
+            'Free Wi-Fi': 'Wi-Fi gratuito',
+            'Credit cards': 'Carte di credito',
+            'Debit cards': 'Carte di debito',
+            'NFC mobile payments': 'Pagamenti mobili NFC',
+            'Appointment required': 'Appuntamento obbligatorio',
+            'Accepts reservations': 'Accetta prenotazioni',
+            'Good for kids': 'Adatto ai bambini',
+            'Outdoor seating': 'Tavoli all\'aperto',
+            'LGBTQ+ friendly': 'LGBTQ+ friendly',
+            'Dogs allowed': 'Cani ammessi',
+        },
+        busyAtHour: /(?<busyness>\d+)\s*%\s+alle(?: ore)?\s+(?<hour>\d{1,2})/i,   // "Affollato al 45% alle ore 18."
+        liveBusyness: /Attualmente\D*(?<busyness>\d+)\s*%(?:.*?di solito\D*(?<usual>\d+)\s*%)?/i,
+        timeSpent: /Le persone trascorrono in genere\s+(?<duration>[^\n]+?)\s+qui/i,
+        hoursButtonWords: ['orari'],
+        openStatusWords: ['aperto', 'apre', 'chiuso', 'chiude'],
+        relativeDate: /^(?:modificato\s+)?(?<amount>una?|\d+)\s+(?<unit>\p{L}+)\s+fa$/iu,
+        timeUnits: {
+            minute: ['minuto', 'minuti'],
+            hour: ['ora', 'ore'],
+            day: ['giorno', 'giorni'],
+            week: ['settimana', 'settimane'],
+            month: ['mese', 'mesi'],
+            year: ['anno', 'anni'],
+        },
+    }),
+    nl: buildPack({
+        acceptLanguage: 'nl-NL,nl;q=0.9',
+        ratingWord: 'ster',
+        reviewsWord: 'review',
+        days: ['zondag', 'maandag', 'dinsdag', 'woensdag', 'donderdag', 'vrijdag', 'zaterdag'],
+        copyHoursLabel: 'Openingstijden kopiëren',
+        closed: 'Gesloten',
+        open24Hours: '24 uur geopend',
+        permanentlyClosed: 'Permanent gesloten',
+        temporarilyClosed: 'Tijdelijk gesloten',
+        opensSoon: 'Gaat binnenkort open',
+        noReviews: 'Geen reviews',
+        priceLevels: ['Goedkoop', 'Gemiddeld', 'Duur', 'Zeer duur'],
+        reviewsTabLabel: 'Reviews',
+        sortReviewsLabel: 'Reviews sorteren',
+        aboutTabLabel: 'Over',
+        photosWord: 'foto',
+        ownerPhotosLabel: 'Van eigenaar',
+        missingAttribute: /^(Geen|Niet)\s/i,
+        resultsHeading: 'Resultaten',
+        resultsForLabel: 'Resultaten voor',
+        attributeNames: {
+            Accessibility: 'Toegankelijkheid',
+            'Service options': 'Serviceopties',
+            Highlights: 'Hoogtepunten',
+            Offerings: 'Aanbod',
+            Amenities: 'Voorzieningen',
+            Atmosphere: 'Sfeer',
+            Crowd: 'Publiek',
+            Planning: 'Plannen',
+            Payments: 'Betalingen',
+            Children: 'Kinderen',
+            Parking: 'Parkeren',
+            Pets: 'Huisdieren',
+            'Dine-in': 'Ter plaatse eten',
+            Takeout: 'Afhalen',
+            Delivery: 'Bezorging',
+            'Wheelchair-accessible entrance': 'Rolstoeltoegankelijke ingang',
+            'Wheelchair-accessible restroom': 'Rolstoeltoegankelijk toilet',
+            'Wheelchair-accessible parking lot': 'Rolstoeltoegankelijke parkeerplaats',
+            Restroom: 'Toilet',
+            'Free Wi-Fi': 'Gratis wifi',
+            'Credit cards': 'Creditcards',
+            'Debit cards': 'Betaalpassen',
+            'NFC mobile payments': 'NFC-betalingen via mobiel',
+            'Appointment required': 'Afspraak vereist',
+            'Accepts reservations': 'Reserveren mogelijk',
+            'Good for kids': 'Geschikt voor kinderen',
+            'Outdoor seating': 'Zitplaatsen buiten',
+            'LGBTQ+ friendly': 'LGBTQ+-vriendelijk',
+            'Dogs allowed': 'Honden toegestaan',
+        },
+        busyAtHour: /Om\s+(?<hour>\d{1,2})(?::00)?(?:\s+uur)?\s+is het\s+(?<busyness>\d+)\s*%\s+druk/i,   // "Om 18:00 is het 45% druk."
+        liveBusyness: /Momenteel\s+(?<busyness>\d+)\s*%\s+druk(?:.*?normaal\s+(?<usual>\d+)\s*%)?/i,
+        timeSpent: /Mensen blijven hier meestal\s+(?<duration>[^\n]+?)\.?(?:\n|$)/i,
+        hoursButtonWords: ['openingstijden'],
+        openStatusWords: ['geopend', 'open', 'gesloten', 'sluit'],
+        relativeDate: /^(?:bewerkt\s+)?(?<amount>een|\d+)\s+(?<unit>\p{L}+)\s+geleden$/iu,
+        timeUnits: {
+            minute: ['minuut', 'minuten'],
+            hour: ['uur'],
+            day: ['dag', 'dagen'],
+            week: ['week', 'weken'],
+            month: ['maand', 'maanden'],
+            year: ['jaar'],
+        },
+    }),
+    pt: buildPack({
+        acceptLanguage: 'pt-BR,pt;q=0.9',
+        ratingWord: 'estrela',
+        reviewsWord: 'avaliaç',
+        days: ['domingo', 'segunda-feira', 'terça-feira', 'quarta-feira', 'quinta-feira', 'sexta-feira', 'sábado'],
+        copyHoursLabel: 'Copiar horário',
+        closed: 'Fechado',
+        open24Hours: 'Atendimento 24 horas',
+        permanentlyClosed: 'Fechado permanentemente',
+        temporarilyClosed: 'Fechado temporariamente',
+        opensSoon: 'Abre em breve',
+        noReviews: 'Nenhuma avaliação',
+        priceLevels: ['Barato', 'Moderado', 'Caro', 'Muito caro'],
+        reviewsTabLabel: 'Avaliações',
+        sortReviewsLabel: 'Ordenar avaliações',
+        aboutTabLabel: 'Sobre',
+        photosWord: 'foto',
+        ownerPhotosLabel: 'Do proprietário',
+        missingAttribute: /^(Não|Sem)\s/i,
+        resultsHeading: 'Resultados',
+        resultsForLabel: 'Resultados para',
+        attributeNames: {
+            Accessibility: 'Acessibilidade',
+            'Service options': 'Opções de serviço',
+            Highlights: 'Destaques',
+            Offerings: 'Ofertas',
+            Amenities: 'Comodidades',
+            Atmosphere: 'Ambiente',
+            Crowd: 'Público',
+            Planning: 'Planejamento',
+            Payments: 'Pagamentos',
+            Children: 'Crianças',
+            Parking: 'Estacionamento',
+            Pets: 'Animais de estimação',
+            'Dine-in': 'Refeição no local',
+            Takeout: 'Para viagem',
+            Delivery: 'Entrega',
+            'Wheelchair-accessible entrance': 'Entrada acessível para cadeirantes',
+            'Wheelchair-accessible restroom': 'Banheiro acessível para cadeirantes',
+            'Wheelchair-accessible parking lot': 'Estacionamento acessível para cadeirantes',
+            Restroom: 'Banheiro',
+            'Free Wi-Fi': 'Wi-Fi gratuito',
+            'Credit cards': 'Cartões de crédito',
+            'Debit cards': 'Cartões de débito',
+            'NFC mobile payments': 'Pagamentos móveis por NFC',
+            'Appointment required': 'Requer agendamento',
+            'Accepts reservations': 'Aceita reservas',
+            'Good for kids': 'Bom para crianças',
+            'Outdoor seating': 'Mesas ao ar livre',
+            'LGBTQ+ friendly': 'LGBTQ+ friendly',
+            'Dogs allowed': 'Permite cães',
+        },
+        busyAtHour: /(?<busyness>\d+)\s*%.*?às\s+(?<hour>\d{1,2})/i,   // "45% de ocupação às 18 h."
+        liveBusyness: /Agora\D*(?<busyness>\d+)\s*%(?:.*?normalmente\D*(?<usual>\d+)\s*%)?/i,
+        timeSpent: /As pessoas costumam passar\s+(?<duration>[^\n]+?)\s+aqui/i,
+        hoursButtonWords: ['horário'],
+        openStatusWords: ['aberto', 'abre', 'fechado', 'fecha'],
+        relativeDate: /^(?:editado\s+)?há\s+(?<amount>uma?|\d+)\s+(?<unit>\p{L}+)$/iu,
+        timeUnits: {
+            minute: ['minuto', 'minutos'],
+            hour: ['hora', 'horas'],
+            day: ['dia', 'dias'],
+            week: ['semana', 'semanas'],
+            month: ['mês', 'meses'],
+            year: ['ano', 'anos'],
+        },
+    }),
+};
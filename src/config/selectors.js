@@ -10,8 +10,10 @@ export const SELECTORS = {
     feedContainer: 'div[role="feed"]',
 
     // Business listing cards in the sidebar
-    businessCard: 'div[role="feed"] > div > div > a',
+    businessCard: 'div[role="feed"] > div > div > a[href*="/maps/place/"]',
     businessLink: 'a[href*="/maps/place/"]',
+    cardInfoRow: 'div.W4Efsd',
+    cardWebsite: 'a[data-value="Website"], a.lcr4fd',
 
     // Business details (in expanded panel)
     businessName: 'h1[class*="fontHeadline"]',
@@ -39,10 +41,37 @@ export const SELECTORS = {
     categoryText: 'button[class*="DkEaL"]',
 
     // Price level (e.g., $, $$, $$$, $$$$)
-    // Price level has aria-label like "Expensive", "Moderate", "Inexpensive"
-    priceLevel: 'span[aria-label="Expensive"], span[aria-label="Moderate"], span[aria-label="Inexpensive"], span[aria-label="Very Expensive"]',
+    // Price level has aria-label like "Expensive", "Moderate", "Inexpensive" (see priceLevels in config/locales.js)
     priceLevelAlt: 'button span:has-text("$")',
 
+    // Reviews tab (opened only when review extraction is enabled)
+    reviewsTab: 'button[role="tab"][aria-label*="Reviews"]',
+    reviewsSortButton: 'button[aria-label*="Sort reviews"], button[data-value="Sort"]',
+    reviewsSortOption: 'div[role="menuitemradio"]',
+    reviewsScrollContainer: 'div.m6QErb.DxyBCb.kA9KIf.dS8AEf',
+    reviewItem: 'div.jftiEf[data-review-id]',
+    reviewerName: '.d4r55',
+    reviewStars: 'span.kvMYJc[role="img"]',
+    reviewDate: 'span.rsqaWe',
+    reviewText: 'span.wiI7pd',
+    reviewMoreButton: 'button.w8nwRe',
+    reviewPhoto: 'button.Tya61d',
+    ownerResponse: 'div.CDe7pd',
+    ownerResponseDate: 'span.DZSIDd',
+    ownerResponseText: 'div.wiI7pd',
+
+    // Photos (cover photo in the header, gallery opened by clicking it)
+    coverPhoto: 'button[jsaction*="heroHeaderImage"] img',
+    coverPhotoButton: 'button[jsaction*="heroHeaderImage"]',
+    photoCountLabel: '[aria-label*="photo"]',
+    galleryPhoto: 'a[data-photo-index] div[role="img"]',
+    galleryOwnerTab: 'button[role="tab"][aria-label*="By owner"]',
+
+    // Popular times (one histogram per day, Sunday first; rendered once scrolled into view)
+    popularTimesSection: 'div.C7xf8b',
+    popularTimesDay: 'div.C7xf8b div.g2BVhd',
+    popularTimesBar: 'div.dpoVLd[aria-label]',
+
     // Business hours
     hoursButton: 'button[data-item-id*="oh"]',
     hoursTable: 'table[aria-label*="Hours"]',
@@ -50,9 +79,20 @@ export const SELECTORS = {
 
     // Status (open/closed)
     businessStatus: 'span[class*="ZDu9vd"] span',
+    hoursSummaryText: 'button[data-item-id*="oh"] div[class*="fontBody"]',
+
+    // Reservation, ordering, menu and appointment links ("Reservations: opentable.com")
+    actionLink: 'a[data-item-id^="action:"], a[data-item-id="menu"], a[data-item-id^="reserv"]',
 
     // Additional info
     plusCode: 'button[data-item-id="oloc"]',
+    plusCodeText: 'button[data-item-id="oloc"] div[class*="fontBody"]',
+
+    // About tab (place attributes such as accessibility and service options)
+    aboutTab: 'button[role="tab"][aria-label*="About"]',
+    attributeSection: 'div.iP2t7d',
+    attributeSectionTitle: 'h2',
+    attributeItem: 'li.hpLkke',
 
     // Map/coordinates (from URL)
     coordinatesRegex: /@(-?\d+\.\d+),(-?\d+\.\d+)/,
@@ -72,6 +112,9 @@ export const SELECTORS = {
 
     // No results
     noResults: 'div[class*="GRfBxe"]',
+
+    // "You've reached the end of the list." marker at the bottom of the feed
+    endOfList: 'span.HlvSq',
 };
 
 /**
@@ -83,6 +126,33 @@ export const ARIA_PATTERNS = {
     phone: /Phone:\s*(.+)/i,
     address: /Address:\s*(.+)/i,
     website: /Website:\s*(.+)/i,
+    plusCode: /Plus code:\s*(.+)/i,
+    photos: /([\d,]+)\s+photos?\b/i,
+    busyAtHour: /(?<busyness>\d+)%\s+busy at\s+(?<hour>\d{1,2})\s*(?<meridiem>AM|PM)/i,   // "20% busy at 6 AM."
+    liveBusyness: /Currently\s+(?<busyness>\d+)%\s+busy(?:,\s*usually\s+(?<usual>\d+)%\s+busy)?/i,   // "Currently 45% busy, usually 60% busy."
+    timeSpent: /People typically spend\s+(?<duration>.+?)\s+here/i,   // "People typically spend 15 min to 1 hr here"
+    missingAttribute: /^(No|Not|Doesn't|Does not)\b/i,   // "No dine-in", "Doesn't have wheelchair-accessible seating"
+};
+
+/**
+ * Signs that Google served a block page instead of Maps
+ */
+export const BLOCK_PATTERNS = {
+    sorryUrl: /google\.[a-z.]+\/sorry\//i,          // "unusual traffic" interstitial (/sorry/index)
+    consentUrl: /consent\.google\.[a-z.]+/i,          // Consent wall that could not be dismissed
+    captchaFrame: 'iframe[src*="recaptcha"], iframe[title*="reCAPTCHA"]',
+    captchaForm: '#captcha-form, div.g-recaptcha',
+    unusualTraffic: /unusual traffic|ungewöhnlichen Datenverkehr|trafic exceptionnel|tráfico inusual|traffico insolito/i,
+};
+
+/**
+ * Review sort options and their position in the "Sort reviews" menu
+ */
+export const REVIEW_SORT_OPTIONS = {
+    mostRelevant: 0,
+    newest: 1,
+    highestRating: 2,
+    lowestRating: 3,
 };
 
 /**
@@ -92,9 +162,17 @@ export const TIMEOUTS = {
     navigation: 60000,       // 60 seconds for page load (proxies can be slow)
     sidebarLoad: 15000,      // 15 seconds for sidebar to appear (increased for proxies)
     businessDetails: 3000,   // 3 seconds for details panel
+    placeLoad: 15000,        // 15 seconds for a place page to show its name
+    reviewsLoad: 2000,       // 2 seconds for reviews tab / sort change
+    aboutLoad: 1500,         // 1.5 seconds for the About tab
+    galleryLoad: 2000,       // 2 seconds for the photo gallery / a gallery tab
+    popularTimesLoad: 1500,  // 1.5 seconds for popular times to render after scrolling
     scrollWait: 2000,        // 2 seconds after scroll
     humanDelay: 1500,        // Average human interaction delay
     emailFinder: 10000,      // 10 seconds per website visit
+    websitePage: 5000,       // 5 seconds per further page or sitemap of a website
+    dnsLookup: 5000,         // 5 seconds per DNS query when verifying emails
+    smtpProbe: 10000,        // 10 seconds per SMTP reply when verifying emails
 };
 
 /**
@@ -103,4 +181,24 @@ export const TIMEOUTS = {
 export const RETRY_CONFIG = {
     maxRetries: 3,
     retryDelay: 2000,        // 2 seconds between retries
+    websiteMaxRetries: 1,    // Business websites are often just slow or down
+};
+
+/**
+ * Website crawl budget for email lookups (per site)
+ */
+export const WEBSITE_CRAWL = {
+    maxPages: 5,             // Pages visited, home page included
+    maxDepth: 2,             // Clicks away from the home page (sitemap pages count as one)
+    timeBudgetSecs: 30,      // Time for the whole site, sitemap included
+    maxSitemaps: 2,          // Child sitemaps read from a sitemap index
+};
+
+/**
+ * Crawler configuration
+ */
+export const CRAWLER_CONFIG = {
+    maxConcurrency: 5,               // Parallel pages (search, place and website)
+    requestHandlerTimeoutSecs: 300,  // Scrolling a long results feed takes a while
+    maxHeldResults: 200,             // Businesses held back in multi-query runs until later searches could tag them
 };
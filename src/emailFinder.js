@@ -1,18 +1,21 @@
 /**
  * Email finder module
- * Extracts email addresses from business websites
+ * Extracts email addresses and social profile links from business websites
  */
 
-import { extractEmailsFromHTML, prioritizeEmails } from './utils/validation.js';
-import { TIMEOUTS } from './config/selectors.js';
+import { extractEmailDetailsFromHTML } from './utils/validation.js';
+import { collectSocialProfiles } from './utils/socialProfiles.js';
+import { getRegistrableDomain, normalizePageUrl, rankCandidatePages, parseSitemap } from './utils/websiteCrawl.js';
+import { TIMEOUTS, WEBSITE_CRAWL } from './config/selectors.js';
 
 /**
  * Find email on a business website
  * @param {string} websiteUrl - The business website URL
  * @param {import('playwright').Browser} browser - Playwright browser instance
- * @returns {Promise<{email: string, source: string} | null>}
+ * @param {Object} [options] - Crawl budget, see findEmailsOnPage
+ * @returns {Promise<{emails: string[], emailDetails: Object[], source: string, socialProfiles: Object} | null>} - See findEmailsOnPage
  */
-export async function findEmailOnWebsite(websiteUrl, browser) {
+export async function findEmailOnWebsite(websiteUrl, browser, options = {}) {
     if (!websiteUrl) return null;
 
     let context = null;
@@ -37,50 +40,7 @@ export async function findEmailOnWebsite(websiteUrl, browser) {
             timeout: TIMEOUTS.emailFinder,
         });
 
-        // Collect all unique emails from all pages
-        const allEmails = new Set();
-
-        // Get main page content
-        let pageContent = await page.content();
-        let emails = extractEmailsFromHTML(pageContent);
-
-        if (emails.length > 0) {
-            emails.forEach(email => allEmails.add(email));
-            console.log(`  ✓ Found ${emails.length} email(s) on main page`);
-        }
-
-        // Try contact/about pages for additional emails
-        const contactLinks = await findContactPages(page);
-
-        for (const link of contactLinks.slice(0, 2)) { // Only check first 2 contact pages
-            try {
-                console.log(`  Checking contact page: ${link}`);
-                await page.goto(link, {
-                    waitUntil: 'domcontentloaded',
-                    timeout: 5000, // Shorter timeout for secondary pages
-                });
-
-                pageContent = await page.content();
-                emails = extractEmailsFromHTML(pageContent);
-
-                if (emails.length > 0) {
-                    emails.forEach(email => allEmails.add(email));
-                    console.log(`  ✓ Found ${emails.length} email(s) on contact page`);
-                }
-            } catch (error) {
-                // Silently continue if contact page fails
-                console.log(`  ✗ Failed to load contact page: ${link}`);
-            }
-        }
-
-        if (allEmails.size > 0) {
-            const emailArray = Array.from(allEmails);
-            console.log(`  ✓ Total unique emails found: ${emailArray.length}`);
-            return { emails: emailArray, source: 'website' };
-        }
-
-        console.log(`  ✗ No email found on ${websiteUrl}`);
-        return null;
+        return await findEmailsOnPage(page, websiteUrl, options);
 
     } catch (error) {
         console.log(`  ✗ Error finding email on ${websiteUrl}: ${error.message}`);
@@ -97,93 +57,193 @@ export async function findEmailOnWebsite(websiteUrl, browser) {
 }
 
 /**
- * Find contact/about page links on the current page
- * @param {import('playwright').Page} page
- * @returns {Promise<string[]>}
+ * Find emails and social profiles on a business website that is already open in a page
+ * Checks the current page, then the site's most promising pages (contact, impressum, legal,
+ * about, team, footer links) from its links and sitemap.xml, within a page, depth and time budget.
+ * Pages on other registrable domains are never visited.
+ * @param {import('playwright').Page} page - Page with the website's main page loaded
+ * @param {string} websiteUrl - The business website URL
+ * @param {Object} [options] - Crawl budget, defaults in WEBSITE_CRAWL
+ * @param {number} [options.maxPages] - Pages to visit, home page included
+ * @param {number} [options.maxDepth] - Clicks away from the home page
+ * @param {number} [options.timeBudgetSecs] - Time for the whole site
+ * @returns {Promise<{emails: string[], emailDetails: Object[], source: string, socialProfiles: Object} | null>}
+ *   emailDetails lists each email with the technique it was decoded with and the page it was found on;
+ *   emails are empty (source "not_found") when only social profiles were found; null when neither was
  */
-async function findContactPages(page) {
-    try {
-        const links = await page.$$eval('a[href]', (anchors) => {
-            return anchors
-                .map(a => ({
-                    href: a.href,
-                    text: (a.textContent || '').toLowerCase(),
-                }))
-                .filter(link => {
-                    const url = link.href.toLowerCase();
-                    const text = link.text;
-
-                    // Look for common contact page patterns
-                    const patterns = [
-                        'contact',
-                        'about',
-                        'team',
-                        'get-in-touch',
-                        'reach-us',
-                        'email',
-                        'connect',
-                    ];
-
-                    return patterns.some(pattern =>
-                        url.includes(pattern) || text.includes(pattern)
-                    );
-                })
-                .map(link => link.href);
+export async function findEmailsOnPage(page, websiteUrl, options = {}) {
+    const {
+        maxPages = WEBSITE_CRAWL.maxPages,
+        maxDepth = WEBSITE_CRAWL.maxDepth,
+        timeBudgetSecs = WEBSITE_CRAWL.timeBudgetSecs,
+    } = options;
+    const deadline = Date.now() + timeBudgetSecs * 1000;
+
+    // Collect all unique emails (with the technique and page that found them first) and links from all pages
+    const allEmails = new Map();
+    const allLinks = [];
+
+    // Read the current page; returns its links
+    const readPage = async (pageName) => {
+        const sourceUrl = page.url();
+        const emails = extractEmailDetailsFromHTML(await page.content());
+        const links = await readLinks(page);
+        allLinks.push(...links.map(link => link.url));
+
+        emails.forEach((detail) => {
+            if (!allEmails.has(detail.email)) allEmails.set(detail.email, { ...detail, sourceUrl });
         });
+        if (emails.length > 0) {
+            console.log(`  ✓ Found ${emails.length} email(s) on ${pageName}${describeTechniques(emails)}`);
+        }
+        return links;
+    };
+
+    // The site may have redirected to another domain; both count as the business's own
+    const siteDomains = [...new Set([websiteUrl, page.url()].map(getRegistrableDomain).filter(Boolean))];
+    const visited = [websiteUrl, page.url()];
+
+    // Candidate pages with the depth they were first seen at
+    const candidates = [];
+    const depths = new Map();
+    const addCandidates = (links, depth) => {
+        links.forEach((link) => {
+            const key = normalizePageUrl(link.url);
+            if (key && !depths.has(key)) depths.set(key, depth);
+            candidates.push(link);
+        });
+    };
 
-        // Remove duplicates
-        return [...new Set(links)];
-    } catch (error) {
-        return [];
-    }
-}
+    addCandidates(await readPage('main page'), 1);
+    addCandidates((await readSitemapPages(page, siteDomains, deadline)).map(url => ({ url })), 1);
 
-/**
- * Batch process email finding with concurrency limit
- * @param {Array} businesses - Array of business objects with website field
- * @param {import('playwright').Browser} browser - Playwright browser instance
- * @param {number} concurrency - Number of concurrent requests (default: 5)
- * @returns {Promise<Array>} - Array of businesses with email field populated
- */
-export async function batchFindEmails(businesses, browser, concurrency = 5) {
-    const pLimit = (await import('p-limit')).default;
-    const limit = pLimit(concurrency);
+    let pagesVisited = 1;
+    while (pagesVisited < maxPages) {
+        const [next] = rankCandidatePages(candidates, { siteDomains, exclude: visited });
+        if (!next) break;
 
-    console.log(`\nFinding emails for ${businesses.length} businesses (concurrency: ${concurrency})...`);
+        const remaining = deadline - Date.now();
+        if (remaining <= 0) {
+            console.log(`  ⏱ Time budget used up after ${pagesVisited} page(s)`);
+            break;
+        }
 
-    const promises = businesses.map((business, index) =>
-        limit(async () => {
-            if (!business.website) {
-                console.log(`[${index + 1}/${businesses.length}] ${business.businessName}: No website`);
-                return business;
+        visited.push(next);
+        pagesVisited++;
+        try {
+            console.log(`  Checking page: ${next}`);
+            await page.goto(next, {
+                waitUntil: 'domcontentloaded',
+                timeout: Math.min(TIMEOUTS.websitePage, remaining),
+            });
+
+            // Redirects can lead off the site
+            if (!siteDomains.includes(getRegistrableDomain(page.url()))) {
+                console.log(`  ✗ Skipped page that redirected off the site: ${page.url()}`);
+                continue;
             }
 
-            console.log(`[${index + 1}/${businesses.length}] ${business.businessName}`);
-            const result = await findEmailOnWebsite(business.website, browser);
-
-            if (result && result.emails) {
-                business.emails = result.emails;
-                business.emailSource = result.source;
-            } else {
-                business.emails = [];
-                business.emailSource = 'not_found';
+            const depth = depths.get(normalizePageUrl(next)) || 1;
+            const links = await readPage(next);
+            if (depth < maxDepth) {
+                addCandidates(links, depth + 1);
             }
+        } catch (error) {
+            // Silently continue if a page fails
+            console.log(`  ✗ Failed to load page: ${next}`);
+        }
+    }
 
-            return business;
-        })
-    );
+    // Social profiles on the main page win over those on other pages
+    const socialProfiles = collectSocialProfiles(allLinks);
+    const networks = Object.keys(socialProfiles).filter(network => socialProfiles[network]);
+    if (networks.length > 0) {
+        console.log(`  ✓ Found social profiles: ${networks.join(', ')}`);
+    }
 
-    const results = await Promise.all(promises);
+    if (allEmails.size > 0) {
+        const emailDetails = Array.from(allEmails.values());
+        console.log(`  ✓ Total unique emails found: ${emailDetails.length} (${pagesVisited} page(s) checked)`);
+        return { emails: emailDetails.map(detail => detail.email), emailDetails, source: 'website', socialProfiles };
+    }
 
-    // Calculate success rate
-    const foundCount = results.filter(b => b.emails && b.emails.length > 0).length;
-    const totalEmails = results.reduce((sum, b) => sum + (b.emails ? b.emails.length : 0), 0);
-    const successRate = ((foundCount / businesses.length) * 100).toFixed(1);
+    console.log(`  ✗ No email found on ${websiteUrl}`);
+    return networks.length > 0 ? { emails: [], emailDetails: [], source: 'not_found', socialProfiles } : null;
+}
 
-    console.log(`\n✓ Email finding complete: ${foundCount}/${businesses.length} businesses with emails (${successRate}%)`);
-    console.log(`  Total emails found: ${totalEmails}`);
+/**
+ * Name the decoding techniques used for obfuscated emails, for the log line
+ */
+function describeTechniques(emailDetails) {
+    const techniques = [...new Set(emailDetails.map(detail => detail.technique))].filter(technique => technique !== 'plain');
+    return techniques.length > 0 ? ` (decoded: ${techniques.join(', ')})` : '';
+}
 
-    return results;
+/**
+ * Read the links on the current page with their text and whether they sit in the footer
+ * @param {import('playwright').Page} page
+ * @returns {Promise<Array<{url: string, text: string, inFooter: boolean}>>}
+ */
+async function readLinks(page) {
+    try {
+        return await page.$$eval('a[href]', anchors => anchors.map(a => ({
+            url: a.href,
+            text: (a.textContent || '').trim().toLowerCase(),
+            inFooter: Boolean(a.closest('footer, [role="contentinfo"], #footer, .footer')),
+        })));
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Read the page URLs listed in the site's sitemap.xml (following a sitemap index one level)
+ * Fetched through the page's browser context, so the same proxy and cookies are used
+ * @param {import('playwright').Page} page
+ * @param {string[]} siteDomains - Registrable domains of the website
+ * @param {number} deadline - Time budget end (ms timestamp)
+ * @returns {Promise<string[]>}
+ */
+async function readSitemapPages(page, siteDomains, deadline) {
+    const fetchXml = async (url) => {
+        const remaining = deadline - Date.now();
+        if (remaining <= 0) return null;
+        try {
+            const response = await page.request.get(url, {
+                timeout: Math.min(TIMEOUTS.websitePage, remaining),
+                failOnStatusCode: false,
+            });
+            return response.ok() ? await response.text() : null;
+        } catch (error) {
+            return null;
+        }
+    };
+
+    // Sitemaps should list absolute URLs, but relative ones are common enough
+    const readSitemap = async (sitemapUrl) => {
+        const { pages, sitemaps } = parseSitemap(await fetchXml(sitemapUrl));
+        const resolve = urls => urls.flatMap((url) => {
+            try {
+                return [new URL(url, sitemapUrl).href];
+            } catch {
+                return [];
+            }
+        });
+        return { pages: resolve(pages), sitemaps: resolve(sitemaps) };
+    };
+
+    const { pages, sitemaps } = await readSitemap(new URL('/sitemap.xml', page.url()).href);
+    const childSitemaps = sitemaps
+        .filter(url => siteDomains.includes(getRegistrableDomain(url)))
+        .slice(0, WEBSITE_CRAWL.maxSitemaps);
+    for (const sitemapUrl of childSitemaps) {
+        pages.push(...(await readSitemap(sitemapUrl)).pages);
+    }
+
+    if (pages.length > 0) {
+        console.log(`  Read ${pages.length} page(s) from sitemap.xml`);
+    }
+    return pages;
 }
 
 /**
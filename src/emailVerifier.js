@@ -0,0 +1,276 @@
+/**
+ * Email verifier module
+ * Checks whether found email addresses can receive mail: syntax, the domain's MX
+ * (or A/AAAA) records and, optionally, an SMTP RCPT probe with catch-all detection
+ */
+
+import { promises as dns } from 'dns';
+import net from 'net';
+import { randomBytes } from 'crypto';
+import { TIMEOUTS } from './config/selectors.js';
+
+/**
+ * Verification statuses
+ * - valid: the mail server accepted the address and rejects made-up ones
+ * - invalid: bad syntax, no mail server, or the mail server rejected the address
+ * - catch-all: the mail server accepts any address on the domain, so this one proves nothing
+ * - unknown: not checked by SMTP, or the check failed (timeout, greylisting, DNS error)
+ */
+export const VERIFICATION_STATUSES = ['valid', 'invalid', 'catch-all', 'unknown'];
+
+// Resolver errors that mean the record does not exist (as opposed to a failed lookup)
+const NOT_FOUND_CODES = [dns.NODATA, dns.NOTFOUND];
+
+/**
+ * Check the syntax of an address more strictly than the extraction pattern does
+ */
+export function isValidEmailSyntax(email) {
+    if (typeof email !== 'string' || email.length > 254) return false;
+
+    const match = email.match(/^([a-z0-9._%+-]+)@((?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,})$/i);
+    if (!match) return false;
+
+    const [, local] = match;
+    return local.length <= 64 && !local.startsWith('.') && !local.endsWith('.') && !local.includes('..');
+}
+
+/**
+ * Create an email verifier
+ * DNS answers and catch-all results are cached per domain, so businesses sharing a
+ * mail provider are only looked up once
+ * @param {Object} [options]
+ * @param {boolean} [options.smtpProbe] - Ask the mail server whether it accepts each address
+ * @param {string[]} [options.dnsServers] - DNS servers ("1.1.1.1", "127.0.0.1:5353"); system resolvers by default
+ * @param {string|null} [options.smtpHost] - Probe this SMTP server ("host" or "host:port") instead of the domain's MX hosts
+ * @param {number} [options.smtpPort] - SMTP port for MX hosts
+ * @param {string} [options.heloHost] - Name sent with EHLO
+ * @param {string} [options.fromAddress] - Envelope sender for probes; empty for the null sender
+ * @returns {{verify: (email: string) => Promise<{status: string, reason: string}>}}
+ */
+export function createEmailVerifier(options = {}) {
+    const {
+        smtpProbe = false,
+        dnsServers = [],
+        smtpHost = null,
+        smtpPort = 25,
+        heloHost = 'localhost',
+        fromAddress = '',
+    } = options;
+
+    const resolver = new dns.Resolver({ timeout: TIMEOUTS.dnsLookup, tries: 2 });
+    if (dnsServers.length > 0) {
+        resolver.setServers(dnsServers);
+    }
+
+    const [probeHost, probePort] = smtpHost ? smtpHost.split(':') : [];
+    const mailHostCache = new Map();
+    const catchAllCache = new Map();
+
+    const getMailHosts = (domain) => {
+        if (!mailHostCache.has(domain)) {
+            mailHostCache.set(domain, resolveMailHosts(resolver, domain));
+        }
+        return mailHostCache.get(domain);
+    };
+
+    const probe = async (email, domain, hosts) => {
+        const host = probeHost || hosts[0];
+        const port = probeHost ? Number(probePort) || 25 : smtpPort;
+
+        let session;
+        try {
+            session = await openSmtpSession(host, port);
+            if (session.greeting.code !== 220) {
+                return { status: 'unknown', reason: 'smtp_unavailable' };
+            }
+
+            const ehlo = await session.send(`EHLO ${heloHost}`);
+            if (ehlo.code !== 250 && (await session.send(`HELO ${heloHost}`)).code !== 250) {
+                return { status: 'unknown', reason: 'smtp_unavailable' };
+            }
+            if ((await session.send(`MAIL FROM:<${fromAddress}>`)).code !== 250) {
+                return { status: 'unknown', reason: 'smtp_sender_rejected' };
+            }
+
+            const rcpt = await session.send(`RCPT TO:<${email}>`);
+            if (rcpt.code >= 500) {
+                return { status: 'invalid', reason: 'mailbox_rejected' };
+            }
+            if (rcpt.code >= 400) {
+                // Usually greylisting or rate limiting; a later attempt might succeed
+                return { status: 'unknown', reason: 'smtp_temporary_failure' };
+            }
+
+            // A server that also accepts a made-up address accepts everything
+            if (!catchAllCache.has(domain)) {
+                const randomAddress = `${randomBytes(8).toString('hex')}@${domain}`;
+                const randomRcpt = await session.send(`RCPT TO:<${randomAddress}>`);
+                catchAllCache.set(domain, randomRcpt.code >= 200 && randomRcpt.code < 300);
+            }
+            return catchAllCache.get(domain)
+                ? { status: 'catch-all', reason: 'accepts_any_address' }
+                : { status: 'valid', reason: 'mailbox_accepted' };
+        } catch (error) {
+            return { status: 'unknown', reason: 'smtp_unavailable' };
+        } finally {
+            session?.close();
+        }
+    };
+
+    return {
+        /**
+         * Verify one address
+         * @param {string} email
+         * @returns {Promise<{status: string, reason: string}>}
+         */
+        async verify(email) {
+            if (!isValidEmailSyntax(email)) {
+                return { status: 'invalid', reason: 'invalid_syntax' };
+            }
+
+            const domain = email.split('@')[1].toLowerCase();
+            const { hosts, reason } = await getMailHosts(domain);
+            if (reason === 'dns_error') {
+                return { status: 'unknown', reason };
+            }
+            if (hosts.length === 0) {
+                return { status: 'invalid', reason };
+            }
+            if (!smtpProbe) {
+                return { status: 'unknown', reason: 'mail_server_found' };
+            }
+
+            return probe(email, domain, hosts);
+        },
+    };
+}
+
+/**
+ * Find the hosts that receive mail for a domain
+ * Without MX records, mail goes to the domain's own A/AAAA address (RFC 5321 implicit MX)
+ * @returns {Promise<{hosts: string[], reason: string|null}>} - reason is set when there are no hosts
+ */
+async function resolveMailHosts(resolver, domain) {
+    const lookup = async (method) => {
+        try {
+            return await resolver[method](domain);
+        } catch (error) {
+            if (NOT_FOUND_CODES.includes(error.code)) return [];
+            throw error;
+        }
+    };
+
+    try {
+        const mxRecords = await lookup('resolveMx');
+        if (mxRecords.length > 0) {
+            // A single "." exchange is a null MX: the domain accepts no mail (RFC 7505)
+            const exchanges = mxRecords
+                .sort((a, b) => a.priority - b.priority)
+                .map(record => record.exchange)
+                .filter(exchange => exchange && exchange !== '.');
+            return exchanges.length > 0 ? { hosts: exchanges, reason: null } : { hosts: [], reason: 'null_mx' };
+        }
+
+        const addresses = [...await lookup('resolve4'), ...await lookup('resolve6')];
+        return addresses.length > 0 ? { hosts: [domain], reason: null } : { hosts: [], reason: 'no_mail_server' };
+    } catch (error) {
+        return { hosts: [], reason: 'dns_error' };
+    }
+}
+
+/**
+ * Open an SMTP connection and read the greeting
+ * Replies are read whole, including multi-line ones ("250-..." up to "250 ...")
+ * @returns {Promise<{greeting: {code: number, text: string}, send: Function, close: Function}>}
+ */
+function openSmtpSession(host, port) {
+    return new Promise((resolve, reject) => {
+        const socket = net.createConnection({ host, port });
+        socket.setEncoding('utf-8');
+        socket.setTimeout(TIMEOUTS.smtpProbe);
+
+        let buffer = '';
+        let lines = [];
+        let pending = null;
+
+        const settle = (error, reply) => {
+            const current = pending;
+            pending = null;
+            if (!current) return;
+            if (error) current.reject(error);
+            else current.resolve(reply);
+        };
+
+        const readReply = () => new Promise((resolveReply, rejectReply) => {
+            pending = { resolve: resolveReply, reject: rejectReply };
+        });
+
+        socket.on('data', (chunk) => {
+            buffer += chunk;
+            let newline;
+            while ((newline = buffer.indexOf('\n')) !== -1) {
+                const line = buffer.slice(0, newline).replace(/\r$/, '');
+                buffer = buffer.slice(newline + 1);
+                lines.push(line);
+
+                // The last line of a reply has a space (or nothing) after the code
+                if (/^\d{3}(?: |$)/.test(line)) {
+                    const reply = { code: Number(line.slice(0, 3)), text: lines.map(l => l.slice(4)).join('\n') };
+                    lines = [];
+                    settle(null, reply);
+                }
+            }
+        });
+        socket.on('timeout', () => {
+            const error = new Error('SMTP timeout');
+            settle(error);
+            socket.destroy(error);
+        });
+        socket.on('error', error => settle(error));
+        socket.on('close', () => settle(new Error('SMTP connection closed')));
+
+        const session = {
+            send: (command) => {
+                const reply = readReply();
+                socket.write(`${command}\r\n`);
+                return reply;
+            },
+            close: () => {
+                if (socket.destroyed) return;
+                // Servers do not always hang up after QUIT; the connection is dropped once it is sent
+                socket.end('QUIT\r\n', () => socket.destroy());
+            },
+        };
+
+        readReply().then(greeting => resolve({ ...session, greeting }), (error) => {
+            socket.destroy();
+            reject(error);
+        });
+    });
+}
+
+/**
+ * Verify the emails of a business and record a status and reason per address
+ * Addresses found to be invalid are kept in emailDetails but dropped from emails
+ * @param {Object} business - Validated business record (changed in place)
+ * @param {{verify: Function}} verifier - From createEmailVerifier
+ * @returns {Promise<Object>} - The business
+ */
+export async function verifyBusinessEmails(business, verifier) {
+    if (!business.emailDetails?.length) return business;
+
+    for (const detail of business.emailDetails) {
+        Object.assign(detail, await verifier.verify(detail.email));
+    }
+
+    const invalid = new Set(business.emailDetails.filter(detail => detail.status === 'invalid').map(detail => detail.email));
+    business.emails = business.emails.filter(email => !invalid.has(email));
+
+    const counts = VERIFICATION_STATUSES
+        .map(status => [status, business.emailDetails.filter(detail => detail.status === status).length])
+        .filter(([, count]) => count > 0)
+        .map(([status, count]) => `${count} ${status}`);
+    console.log(`  ✉ Verified ${business.emailDetails.length} email(s): ${counts.join(', ')}`);
+
+    return business;
+}
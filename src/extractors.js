@@ -0,0 +1,773 @@
+/**
+ * Google Maps page extractors
+ * Reads search results and place details from pages opened by the crawler
+ */
+
+import { SELECTORS, TIMEOUTS, ARIA_PATTERNS } from './config/selectors.js';
+import { LOCALES } from './config/locales.js';
+import { toCanonicalDay, toCanonicalPriceLevel, toBusinessStatus, isHoursButtonText } from './utils/locale.js';
+import { classifyActionLink } from './utils/actionLinks.js';
+import { findEmailInGoogleProfile } from './emailFinder.js';
+import { extractReviews } from './reviewScraper.js';
+import { extractAttributes } from './attributesScraper.js';
+import { extractPhotoSummary, extractPhotos } from './photoScraper.js';
+import { extractPopularTimes } from './popularTimesScraper.js';
+
+/**
+ * Wait for search results panel to load
+ */
+export async function waitForSearchResults(page) {
+    try {
+        // Try multiple selectors in case Google Maps structure changed
+        const selectors = [
+            SELECTORS.feedContainer,           // div[role="feed"]
+            SELECTORS.searchResultsPanel,      // div[role="main"]
+            'div.m6QErb',                      // Common sidebar class
+            '[role="region"]',                 // Alternative region selector
+        ];
+
+        let found = false;
+        for (const selector of selectors) {
+            try {
+                await page.waitForSelector(selector, { timeout: 3000 });
+                console.log(`✓ Search results loaded (selector: ${selector})`);
+                found = true;
+                break;
+            } catch (e) {
+                // Try next selector
+            }
+        }
+
+        if (!found) {
+            // Debug: capture page state
+            console.log('\n⚠️  DEBUG: Search results not found. Capturing page state...');
+
+            // Get page title
+            const title = await page.title();
+            console.log(`Page title: ${title}`);
+
+            // Get page URL (might have redirected)
+            const currentUrl = page.url();
+            console.log(`Current URL: ${currentUrl}`);
+
+            // Check for common blocking indicators
+            const bodyText = await page.evaluate(() => document.body.innerText.substring(0, 500));
+            console.log(`Body text sample: ${bodyText}`);
+
+            // Take screenshot for debugging
+            try {
+                await page.screenshot({ path: 'debug-failed-search.png', fullPage: true });
+                console.log('Screenshot saved to: debug-failed-search.png');
+            } catch (screenshotError) {
+                // Screenshot might fail in some environments
+            }
+
+            throw new Error('Search results did not load. The location or keyword might be invalid.');
+        }
+    } catch (error) {
+        if (error.message.includes('Search results did not load')) {
+            throw error;
+        }
+        throw new Error('Search results did not load. The location or keyword might be invalid.');
+    }
+}
+
+/**
+ * Dismiss cookie consent dialog if present
+ * @returns {Promise<boolean>} - Whether a dialog was dismissed
+ */
+export async function dismissConsent(page) {
+    try {
+        // Try multiple consent button selectors
+        const consentSelectors = [
+            'button[aria-label*="Accept"]',
+            'button[aria-label*="Reject"]',
+            'button:has-text("Accept all")',
+            'button:has-text("Reject all")',
+            'button:has-text("I agree")',
+            'form[action*="consent"] button',
+        ];
+
+        for (const selector of consentSelectors) {
+            try {
+                const button = await page.$(selector);
+                if (button && await button.isVisible()) {
+                    await button.click();
+                    await page.waitForTimeout(2000);
+                    console.log(`✓ Dismissed consent dialog (${selector})`);
+                    return true;
+                }
+            } catch (e) {
+                // Try next selector
+            }
+        }
+    } catch (error) {
+        // Consent dialog not present or already dismissed
+    }
+
+    return false;
+}
+
+/**
+ * Read the business cards currently loaded in the results feed
+ * Cards show the name, rating and review count, which is enough to pre-filter
+ * places before opening them
+ * @returns {Promise<Array<{url: string, name: string|null, rating: string|null, reviewCount: string|null}>>}
+ */
+export async function readFeedCards(page, locale = LOCALES.en) {
+    const cards = await page.$$eval(SELECTORS.businessCard, (links, ratingSelector) => {
+        return links.map(link => ({
+            url: link.href,
+            name: link.getAttribute('aria-label'),
+            ratingLabel: link.parentElement?.querySelector(ratingSelector)?.getAttribute('aria-label') || null,
+        }));
+    }, locale.ratingSelector);
+
+    return cards.map(card => ({
+        url: card.url,
+        name: card.name,
+        ...parseCardRating(card.ratingLabel, locale),
+    }));
+}
+
+/**
+ * Read the business cards of the results feed with everything they show, for listing-only runs
+ * Besides the readFeedCards fields, the info rows give the category, price level, short address,
+ * open status and phone ("Dentist · $$ · 123 Congress Ave", "Open · Closes 5 PM · (512) 555-0123")
+ * @returns {Promise<Array<Object>>} - Raw card fields (see validateListingData)
+ */
+export async function readListingCards(page, locale = LOCALES.en) {
+    const cards = await page.$$eval(SELECTORS.businessCard, (links, { ratingSelector, infoRowSelector, websiteSelector }) => {
+        return links.map(link => {
+            const card = link.parentElement;
+            // Info rows nest; keep the innermost ones, split at the "·" separators
+            const rows = Array.from(card?.querySelectorAll(infoRowSelector) || [])
+                .filter(row => !row.querySelector(infoRowSelector))
+                .map(row => row.textContent.split('·').map(part => part.trim()).filter(Boolean))
+                .filter(parts => parts.length > 0);
+
+            return {
+                url: link.href,
+                name: link.getAttribute('aria-label'),
+                ratingLabel: card?.querySelector(ratingSelector)?.getAttribute('aria-label') || null,
+                rows,
+                website: card?.querySelector(websiteSelector)?.href || null,
+            };
+        });
+    }, { ratingSelector: locale.ratingSelector, infoRowSelector: SELECTORS.cardInfoRow, websiteSelector: SELECTORS.cardWebsite });
+
+    return cards.map(card => ({
+        url: card.url,
+        name: card.name,
+        ...parseCardRating(card.ratingLabel, locale),
+        ...parseCardRows(card.rows, locale),
+        website: card.website,
+    }));
+}
+
+/**
+ * Read rating and review count from a card's rating label ("4.8 stars 1,234 Reviews")
+ */
+function parseCardRating(ratingLabel, locale) {
+    const ratingMatch = ratingLabel?.match(locale.rating);
+    const reviewsMatch = ratingLabel?.match(locale.reviews);
+    return {
+        rating: ratingMatch ? ratingMatch[1] : null,
+        reviewCount: reviewsMatch ? reviewsMatch[1] : null,
+    };
+}
+
+/**
+ * Read the info rows of a card
+ * The first row holds category, price level and short address; the second the open
+ * status (or a closure banner) and phone
+ */
+function parseCardRows(rows, locale) {
+    const [firstRow = [], statusRow = []] = rows;
+    const noReviews = [locale.noReviews, LOCALES.en.noReviews].map(label => label.toLowerCase());
+
+    let priceLevel = null;
+    const info = [];
+    for (const part of firstRow) {
+        if (/^[$€£]{1,4}$/.test(part)) {
+            priceLevel = '$'.repeat(part.length);
+        } else if (!noReviews.includes(part.toLowerCase()) && !/^\d[.,]\d\s*\(/.test(part)) {
+            // Skips "No reviews" and a rating shown in the row ("4.8(1,234)")
+            info.push(part);
+        }
+    }
+
+    const isPhone = part => /^\+?[\d\s().-]+$/.test(part) && part.replace(/\D/g, '').length >= 7;
+    const openStatus = statusRow.filter(part => !isPhone(part)).join(' · ') || null;
+
+    return {
+        category: info[0] || null,
+        priceLevel,
+        address: info.length > 1 ? info[info.length - 1] : null,
+        openStatus,
+        businessStatus: toBusinessStatus(openStatus, locale),
+        phone: statusRow.find(isPhone) || null,
+    };
+}
+
+/**
+ * Extract data from a place page (Google Maps place URL opened directly)
+ * reviewOptions ({ maxReviews, sort }) enables review extraction; null skips it
+ * photoOptions ({ maxPhotos }) enables gallery photo extraction; null skips it
+ * @param {import('playwright').Page} page - Page showing the place details panel
+ * @param {Object} options
+ * @param {string} [options.placeUrl] - Place URL to record (defaults to the page URL)
+ * @param {boolean} [options.enableDebug] - Dump page structure if the name cannot be found
+ * @param {boolean} [options.extractBusinessHours] - Open the hours dialog and extract hours
+ * @param {boolean} [options.extractPopularTimes] - Scroll to and extract the popular times histogram
+ * @param {boolean} [options.extractAttributes] - Open the About tab and extract place attributes
+ * @param {boolean} [options.fastMode] - Use reduced delays
+ * @param {Object} [options.reviewOptions] - Review extraction options, or null to skip
+ * @param {Object} [options.photoOptions] - Gallery photo options, or null to skip
+ * @param {string} [options.photoSize] - Size of the cover and gallery photo URLs (see PHOTO_SIZES)
+ * @param {Object} [options.locale] - Locale pack of the interface language (see config/locales.js)
+ * @returns {Promise<Object|null>} - Raw business data, or null if the name could not be extracted
+ */
+export async function extractBusinessData(page, options = {}) {
+    const {
+        placeUrl = page.url(),
+        enableDebug = false,
+        extractBusinessHours = false,
+        extractPopularTimes: includePopularTimes = false,
+        extractAttributes: includeAttributes = false,
+        fastMode = false,
+        reviewOptions = null,
+        photoOptions = null,
+        photoSize = 'large',
+        locale = LOCALES.en,
+    } = options;
+
+    try {
+        // Wait for the details panel to load
+        await page.waitForSelector('h1', { timeout: TIMEOUTS.placeLoad }).catch(() => {});
+        await page.waitForTimeout(fastMode ? 1000 : 2000);
+
+        // Extract business name with multiple fallback strategies
+        let businessName = null;
+
+        // Strategy 1: Try known selectors
+        businessName = await extractText(page, [
+            SELECTORS.businessName,
+            SELECTORS.businessNameAlt,
+            'h1',  // Fallback to any h1
+            'h1[class]',  // Any h1 with a class
+        ]);
+
+        // Strategy 2: If still no name, try to find it in the details panel ONLY (not the sidebar)
+        if (!businessName) {
+            const headings = [...new Set([locale, LOCALES.en])].map(pack => ({
+                results: pack.resultsHeading,
+                resultsFor: pack.resultsForLabel,
+            }));
+
+            businessName = await page.evaluate((headings) => {
+                // Find the details panel (main element that's NOT the results feed)
+                const mainElements = Array.from(document.querySelectorAll('div[role="main"]'));
+                const detailsPanel = mainElements.find(main => {
+                    const label = main.getAttribute('aria-label');
+                    return !label || !headings.some(heading => label.includes(heading.resultsFor));
+                });
+
+                if (!detailsPanel) {
+                    return null;
+                }
+
+                // Look for h1 elements ONLY within the details panel
+                const h1Elements = detailsPanel.querySelectorAll('h1');
+                for (const h1 of h1Elements) {
+                    const text = h1.textContent?.trim();
+                    // Filter out generic headings like "Results" / "Ergebnisse", "Reviews", etc.
+                    if (text &&
+                        text.length > 0 &&
+                        text.length < 200 &&
+                        !headings.some(heading => text === heading.results || text.startsWith(heading.resultsFor))) {
+                        return text;
+                    }
+                }
+
+                // Look for elements with specific aria-labels within details panel
+                const labeledElements = detailsPanel.querySelectorAll('[aria-label]');
+                for (const el of labeledElements) {
+                    const label = el.getAttribute('aria-label');
+                    if (label && el.tagName === 'H1') {
+                        return label;
+                    }
+                }
+
+                return null;
+            }, headings);
+        }
+
+        if (!businessName) {
+            // Debug: capture what's actually on the page (only for first failure)
+            if (enableDebug) {
+                console.log('\n⚠️  DEBUG: Could not extract business name. Analyzing page structure...\n');
+
+                const debugInfo = await page.evaluate(() => {
+                    // Get all h1 elements and their structure
+                    const h1s = Array.from(document.querySelectorAll('h1')).map(h1 => ({
+                        text: h1.textContent?.substring(0, 100),
+                        classes: h1.className,
+                        html: h1.outerHTML.substring(0, 200),
+                    }));
+
+                    // Get all elements with large text (potential business names)
+                    const largeText = Array.from(document.querySelectorAll('*'))
+                        .filter(el => {
+                            const style = window.getComputedStyle(el);
+                            const fontSize = parseFloat(style.fontSize);
+                            return fontSize > 20 && el.textContent && el.textContent.trim().length < 100;
+                        })
+                        .slice(0, 5)
+                        .map(el => ({
+                            tag: el.tagName,
+                            text: el.textContent?.trim(),
+                            classes: el.className,
+                        }));
+
+                    // Get the main container info
+                    const main = document.querySelector('[role="main"]');
+                    const mainText = main?.textContent?.substring(0, 500);
+
+                    return { h1s, largeText, mainText };
+                });
+
+                console.log('📊 H1 elements found:', JSON.stringify(debugInfo.h1s, null, 2));
+                console.log('📊 Large text elements (potential names):', JSON.stringify(debugInfo.largeText, null, 2));
+                console.log('📊 Main container text:', debugInfo.mainText?.substring(0, 200));
+
+                // Take screenshot for visual debugging
+                try {
+                    await page.screenshot({ path: 'debug-business-details.png', fullPage: true });
+                    console.log('📸 Screenshot saved: debug-business-details.png\n');
+                } catch (e) {
+                    console.log('⚠️  Could not save screenshot');
+                }
+            } else {
+                console.log('  ✗ Could not extract business name');
+            }
+
+            return null;
+        }
+
+        // Extract all data fields
+        const address = await extractText(page, [SELECTORS.addressText]);
+        const phone = await extractText(page, [SELECTORS.phoneText]);
+        const website = await extractAttribute(page, SELECTORS.websiteLink, 'href');
+
+        // Extract rating
+        const ratingElement = await page.$(locale.ratingSelector);
+        let rating = null;
+        if (ratingElement) {
+            const ariaLabel = await ratingElement.getAttribute('aria-label');
+            const match = ariaLabel?.match(locale.rating);
+            rating = match ? match[1] : null;
+        }
+
+        // Extract review count
+        const reviewElement = await page.$(locale.reviewCountSelector);
+        let reviewCount = '0';
+        if (reviewElement) {
+            const ariaLabel = await reviewElement.getAttribute('aria-label');
+            const match = ariaLabel?.match(locale.reviews);
+            reviewCount = match ? match[1].trim() : '0';
+        }
+
+        // Extract category
+        const category = await extractText(page, [SELECTORS.categoryButton, SELECTORS.categoryText]);
+
+        // Extract plus code (e.g., "6MRW+V7 Austin, Texas")
+        let plusCode = await extractText(page, [SELECTORS.plusCodeText]);
+        if (!plusCode) {
+            const ariaLabel = await extractAttribute(page, SELECTORS.plusCode, 'aria-label');
+            plusCode = ariaLabel?.match(ARIA_PATTERNS.plusCode)?.[1] || null;
+        }
+
+        // Extract current open/closed status (e.g., "Open · Closes 5 PM")
+        const openStatus = await extractText(page, [SELECTORS.businessStatus, SELECTORS.hoursSummaryText]);
+
+        // Closed and not yet opened places show a banner ("Permanently closed", "Opens soon")
+        const businessStatus = await extractBusinessStatus(page, locale);
+
+        // Extract price level (e.g., $, $$, $$$, $$$$) and price range (e.g., "$50–100", "$100+")
+        const { priceLevel, priceRange } = await extractPriceInfo(page, locale);
+
+        // Extract booking, ordering, menu and appointment links
+        const actionLinks = await extractActionLinks(page);
+
+        // Extract business hours (only if enabled)
+        // Secondary schedules (kitchen, delivery, holiday hours, ...) are kept by name
+        let businessHours = null;
+        let secondaryHours = null;
+        if (extractBusinessHours) {
+            const schedules = await extractHoursSchedules(page, locale);
+            if (schedules) {
+                businessHours = schedules[0].hours;
+                if (schedules.length > 1) {
+                    secondaryHours = Object.fromEntries(schedules.slice(1).map(schedule => [schedule.name, schedule.hours]));
+                }
+            }
+        }
+
+        // Extract popular times (only if enabled)
+        let popularTimes = null;
+        if (includePopularTimes) {
+            popularTimes = await extractPopularTimes(page, { fastMode, locale });
+        }
+
+        // Extract photo count and cover photo (always shown in the header)
+        const { photoCount, coverPhotoUrl } = await extractPhotoSummary(page, photoSize, locale);
+
+        // Check for email in Google profile (rare)
+        const profileEmail = await findEmailInGoogleProfile(page);
+
+        // Extract gallery photos (only if enabled)
+        let photos = null;
+        if (photoOptions) {
+            photos = await extractPhotos(page, { ...photoOptions, size: photoSize, fastMode, locale });
+        }
+
+        // Extract About tab attributes (only if enabled)
+        // Done after the overview fields because it switches the details panel to the About tab
+        let attributes = null;
+        if (includeAttributes) {
+            attributes = await extractAttributes(page, locale);
+        }
+
+        // Extract individual reviews (only if enabled)
+        // Done last because it switches the details panel to the Reviews tab
+        let reviews = null;
+        if (reviewOptions) {
+            reviews = await extractReviews(page, { ...reviewOptions, fastMode, locale });
+        }
+
+        return {
+            businessName,
+            address,
+            phone,
+            website,
+            actionLinks,
+            rating,
+            reviewCount,
+            category,
+            priceLevel,
+            priceRange,
+            plusCode,
+            openStatus,
+            businessStatus,
+            photoCount,
+            coverPhotoUrl,
+            googleMapsUrl: placeUrl,
+            emails: profileEmail ? [profileEmail] : [],
+            emailSource: profileEmail ? 'google_profile' : 'not_found',
+            businessHours,
+            secondaryHours,
+            popularTimes,
+            attributes,
+            photos,
+            reviews,
+        };
+
+    } catch (error) {
+        console.error('  Error extracting business data:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Extract business hours from Google Maps
+ * Returns the regular weekly hours ({ "Monday": "9 AM to 5 PM", ... }) or null if not available
+ */
+export async function extractHoursData(page, locale = LOCALES.en) {
+    const schedules = await extractHoursSchedules(page, locale);
+    return schedules ? schedules[0].hours : null;
+}
+
+/**
+ * Extract every hours schedule shown in the hours dialog
+ * The first schedule is the regular opening hours; the others are secondary hour types
+ * (kitchen, delivery, happy hours, holiday hours, ...) named after their table or heading
+ * Days are keyed by their English name whatever the interface language
+ * Optimized with reduced timeout for better performance
+ * @returns {Promise<Array<{name: string, hours: Object}>|null>}
+ */
+export async function extractHoursSchedules(page, locale = LOCALES.en) {
+    try {
+        // Look for hours button - try multiple approaches
+        let hoursButton = null;
+
+        // Try 1: Standard selector
+        hoursButton = await page.$('button[data-item-id*="oh"]');
+
+        // Try 2: Button containing hours text ("See more hours") or an open status with a time
+        if (!hoursButton) {
+            const buttons = await page.$$('button');
+            for (const btn of buttons) {
+                try {
+                    const text = await btn.textContent();
+                    if (isHoursButtonText(text, locale)) {
+                        hoursButton = btn;
+                        break;
+                    }
+                } catch (e) {
+                    // Skip this button
+                }
+            }
+        }
+
+        if (!hoursButton) {
+            return null;
+        }
+
+        // Click to expand hours with reduced timeout (5s instead of 30s)
+        await hoursButton.click({ timeout: 5000 });
+        await page.waitForTimeout(1500);
+
+        // Extract hours from aria-labels
+        // Google Maps uses buttons with aria-labels like "Monday, 9:00 AM to 5:00 PM, Copy open hours"
+        // ("Montag, 08:00–17:00, Öffnungszeiten kopieren" in German)
+        // Each hour type (main hours, kitchen hours, happy hours, etc.) has its own table; buttons
+        // outside a table start a new schedule whenever a day repeats
+        const labelPattern = `^(${locale.days.map(escapeRegExp).join('|')}),\\s*(.+?),\\s*${escapeRegExp(locale.copyHoursLabel)}`;
+
+        const schedules = await page.$$eval(`button[aria-label*="${locale.copyHoursLabel}"]`, (buttons, pattern) => {
+            const labelRegex = new RegExp(pattern, 'i');
+            const result = [];
+            let current = null;
+
+            buttons.forEach(button => {
+                const ariaLabel = button.getAttribute('aria-label');
+                if (!ariaLabel) return;
+
+                // Parse aria-label: "Monday, 9:00 AM to 5:00 PM, Copy open hours"
+                const match = ariaLabel.match(labelRegex);
+                if (!match) return;
+
+                const day = match[1];
+                const table = button.closest('table');
+                const isNewSchedule = !current || (table ? table !== current.table : day in current.hours);
+
+                if (isNewSchedule) {
+                    const heading = table?.parentElement?.querySelector('.fontTitleSmall, h2, h3');
+                    current = {
+                        table,
+                        name: table?.getAttribute('aria-label') || heading?.textContent?.trim() || null,
+                        hours: {},
+                    };
+                    result.push(current);
+                }
+
+                if (!(day in current.hours)) {
+                    current.hours[day] = match[2].trim();
+                }
+            });
+
+            return result.map(({ name, hours }) => ({ name, hours }));
+        }, labelPattern);
+
+        // If no hours found, return null
+        if (schedules.length === 0) {
+            console.log('  ℹ No hours data found in buttons');
+            return null;
+        }
+
+        // Names become object keys in the output, so they must be unique
+        const usedNames = new Set();
+        schedules.forEach((schedule, index) => {
+            schedule.hours = Object.fromEntries(Object.entries(schedule.hours)
+                .map(([day, time]) => [toCanonicalDay(day), time]));
+
+            let name = schedule.name || (index === 0 ? 'Hours' : `Hours ${index + 1}`);
+            if (usedNames.has(name)) name = `${name} ${index + 1}`;
+            usedNames.add(name);
+            schedule.name = name;
+        });
+
+        const secondary = schedules.length > 1 ? ` (+${schedules.slice(1).map(schedule => schedule.name).join(', ')})` : '';
+        console.log(`  ✓ Extracted hours for ${Object.keys(schedules[0].hours).length} days${secondary}`);
+        return schedules;
+
+    } catch (error) {
+        // Business hours not available or extraction failed
+        console.log(`  ✗ Hours extraction failed: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Escape text for use inside a regular expression
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Extract price level and price range information
+ * Returns both price level symbols ($, $$) and actual price ranges ($50-100)
+ * The price level is always given in "$" symbols, whatever the local currency
+ */
+export async function extractPriceInfo(page, locale = LOCALES.en) {
+    let priceLevel = null;
+    let priceRange = null;
+
+    try {
+        // Price level has an aria-label like "Moderate" ("Mittelteuer" in German)
+        const priceLabel = await page.evaluate((labels) => {
+            const span = Array.from(document.querySelectorAll('span[aria-label]'))
+                .find(el => labels.includes(el.getAttribute('aria-label')));
+            return span?.getAttribute('aria-label') || null;
+        }, [...locale.priceLevels, ...LOCALES.en.priceLevels]);
+        priceLevel = toCanonicalPriceLevel(priceLabel, locale);
+
+        // Fall back to the symbols themselves ($, $$, $$$, $$$$ or €€, ££, ...)
+        if (!priceLevel) {
+            const symbols = await extractText(page, [SELECTORS.priceLevelAlt]);
+            priceLevel = /^[$€£]{1,4}$/.test(symbols || '') ? '$'.repeat(symbols.length) : null;
+        }
+
+        // Try to find price range (e.g., "$50–100", "$100+", "10–20 €")
+        const priceRangeText = await page.evaluate(() => {
+            // Look for text patterns that match price ranges
+            const spans = Array.from(document.querySelectorAll('span'));
+            for (const span of spans) {
+                const text = span.textContent?.trim() || '';
+                // Match patterns like: "$50–100", "$100+", "$50-100", "· $50–100", "10–20 €"
+                if (/[$€£]\s?\d+[–\-+](\d+)?|\d+[–\-]\d+\s?[€£]/.test(text)) {
+                    // Remove leading · if present
+                    return text.replace(/^·\s*/, '');
+                }
+            }
+            return null;
+        });
+
+        if (priceRangeText) {
+            priceRange = priceRangeText;
+        }
+    } catch (error) {
+        // Price info not available
+    }
+
+    return { priceLevel, priceRange };
+}
+
+/**
+ * Extract the business status from the closure banner of the place panel
+ * @returns {Promise<string>} - OPERATIONAL when no banner is shown (see BUSINESS_STATUSES)
+ */
+export async function extractBusinessStatus(page, locale = LOCALES.en) {
+    try {
+        const labels = [...new Set([locale, LOCALES.en])]
+            .flatMap(pack => [pack.permanentlyClosed, pack.temporarilyClosed, pack.opensSoon])
+            .map(label => label.toLowerCase());
+
+        const bannerText = await page.evaluate(({ mainSelector, labels }) => {
+            // Banners are short text leaves; long texts (reviews, descriptions) are skipped
+            const elements = document.querySelectorAll(`${mainSelector} span, ${mainSelector} div`);
+            for (const element of elements) {
+                const text = element.children.length === 0 ? element.textContent?.trim() || '' : '';
+                if (text.length < 60 && labels.some(label => text.toLowerCase().startsWith(label))) {
+                    return text;
+                }
+            }
+            return null;
+        }, { mainSelector: SELECTORS.searchResultsPanel, labels });
+
+        return toBusinessStatus(bannerText, locale) || 'OPERATIONAL';
+    } catch (error) {
+        return 'OPERATIONAL';
+    }
+}
+
+/**
+ * Extract reservation, ordering, menu and appointment links with their provider
+ * @returns {Promise<Array<{type: string, url: string, domain: string|null, provider: string|null}>>}
+ */
+export async function extractActionLinks(page) {
+    try {
+        const rawLinks = await page.$$eval(SELECTORS.actionLink, links => links.map(link => ({
+            label: link.getAttribute('aria-label') || link.textContent?.trim() || null,
+            itemId: link.getAttribute('data-item-id'),
+            href: link.href || null,
+        })));
+
+        // The same link can show in the action bar and the details list
+        const actionLinks = new Map();
+        for (const link of rawLinks.map(classifyActionLink)) {
+            if (link && !actionLinks.has(`${link.type} ${link.url}`)) {
+                actionLinks.set(`${link.type} ${link.url}`, link);
+            }
+        }
+        return [...actionLinks.values()];
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Extract text content from page using multiple selectors
+ */
+export async function extractText(page, selectors) {
+    if (!Array.isArray(selectors)) {
+        selectors = [selectors];
+    }
+
+    for (const selector of selectors) {
+        try {
+            const element = await page.$(selector);
+            if (element) {
+                const text = await element.textContent();
+                if (text && text.trim()) {
+                    return text.trim();
+                }
+            }
+        } catch (error) {
+            // Try next selector
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Extract attribute from element
+ */
+export async function extractAttribute(page, selector, attribute) {
+    try {
+        const element = await page.$(selector);
+        if (element) {
+            return await element.getAttribute(attribute);
+        }
+    } catch (error) {
+        // Attribute not found
+    }
+    return null;
+}
+
+/**
+ * Scroll the sidebar to load more results
+ */
+export async function scrollSidebar(page) {
+    try {
+        await page.evaluate((feedSelector) => {
+            const feed = document.querySelector(feedSelector);
+            if (feed) {
+                feed.scrollTo(0, feed.scrollHeight);
+            }
+        }, SELECTORS.feedContainer);
+    } catch (error) {
+        console.error('Error scrolling sidebar:', error.message);
+    }
+}
+
+/**
+ * Add random delay to simulate human behavior
+ */
+export async function randomDelay() {
+    const delay = TIMEOUTS.humanDelay + Math.random() * 1000;
+    await new Promise(resolve => setTimeout(resolve, delay));
+}
@@ -1,6 +1,14 @@
 import { Actor } from 'apify';
+import { ProxyConfiguration } from 'crawlee';
 import { scrapeGoogleMaps } from './scraper.js';
 import { convertToCSV } from './utils/csvExport.js';
+import { buildSearchQueries, buildGridQueries } from './utils/searchQueries.js';
+import { buildPlaceTargets } from './utils/placeInputs.js';
+import { getLocale } from './utils/locale.js';
+import { parseEmailRanking } from './utils/emailClassifier.js';
+import { buildCoverageReport } from './utils/geoGrid.js';
+import { loadRunState, startCheckpointing } from './utils/runState.js';
+import { summarizeBlockEvents } from './blockDetection.js';
 
 // Initialize Apify Actor
 await Actor.init();
@@ -15,33 +23,80 @@ try {
 
     // Destructure and validate input parameters
     const {
-        keyword,
-        location,
         maxResults = 100,
         minRating = 0,
         minReviews = 0,
         filterByPriceLevel = [],
         minPrice = 0,
         maxPrice = 0,
+        closedPlaces = 'include',
         findEmails = false,
+        maxWebsitePages = 5,
+        maxWebsiteDepth = 2,
+        websiteTimeBudgetSecs = 30,
+        primaryEmailRanking = [],
+        verifyEmails = false,
+        smtpProbe = false,
+        dnsServers = [],
+        smtpHost = '',
         extractBusinessHours = false,
+        extractPopularTimes = false,
+        extractAttributes = false,
         useProxy = true,
         proxyType = 'AUTO',
         customProxyUrls = [],
         fastMode = false,
+        listingOnly = false,
+        listingDetails = false,
         exportToCsv = false,
+        gridMode = false,
+        placeUrls = [],
+        extractReviews = false,
+        maxReviewsPerPlace = 20,
+        reviewsSort = 'mostRelevant',
+        extractPhotos = false,
+        maxPhotosPerPlace = 10,
+        photoSize = 'large',
+        language = 'en',
+        statusMessages = true,
     } = input;
 
+    // Places given directly (URLs, place IDs, CIDs) are opened without any search
+    const places = buildPlaceTargets(placeUrls);
+
+    // Expand keywords × locations and explicit queries into the searches to run
+    // In grid mode, each keyword is searched once per cell of the target area instead
+    let queries = [];
+    if (places.length === 0) {
+        queries = gridMode ? buildGridQueries(input) : buildSearchQueries(input);
+    }
+
     // Validate required inputs
-    if (!keyword || !location) {
-        throw new Error('Both "keyword" and "location" are required parameters');
+    if (queries.length === 0 && places.length === 0) {
+        throw new Error('Provide "keyword" and "location" (or "keywords" and "locations", "queries" or "placeUrls")');
     }
 
+    // Fail fast on a language without a locale pack or an unknown ranking criterion
+    getLocale(language);
+    const emailRanking = parseEmailRanking(primaryEmailRanking);
+
     console.log('==========================================');
     console.log('Google Maps Lead Extractor');
     console.log('==========================================');
-    console.log(`Search: "${keyword}" in "${location}"`);
-    console.log(`Max results: ${maxResults}`);
+    if (places.length > 0) {
+        console.log(`Direct places: ${places.length} (search skipped)`);
+    } else if (gridMode) {
+        const cellCount = new Set(queries.map(query => query.cell.id)).size;
+        console.log(`Grid mode: ${cellCount} cells × ${queries.length / Math.max(cellCount, 1)} keyword(s) = ${queries.length} searches`);
+    } else if (queries.length === 1) {
+        console.log(`Search: "${queries[0].label}"`);
+    } else {
+        console.log(`Searches: ${queries.length} queries`);
+        queries.forEach(query => console.log(`  - ${query.label} (max: ${query.maxResults})`));
+    }
+    if (queries.length > 0) {
+        console.log(`Max results per query: ${maxResults}`);
+    }
     console.log(`Min rating: ${minRating > 0 ? minRating : 'None'}`);
     console.log(`Min reviews: ${minReviews > 0 ? minReviews : 'None'}`);
     if (filterByPriceLevel && filterByPriceLevel.length > 0) {
@@ -55,18 +110,38 @@ try {
                 : `Up to $${maxPrice}`;
         console.log(`Price range: ${priceRangeStr}`);
     }
-    console.log(`Find emails: ${findEmails ? 'Yes' : 'No'}`);
+    if (closedPlaces !== 'include') {
+        console.log(`Closed places: ${closedPlaces === 'only' ? 'Only closed' : 'Excluded'}`);
+    }
+    console.log(`Interface language: ${language}`);
+    if (listingOnly) {
+        console.log(`Listing only: Yes${listingDetails ? ' (details for matching places)' : ''}`);
+        const detailOptions = [extractBusinessHours, extractPopularTimes, extractAttributes, extractReviews, extractPhotos];
+        if (!listingDetails && detailOptions.some(Boolean)) {
+            console.log('⚠ Hours, popular times, attributes, reviews and photos need place details; enable "listingDetails" to extract them');
+        }
+    }
+    console.log(`Find emails: ${findEmails ? `Yes (up to ${maxWebsitePages} pages, depth ${maxWebsiteDepth}, ${websiteTimeBudgetSecs}s per site)` : 'No'}`);
+    if (findEmails) {
+        console.log(`Primary email ranking: ${emailRanking.join(' > ')}`);
+    }
+    if (verifyEmails) {
+        console.log(`Verify emails: Yes (${smtpProbe ? 'MX records + SMTP probe' : 'MX records'})`);
+        if (!findEmails) {
+            console.log('⚠ Only emails shown on Google profiles are verified; enable "findEmails" to look for more on websites');
+        }
+    }
     console.log(`Extract hours: ${extractBusinessHours ? 'Yes' : 'No'}`);
+    console.log(`Extract popular times: ${extractPopularTimes ? 'Yes' : 'No'}`);
+    console.log(`Extract attributes: ${extractAttributes ? 'Yes' : 'No'}`);
+    console.log(`Extract reviews: ${extractReviews ? `Yes (max ${maxReviewsPerPlace}, ${reviewsSort})` : 'No'}`);
+    console.log(`Extract photos: ${extractPhotos ? `Yes (max ${maxPhotosPerPlace}, ${photoSize})` : 'No'}`);
     console.log(`Use proxy: ${useProxy ? 'Yes' : 'No'}`);
     if (useProxy) {
         console.log(`Proxy type: ${proxyType}`);
     }
     console.log('==========================================\n');
 
-    // Build Google Maps search URL
-    const searchQuery = `${keyword} ${location}`;
-    const searchUrl = `https://www.google.com/maps/search/${encodeURIComponent(searchQuery)}`;
-
     // Configure proxy if enabled
     let proxyConfiguration = undefined;
     if (useProxy) {
@@ -76,15 +151,8 @@ try {
                 throw new Error('Custom proxy URLs are required when proxyType is CUSTOM');
             }
 
-            // Create a simple proxy configuration that rotates through custom URLs
-            let proxyIndex = 0;
-            proxyConfiguration = {
-                newUrl: () => {
-                    const url = customProxyUrls[proxyIndex % customProxyUrls.length];
-                    proxyIndex++;
-                    return url;
-                }
-            };
+            // Rotates through the custom URLs, pinning one to each session
+            proxyConfiguration = new ProxyConfiguration({ proxyUrls: customProxyUrls });
 
             console.log(`Using ${customProxyUrls.length} custom proxy URL(s)`);
         } else {
@@ -103,24 +171,95 @@ try {
         }
     }
 
+    // Restore progress from a previous attempt (crash, migration, abort) and keep saving it
+    const runState = await loadRunState(places.length > 0
+        ? places.map(place => place.businessKey)
+        : queries.map(query => query.label));
+    const checkpoint = startCheckpointing(runState);
+
     // Run the scraper
-    const businesses = await scrapeGoogleMaps({
-        searchUrl,
-        maxResults,
-        minRating,
-        minReviews,
-        filterByPriceLevel,
-        minPrice,
-        maxPrice,
-        findEmails,
-        extractBusinessHours,
-        proxyConfiguration,
-        fastMode,
+    let scrapeResult;
+    try {
+        scrapeResult = await scrapeGoogleMaps({
+            queries,
+            places,
+            minRating,
+            minReviews,
+            filterByPriceLevel,
+            minPrice,
+            maxPrice,
+            closedPlaces,
+            listingOnly,
+            listingDetails,
+            findEmails,
+            extractBusinessHours,
+            extractPopularTimes,
+            extractAttributes,
+            proxyConfiguration,
+            fastMode,
+            reviewOptions: extractReviews
+                ? { maxReviews: maxReviewsPerPlace, sort: reviewsSort }
+                : null,
+            photoOptions: extractPhotos
+                ? { maxPhotos: maxPhotosPerPlace }
+                : null,
+            websiteCrawl: {
+                maxPages: maxWebsitePages,
+                maxDepth: maxWebsiteDepth,
+                timeBudgetSecs: websiteTimeBudgetSecs,
+            },
+            emailRanking,
+            emailVerification: verifyEmails
+                ? { smtpProbe, dnsServers, smtpHost: smtpHost || null }
+                : null,
+            photoSize,
+            language,
+            runState,
+            persistState: checkpoint.persist,
+            savePushedKeys: checkpoint.savePushedKeys,
+            statusMessages,
+        });
+    } catch (error) {
+        // Save whatever was collected so a retry can resume from here
+        await checkpoint.persist();
+        checkpoint.stop();
+        throw error;
+    }
+    const { businesses, queryStats, failedRequests, blockEvents } = scrapeResult;
+
+    // Save requests that failed after all retries so they can be inspected or re-run
+    if (failedRequests.length > 0) {
+        await Actor.setValue('FAILED_REQUESTS', failedRequests);
+        console.log(`\n⚠ ${failedRequests.length} requests failed after retries, saved to key-value store as "FAILED_REQUESTS"`);
+    }
+
+    // Save per-cell coverage so cells that hit the result cap can be split further
+    if (gridMode && queries.length > 0) {
+        const coverage = buildCoverageReport(queryStats);
+        await Actor.setValue('GRID_COVERAGE', coverage);
+        console.log(`\n✓ Grid coverage saved to key-value store as "GRID_COVERAGE"`);
+        if (coverage.cellsAtCap > 0) {
+            console.log(`⚠ ${coverage.cellsAtCap}/${coverage.totalCells} cells hit the result cap and should be split further:`);
+            coverage.cells
+                .filter(cell => cell.hitCap)
+                .forEach(cell => console.log(`  - ${cell.query} (${cell.cardsLoaded} results loaded, ${cell.cappedBy === 'googleCap' ? "Google's limit" : 'maxResults'} reached)`));
+        }
+    }
+
+    // Save the run report, including which proxies Google blocked and why
+    const blocks = summarizeBlockEvents(blockEvents);
+    await Actor.setValue('RUN_REPORT', {
+        queries: queries.length,
+        places: places.length,
+        businesses: businesses.length,
+        failedRequests: failedRequests.length,
+        blocks,
     });
 
-    // Push results to Apify dataset
+    checkpoint.stop();
+
+    // Businesses were pushed to the dataset while scraping; the CSV is assembled from the final records
     if (businesses.length > 0) {
-        await Actor.pushData(businesses);
         console.log(`\n✓ Successfully saved ${businesses.length} businesses to dataset`);
 
         // Export to CSV if requested
@@ -139,6 +278,20 @@ try {
     console.log('SUMMARY');
     console.log('==========================================');
     console.log(`Total businesses extracted: ${businesses.length}`);
+    if (failedRequests.length > 0) {
+        console.log(`Failed requests: ${failedRequests.length}`);
+    }
+    if (blocks.total > 0) {
+        console.log(`Block pages hit: ${blocks.total} (see "RUN_REPORT" in key-value store)`);
+        Object.entries(blocks.byProxy).forEach(([proxy, entry]) => {
+            const reasons = Object.entries(entry.reasons).map(([reason, count]) => `${reason}: ${count}`).join(', ');
+            console.log(`  - ${proxy}: ${entry.total} (${reasons})`);
+        });
+    }
+    if (queries.length > 1) {
+        const multiQuery = businesses.filter(b => b.searchQueries.length > 1).length;
+        console.log(`Found by multiple queries: ${multiQuery}`);
+    }
 
     if (findEmails) {
         const withEmails = businesses.filter(b => b.emails && b.emails.length > 0).length;
@@ -148,6 +301,13 @@ try {
             : 0;
         console.log(`Businesses with emails: ${withEmails}/${businesses.length} (${emailRate}%)`);
         console.log(`Total emails found: ${totalEmails}`);
+        if (verifyEmails) {
+            const statuses = {};
+            businesses.flatMap(b => b.emailDetails || []).forEach((detail) => {
+                statuses[detail.status] = (statuses[detail.status] || 0) + 1;
+            });
+            console.log(`Email verification: ${Object.entries(statuses).map(([status, count]) => `${count} ${status}`).join(', ') || 'no emails'}`);
+        }
     }
 
     const avgRating = businesses.length > 0
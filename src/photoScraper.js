@@ -0,0 +1,162 @@
+/**
+ * Photo scraper module
+ * Reads the photo count and cover photo of a place, and collects photo URLs from its gallery
+ */
+
+import { SELECTORS, TIMEOUTS } from './config/selectors.js';
+import { LOCALES } from './config/locales.js';
+import { resizePhotoUrl, getPhotoKey, isGooglePhotoUrl, parseBackgroundImageUrl } from './utils/photoUrls.js';
+
+/**
+ * Read the photo count and cover photo shown on the place overview
+ * @param {import('playwright').Page} page - Page with business details open
+ * @param {string} [size] - One of PHOTO_SIZES keys for the cover photo URL
+ * @param {Object} [locale] - Locale pack used to read the photo count
+ * @returns {Promise<{photoCount: number|null, coverPhotoUrl: string|null}>}
+ */
+export async function extractPhotoSummary(page, size = 'large', locale = LOCALES.en) {
+    try {
+        const { countLabel, coverSrc } = await page.evaluate((selectors) => {
+            const countPattern = new RegExp(selectors.countPattern, 'i');
+            const countElement = Array.from(document.querySelectorAll(selectors.countLabel))
+                .find(el => countPattern.test(el.getAttribute('aria-label')));
+
+            return {
+                countLabel: countElement?.getAttribute('aria-label') || null,
+                coverSrc: document.querySelector(selectors.cover)?.getAttribute('src') || null,
+            };
+        }, {
+            countLabel: locale.photoCountSelector,
+            countPattern: locale.photos.source,
+            cover: SELECTORS.coverPhoto,
+        });
+
+        const countMatch = countLabel?.match(locale.photos);
+
+        return {
+            photoCount: countMatch ? parseInt(countMatch[1].replace(/\D/g, ''), 10) : null,
+            coverPhotoUrl: isGooglePhotoUrl(coverSrc) ? resizePhotoUrl(coverSrc, size) : null,
+        };
+    } catch (error) {
+        return { photoCount: null, coverPhotoUrl: null };
+    }
+}
+
+/**
+ * Open the photo gallery and collect photo URLs
+ * When the gallery has a "By owner" tab, each photo is marked as owner or customer uploaded
+ * @param {import('playwright').Page} page - Page with business details open
+ * @param {Object} options
+ * @param {number} [options.maxPhotos] - Stop after this many photos
+ * @param {string} [options.size] - One of PHOTO_SIZES keys
+ * @param {boolean} [options.fastMode] - Use reduced delays
+ * @param {Object} [options.locale] - Locale pack used to find the "By owner" tab
+ * @returns {Promise<Array<{url: string, uploadedBy: string|null}>|null>} - Photos, or null if the gallery is unavailable
+ */
+export async function extractPhotos(page, options = {}) {
+    const {
+        maxPhotos = 10,
+        size = 'large',
+        fastMode = false,
+        locale = LOCALES.en,
+    } = options;
+
+    try {
+        const coverButton = await page.$(SELECTORS.coverPhotoButton);
+        if (!coverButton) {
+            console.log('  ℹ No photo gallery found');
+            return null;
+        }
+
+        await coverButton.click({ timeout: 5000 });
+        await page.waitForSelector(SELECTORS.galleryPhoto, { timeout: TIMEOUTS.galleryLoad }).catch(() => {});
+
+        const photoUrls = await collectGalleryPhotos(page, maxPhotos, fastMode);
+
+        // Owner uploads are listed under their own gallery tab
+        let ownerKeys = null;
+        const ownerTab = await page.$(locale.galleryOwnerTabSelector);
+        if (ownerTab) {
+            await ownerTab.click({ timeout: 5000 });
+            await page.waitForTimeout(TIMEOUTS.galleryLoad);
+            const ownerUrls = await collectGalleryPhotos(page, maxPhotos, fastMode);
+            ownerKeys = new Set(ownerUrls.map(getPhotoKey));
+        }
+
+        // Return to the place panel for the extraction steps that follow
+        await closeGallery(page);
+
+        const photos = photoUrls.slice(0, maxPhotos).map(url => ({
+            url: resizePhotoUrl(url, size),
+            uploadedBy: ownerKeys ? (ownerKeys.has(getPhotoKey(url)) ? 'owner' : 'customer') : null,
+        }));
+
+        console.log(`  ✓ Extracted ${photos.length} photos`);
+        return photos;
+
+    } catch (error) {
+        console.log(`  ✗ Photo extraction failed: ${error.message}`);
+        await closeGallery(page);
+        return null;
+    }
+}
+
+/**
+ * Scroll the open gallery and read photo URLs until enough are loaded or no more load
+ */
+async function collectGalleryPhotos(page, maxPhotos, fastMode) {
+    const scrollWait = fastMode ? 500 : 1500;
+    let urls = [];
+    let noNewPhotosCount = 0;
+
+    while (true) {
+        const backgrounds = await page.$$eval(SELECTORS.galleryPhoto, items => items.map(item => item.style.backgroundImage));
+        const previousCount = urls.length;
+
+        // Street View tiles and placeholders are not photos of the place
+        const seenKeys = new Set();
+        urls = backgrounds
+            .map(parseBackgroundImageUrl)
+            .filter(isGooglePhotoUrl)
+            .filter(url => {
+                const key = getPhotoKey(url);
+                if (seenKeys.has(key)) return false;
+                seenKeys.add(key);
+                return true;
+            });
+
+        if (urls.length >= maxPhotos) {
+            break;
+        }
+
+        if (urls.length === previousCount) {
+            noNewPhotosCount++;
+            if (noNewPhotosCount >= 3) {
+                break;
+            }
+        } else {
+            noNewPhotosCount = 0;
+        }
+
+        await page.evaluate((selector) => {
+            const items = document.querySelectorAll(selector);
+            items[items.length - 1]?.scrollIntoView();
+        }, SELECTORS.galleryPhoto);
+        await page.waitForTimeout(scrollWait);
+    }
+
+    return urls;
+}
+
+/**
+ * Leave the photo gallery
+ * Escape rather than the Back button, which on a place page can lead back to the results list
+ */
+async function closeGallery(page) {
+    try {
+        await page.keyboard.press('Escape');
+        await page.waitForTimeout(500);
+    } catch (error) {
+        // Gallery may already be closed
+    }
+}
@@ -0,0 +1,158 @@
+/**
+ * Popular times scraper module
+ * Reads the "Popular times" histogram of a place: busyness per hour for each day,
+ * the live busyness when Google shows it, and the typical time spent
+ */
+
+import { SELECTORS, TIMEOUTS } from './config/selectors.js';
+import { LOCALES } from './config/locales.js';
+
+/**
+ * Histograms are listed Sunday first, whatever the current day
+ */
+const HISTOGRAM_DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Extract popular times for the place currently open in the details panel
+ * @param {import('playwright').Page} page - Page with business details open
+ * @param {Object} [options]
+ * @param {boolean} [options.fastMode] - Use reduced delays
+ * @param {Object} [options.locale] - Locale pack the bar labels are worded in
+ * @returns {Promise<Object|null>} - { histogram, live, typicalTimeSpent }, or null if the place shows no popular times
+ */
+export async function extractPopularTimes(page, options = {}) {
+    const { fastMode = false, locale = LOCALES.en } = options;
+
+    try {
+        // The section sits below the contact details and is only rendered once scrolled to
+        let section = await page.$(SELECTORS.popularTimesSection);
+        for (let attempt = 0; !section && attempt < 4; attempt++) {
+            await scrollDetailsPanel(page);
+            await page.waitForTimeout(fastMode ? 500 : 1000);
+            section = await page.$(SELECTORS.popularTimesSection);
+        }
+
+        if (!section) {
+            console.log('  ℹ No popular times shown');
+            return null;
+        }
+
+        await section.scrollIntoViewIfNeeded().catch(() => {});
+        await page.waitForSelector(SELECTORS.popularTimesBar, { timeout: TIMEOUTS.popularTimesLoad }).catch(() => {});
+
+        const { days, timeSpentText } = await page.evaluate((selectors) => {
+            const timeSpentPattern = new RegExp(selectors.timeSpentPattern, selectors.timeSpentFlags);
+            const panelText = document.querySelector(selectors.panel)?.innerText || '';
+
+            return {
+                days: Array.from(document.querySelectorAll(selectors.day)).map(day =>
+                    Array.from(day.querySelectorAll(selectors.bar)).map(bar => bar.getAttribute('aria-label'))),
+                timeSpentText: panelText.match(timeSpentPattern)?.[0] || null,
+            };
+        }, {
+            panel: SELECTORS.searchResultsPanel,
+            day: SELECTORS.popularTimesDay,
+            bar: SELECTORS.popularTimesBar,
+            timeSpentPattern: locale.timeSpent.source,
+            timeSpentFlags: locale.timeSpent.flags,
+        });
+
+        const popularTimes = cleanPopularTimes(days, timeSpentText, locale);
+        if (!popularTimes) {
+            console.log('  ℹ Popular times could not be read');
+            return null;
+        }
+
+        console.log(`  ✓ Extracted popular times for ${Object.keys(popularTimes.histogram).length} days${popularTimes.live ? ' (live)' : ''}`);
+        return popularTimes;
+
+    } catch (error) {
+        console.log(`  ✗ Popular times extraction failed: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Scroll the details panel down by one screen
+ */
+async function scrollDetailsPanel(page) {
+    await page.evaluate((panelSelector) => {
+        const panel = document.querySelector(panelSelector);
+        const scrollable = Array.from(panel?.querySelectorAll('div') || [])
+            .find(el => el.scrollHeight > el.clientHeight + 10 && /auto|scroll/.test(getComputedStyle(el).overflowY));
+
+        if (scrollable) {
+            scrollable.scrollBy(0, scrollable.clientHeight);
+        } else {
+            window.scrollBy(0, window.innerHeight);
+        }
+    }, SELECTORS.searchResultsPanel);
+}
+
+/**
+ * Convert an hour label ("6", "PM") to 0-23
+ * Languages with 24-hour times have no meridiem ("18")
+ */
+function toHour24(hour, meridiem) {
+    if (!meridiem) return parseInt(hour, 10) % 24;
+
+    const value = parseInt(hour, 10) % 12;
+    return meridiem.toUpperCase() === 'PM' ? value + 12 : value;
+}
+
+/**
+ * Turn the bar labels of each day into { histogram, live, typicalTimeSpent }
+ * The bar for the current hour carries the live label instead of an hour; it is
+ * placed after the bar before it, with the usual busyness in the histogram
+ * @param {Array<Array<string>>} days - Bar aria-labels per day, Sunday first
+ * @param {string|null} timeSpentText - "People typically spend ... here" sentence
+ * @param {Object} [locale] - Locale pack the labels are worded in
+ */
+export function cleanPopularTimes(days, timeSpentText = null, locale = LOCALES.en) {
+    const histogram = {};
+    let live = null;
+
+    (days || []).slice(0, HISTOGRAM_DAYS.length).forEach((labels, index) => {
+        const day = HISTOGRAM_DAYS[index];
+        const hours = [];
+        let previousHour = null;
+
+        for (const label of labels || []) {
+            // The live label is checked first: in some languages it would also read as an hour label
+            const liveMatch = label?.match(locale.liveBusyness);
+            if (liveMatch) {
+                const hour = previousHour !== null ? previousHour + 1 : null;
+                const usual = liveMatch.groups.usual ? parseInt(liveMatch.groups.usual, 10) : null;
+                live = { day, hour, busyness: parseInt(liveMatch.groups.busyness, 10), usual };
+
+                if (hour !== null && usual !== null) {
+                    hours.push({ hour, busyness: usual });
+                }
+                previousHour = hour;
+                continue;
+            }
+
+            const busyMatch = label?.match(locale.busyAtHour);
+            if (busyMatch) {
+                const { busyness, hour, meridiem } = busyMatch.groups;
+                previousHour = toHour24(hour, meridiem);
+                hours.push({ hour: previousHour, busyness: parseInt(busyness, 10) });
+            }
+        }
+
+        // Days the place is closed have no bars and are left out
+        if (hours.length > 0) {
+            histogram[day] = hours;
+        }
+    });
+
+    if (Object.keys(histogram).length === 0 && !live) {
+        return null;
+    }
+
+    return {
+        histogram,
+        live,
+        typicalTimeSpent: timeSpentText?.match(locale.timeSpent)?.groups.duration.trim() || null,
+    };
+}
@@ -0,0 +1,194 @@
+/**
+ * Result stream module
+ * Pushes businesses to the dataset as soon as they are accepted, holding back
+ * those that still wait for a website email lookup and, in multi-query runs, a
+ * bounded number that a later search may still tag
+ */
+
+import { Actor } from 'apify';
+import { CRAWLER_CONFIG } from './config/selectors.js';
+
+// Minimum time between two status message updates
+const STATUS_MESSAGE_INTERVAL_MS = 5000;
+
+/**
+ * Create a stream that saves accepted businesses incrementally
+ * Businesses without a pending email lookup are pushed immediately; the others
+ * are pushed once their lookup completes, so each record is appended exactly once
+ * Dataset records cannot be updated, so while a search is still to run (and could
+ * find a business again, adding its label to searchQueries) businesses are held
+ * and pushed when the last search finishes. Past maxHeld, the oldest held business
+ * is pushed with the labels known so far, so results keep streaming
+ * @param {Object} options
+ * @param {Object} options.runState - Run state (tracks pushed keys and finished lookups)
+ * @param {Function} options.enqueueEmailLookup - Called with (key, business) to schedule a website lookup
+ * @param {number} [options.placesTotal] - Number of places given directly as input (no search)
+ * @param {boolean} [options.findEmails] - Look up emails on business websites
+ * @param {boolean} [options.statusMessages] - Report live progress as the run status message
+ * @param {Function} [options.beforeSave] - Called with each business right before it is saved (e.g. to verify its emails)
+ * @param {Function} [options.savePushedKeys] - Called after each push to persist runState.pushedKeys
+ * @param {number} [options.maxHeld] - Most businesses held back for later search tags
+ * @returns {Object} - Stream with add(), completeLookup(), queryDone(), placeDone(), flush(), updateStatus() and counts
+ */
+export function createResultStream(options) {
+    const {
+        runState,
+        enqueueEmailLookup,
+        placesTotal = 0,
+        findEmails = false,
+        statusMessages = true,
+        beforeSave = async () => {},
+        savePushedKeys = async () => {},
+        maxHeld = CRAWLER_CONFIG.maxHeldResults,
+    } = options;
+
+    const pushedKeys = new Set(runState.pushedKeys);
+    const emailLookupsDone = new Set(runState.emailLookupsDone);
+    const emailLookupsPending = new Set();
+    // Businesses ready to save while searches are still running
+    const held = new Map();
+    let lastStatusAt = 0;
+
+    const counts = {
+        pushed: pushedKeys.size,
+        emailLookupsDone: emailLookupsDone.size,
+        queriesDone: runState.completedQueries.length,
+        queriesTotal: runState.queryLabels.length,
+        // In direct place mode every processed place has an entry, accepted or not
+        placesDone: placesTotal > 0 ? Object.keys(runState.seenBusinesses).length : 0,
+        failed: runState.failedRequests.length,
+    };
+
+    const updateStatus = async (force = false) => {
+        if (!statusMessages) return;
+
+        const now = Date.now();
+        if (!force && now - lastStatusAt < STATUS_MESSAGE_INTERVAL_MS) return;
+        lastStatusAt = now;
+
+        const parts = [
+            placesTotal > 0
+                ? `Places ${counts.placesDone}/${placesTotal}`
+                : `Queries ${counts.queriesDone}/${counts.queriesTotal}`,
+            `${counts.pushed} businesses saved`,
+        ];
+        if (findEmails) {
+            parts.push(`${counts.emailLookupsDone} email lookups done, ${emailLookupsPending.size} pending`);
+        }
+        if (counts.failed > 0) {
+            parts.push(`${counts.failed} failed requests`);
+        }
+
+        try {
+            await Actor.setStatusMessage(parts.join(' · '));
+        } catch (error) {
+            // Status messages are best-effort
+        }
+    };
+
+    // A search has finished when it completed or failed for good
+    // Direct place runs have no searches (their run state labels are place keys)
+    const searchesPending = () => placesTotal === 0 && runState.queryLabels.length > 1 && runState.queryLabels.some(label => (
+        !runState.completedQueries.includes(label) &&
+        !runState.failedRequests.some(failure => failure.query === label)
+    ));
+
+    const save = async (key, business) => {
+        if (pushedKeys.has(key)) return;
+        // Claimed before the first await so concurrent saves of one business push it once
+        pushedKeys.add(key);
+
+        try {
+            await beforeSave(business);
+            await Actor.pushData(business);
+        } catch (error) {
+            pushedKeys.delete(key);
+            throw error;
+        }
+        // Persisted right away: a resumed run must not push the business again
+        runState.pushedKeys.push(key);
+        await savePushedKeys();
+        counts.pushed++;
+        await updateStatus();
+    };
+
+    const push = async (key, business) => {
+        if (!searchesPending()) {
+            await save(key, business);
+            return;
+        }
+
+        held.set(key, business);
+        if (held.size > maxHeld) {
+            const [oldestKey, oldest] = held.entries().next().value;
+            held.delete(oldestKey);
+            await save(oldestKey, oldest);
+        }
+    };
+
+    // Held businesses are the run state's records, so they carry every label added since
+    const flush = async () => {
+        for (const [key, business] of held) {
+            held.delete(key);
+            await save(key, business);
+        }
+    };
+
+    return {
+        counts,
+        updateStatus,
+
+        /**
+         * Save an accepted business, or schedule its email lookup first
+         */
+        async add(key, business) {
+            if (pushedKeys.has(key)) return;
+
+            if (findEmails && business.website && !emailLookupsDone.has(key)) {
+                emailLookupsPending.add(key);
+                await enqueueEmailLookup(key, business);
+                return;
+            }
+
+            await push(key, business);
+        },
+
+        /**
+         * Mark a business's email lookup as finished (found or not) and save it
+         */
+        async completeLookup(key, business) {
+            emailLookupsPending.delete(key);
+            if (!emailLookupsDone.has(key)) {
+                emailLookupsDone.add(key);
+                runState.emailLookupsDone.push(key);
+                counts.emailLookupsDone++;
+            }
+
+            await push(key, business);
+        },
+
+        /**
+         * Record that a query has finished or failed, and save the held businesses after the last one
+         */
+        async queryDone() {
+            counts.queriesDone = runState.completedQueries.length;
+            if (!searchesPending()) {
+                await flush();
+            }
+            await updateStatus(true);
+        },
+
+        /**
+         * Record that a directly requested place has been processed (for status messages)
+         */
+        async placeDone() {
+            counts.placesDone++;
+            await updateStatus();
+        },
+
+        /**
+         * Save the businesses still held, even if some search never finished
+         */
+        flush,
+    };
+}
@@ -0,0 +1,202 @@
+/**
+ * Review scraper module
+ * Opens the Reviews tab of a place and extracts individual reviews
+ */
+
+import { SELECTORS, TIMEOUTS, REVIEW_SORT_OPTIONS } from './config/selectors.js';
+import { LOCALES } from './config/locales.js';
+import { cleanString, parseRating, parseRelativeDate } from './utils/validation.js';
+
+/**
+ * Extract reviews for the place currently open in the details panel
+ * @param {import('playwright').Page} page - Page with business details open
+ * @param {Object} options
+ * @param {number} [options.maxReviews] - Stop after this many reviews
+ * @param {string} [options.sort] - One of REVIEW_SORT_OPTIONS keys
+ * @param {boolean} [options.fastMode] - Use reduced delays
+ * @param {Object} [options.locale] - Locale pack used to find the tab and read star ratings and dates
+ * @returns {Promise<Array|null>} - Array of review objects, or null if the tab is unavailable
+ */
+export async function extractReviews(page, options = {}) {
+    const {
+        maxReviews = 20,
+        sort = 'mostRelevant',
+        fastMode = false,
+        locale = LOCALES.en,
+    } = options;
+
+    try {
+        // Open the Reviews tab
+        const reviewsTab = await page.$(locale.reviewsTabSelector);
+        if (!reviewsTab) {
+            console.log('  ℹ No reviews tab found');
+            return null;
+        }
+
+        await reviewsTab.click({ timeout: 5000 });
+        await page.waitForTimeout(TIMEOUTS.reviewsLoad);
+
+        await sortReviews(page, sort, locale);
+
+        // Scroll the reviews list until we have enough reviews or no more load
+        const scrollWait = fastMode ? 500 : 1500;
+        let previousCount = 0;
+        let noNewReviewsCount = 0;
+
+        while (true) {
+            const count = (await page.$$(SELECTORS.reviewItem)).length;
+            if (count >= maxReviews) {
+                break;
+            }
+
+            if (count === previousCount) {
+                noNewReviewsCount++;
+                if (noNewReviewsCount >= 3) {
+                    break;
+                }
+            } else {
+                noNewReviewsCount = 0;
+            }
+            previousCount = count;
+
+            await scrollReviews(page);
+            await page.waitForTimeout(scrollWait);
+        }
+
+        // Expand truncated review texts ("More" buttons)
+        await expandReviewTexts(page);
+
+        const rawReviews = await page.$$eval(SELECTORS.reviewItem, (items, selectors) => {
+            return items.map(item => {
+                const text = (selector) => item.querySelector(selector)?.textContent?.trim() || null;
+                const ownerResponse = item.querySelector(selectors.ownerResponse);
+
+                return {
+                    reviewId: item.getAttribute('data-review-id'),
+                    reviewerName: text(selectors.reviewerName),
+                    starsLabel: item.querySelector(selectors.reviewStars)?.getAttribute('aria-label') || null,
+                    relativeDate: text(selectors.reviewDate),
+                    text: text(selectors.reviewText),
+                    photoCount: item.querySelectorAll(selectors.reviewPhoto).length,
+                    ownerResponse: ownerResponse ? {
+                        relativeDate: ownerResponse.querySelector(selectors.ownerResponseDate)?.textContent?.trim() || null,
+                        text: ownerResponse.querySelector(selectors.ownerResponseText)?.textContent?.trim() || null,
+                    } : null,
+                };
+            });
+        }, {
+            reviewerName: SELECTORS.reviewerName,
+            reviewStars: SELECTORS.reviewStars,
+            reviewDate: SELECTORS.reviewDate,
+            reviewText: SELECTORS.reviewText,
+            reviewPhoto: SELECTORS.reviewPhoto,
+            ownerResponse: SELECTORS.ownerResponse,
+            ownerResponseDate: SELECTORS.ownerResponseDate,
+            ownerResponseText: SELECTORS.ownerResponseText,
+        });
+
+        const reviews = rawReviews.slice(0, maxReviews).map(raw => cleanReview(raw, locale));
+
+        console.log(`  ✓ Extracted ${reviews.length} reviews`);
+        return reviews;
+
+    } catch (error) {
+        console.log(`  ✗ Review extraction failed: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Clean a raw review scraped from the DOM
+ */
+function cleanReview(raw, locale) {
+    const starsMatch = raw.starsLabel?.match(locale.rating);
+    const now = new Date();
+
+    return {
+        reviewId: raw.reviewId || null,
+        reviewerName: cleanString(raw.reviewerName),
+        rating: starsMatch ? parseRating(starsMatch[1]) : null,
+        relativeDate: cleanString(raw.relativeDate),
+        publishedDate: parseRelativeDate(raw.relativeDate, now, locale),
+        text: cleanString(raw.text),
+        photoCount: raw.photoCount || 0,
+        ownerResponse: raw.ownerResponse ? {
+            text: cleanString(raw.ownerResponse.text),
+            relativeDate: cleanString(raw.ownerResponse.relativeDate),
+            publishedDate: parseRelativeDate(raw.ownerResponse.relativeDate, now, locale),
+        } : null,
+    };
+}
+
+/**
+ * Pick a sort order from the "Sort reviews" menu
+ */
+async function sortReviews(page, sort, locale) {
+    const optionIndex = REVIEW_SORT_OPTIONS[sort];
+    if (optionIndex === undefined || optionIndex === REVIEW_SORT_OPTIONS.mostRelevant) {
+        // Most relevant is Google's default order
+        return;
+    }
+
+    try {
+        const sortButton = await page.$(locale.reviewsSortSelector);
+        if (!sortButton) {
+            console.log('  ℹ Sort button not found, using default review order');
+            return;
+        }
+
+        await sortButton.click({ timeout: 5000 });
+        await page.waitForTimeout(500);
+
+        const options = await page.$$(SELECTORS.reviewsSortOption);
+        if (options[optionIndex]) {
+            await options[optionIndex].click({ timeout: 5000 });
+            await page.waitForTimeout(TIMEOUTS.reviewsLoad);
+        }
+    } catch (error) {
+        console.log(`  ✗ Could not sort reviews: ${error.message}`);
+    }
+}
+
+/**
+ * Click every "More" button so review texts are not truncated
+ */
+async function expandReviewTexts(page) {
+    const moreButtons = await page.$$(SELECTORS.reviewMoreButton);
+    for (const button of moreButtons) {
+        try {
+            await button.click({ timeout: 2000 });
+        } catch (error) {
+            // Button may have been detached or already expanded
+        }
+    }
+
+    if (moreButtons.length > 0) {
+        await page.waitForTimeout(300);
+    }
+}
+
+/**
+ * Scroll the reviews list to load more reviews
+ */
+async function scrollReviews(page) {
+    try {
+        await page.evaluate((selectors) => {
+            const container = document.querySelector(selectors.container);
+            if (container) {
+                container.scrollTo(0, container.scrollHeight);
+                return;
+            }
+
+            // Fall back to scrolling the last review into view
+            const items = document.querySelectorAll(selectors.item);
+            items[items.length - 1]?.scrollIntoView();
+        }, {
+            container: SELECTORS.reviewsScrollContainer,
+            item: SELECTORS.reviewItem,
+        });
+    } catch (error) {
+        console.error('Error scrolling reviews:', error.message);
+    }
+}
@@ -1,286 +1,566 @@
 /**
  * Google Maps scraper module
- * Handles navigation, pagination, and data extraction
+ * Runs search pages, place pages and website email lookups on a Crawlee
+ * request queue, with sessions, proxy rotation and retries
  */
 
-import { chromium } from 'playwright';
-import { SELECTORS, TIMEOUTS, ARIA_PATTERNS } from './config/selectors.js';
-import { validateBusinessData, meetsFilterCriteria } from './utils/validation.js';
-import { findEmailInGoogleProfile, batchFindEmails } from './emailFinder.js';
+import { PlaywrightCrawler, createPlaywrightRouter, sleep } from 'crawlee';
+import { SELECTORS, TIMEOUTS, RETRY_CONFIG, CRAWLER_CONFIG } from './config/selectors.js';
+import {
+    validateBusinessData,
+    validateListingData,
+    buildEmailDetails,
+    prioritizeEmails,
+    meetsFilterCriteria,
+    getBusinessKey,
+    parseCoordinates,
+    parsePlaceIds,
+    parseRating,
+    parseReviewCount,
+} from './utils/validation.js';
+import { isWithinArea, isWithinBounds, getCoordinateKey } from './utils/geoGrid.js';
+import { createRunState, getCollectedBusinesses } from './utils/runState.js';
+import { getLocale, setLanguageParam } from './utils/locale.js';
+import { findEmailsOnPage } from './emailFinder.js';
+import { createEmailVerifier, verifyBusinessEmails } from './emailVerifier.js';
+import { createResultStream } from './resultStream.js';
+import { BlockedError, detectBlock, maskProxyUrl } from './blockDetection.js';
+import {
+    dismissConsent,
+    waitForSearchResults,
+    readFeedCards,
+    readListingCards,
+    scrollSidebar,
+    randomDelay,
+    extractBusinessData,
+} from './extractors.js';
+
+/**
+ * Request labels used by the router
+ */
+export const LABELS = {
+    SEARCH: 'SEARCH',
+    PLACE: 'PLACE',
+    WEBSITE: 'WEBSITE',
+};
 
 /**
  * Main scraper function
  * @param {Object} options - Scraper configuration
- * @returns {Promise<Array>} - Array of business objects
+ * @returns {Promise<{businesses: Array, queryStats: Array, failedRequests: Array, blockEvents: Array}>} - Business objects, per-query stats, failures and block events
  */
 export async function scrapeGoogleMaps(options) {
     const {
-        searchUrl,
-        maxResults = 100,
+        queries = [],
+        places = [],
         minRating = 0,
         minReviews = 0,
         filterByPriceLevel = [],
         minPrice = 0,
         maxPrice = 0,
+        closedPlaces = 'include',
+        listingOnly = false,
+        listingDetails = false,
         findEmails = false,
         extractBusinessHours = false,
-        proxyConfiguration = null,
+        extractPopularTimes = false,
+        extractAttributes = false,
+        proxyConfiguration = undefined,
         fastMode = false,
+        reviewOptions = null,
+        photoOptions = null,
+        emailVerification = null,
+        websiteCrawl = {},
+        emailRanking = undefined,
+        photoSize = 'large',
+        language = 'en',
+        runState = createRunState(queries.map(query => query.label)),
+        persistState = async () => {},
+        savePushedKeys = async () => {},
+        statusMessages = true,
     } = options;
 
-    let browser = null;
-    let page = null;
+    const filters = { minRating, minReviews, filterByPriceLevel, minPrice, maxPrice, closedPlaces };
+    const locale = getLocale(language);
+    const queryLocations = new Map(queries.map(query => [query.label, query.location]));
 
-    try {
-        // Launch browser
-        console.log('\nLaunching browser...');
-        browser = await launchBrowser(proxyConfiguration);
+    if (fastMode) {
+        console.log('⚡ Fast mode enabled - using reduced delays');
+    }
 
-        // Create page
-        page = await browser.newPage();
-        await setupPage(page);
+    // Run state is shared across queries so a business found by several searches
+    // is extracted once, and survives restarts so a resumed run skips finished work
+    const { seenBusinesses, placeQueries, completedQueries, queryStats, failedRequests, blockEvents } = runState;
+
+    let crawler = null;
+    let debugDone = false;  // Only debug first failure
+
+    // Emails are verified and the primary email picked once they are final, right before the business is saved
+    const emailVerifier = emailVerification ? createEmailVerifier(emailVerification) : null;
+
+    // Businesses are saved to the dataset as they are accepted; email lookups go through the queue
+    const resultStream = createResultStream({
+        runState,
+        placesTotal: places.length,
+        findEmails,
+        statusMessages,
+        savePushedKeys,
+        beforeSave: async (business) => {
+            if (emailVerifier) {
+                await verifyBusinessEmails(business, emailVerifier);
+            }
+            business.primaryEmail = prioritizeEmails(business.emails, { details: business.emailDetails, ranking: emailRanking });
+        },
+        enqueueEmailLookup: async (key, business) => {
+            await crawler.addRequests([{
+                url: business.website,
+                uniqueKey: `website:${key}`,
+                label: LABELS.WEBSITE,
+                userData: { businessKey: key },
+                maxRetries: RETRY_CONFIG.websiteMaxRetries,
+            }], { forefront: true });
+        },
+    });
 
-        // Navigate to Google Maps search
-        console.log(`Navigating to: ${searchUrl}`);
-        await page.goto(searchUrl, {
-            waitUntil: 'load',  // Changed from 'networkidle' (too strict, causes timeouts)
-            timeout: TIMEOUTS.navigation,
+    /**
+     * Throw if Google served a block page
+     * The event is recorded against the proxy, and the browser is retired so the
+     * retry starts in a fresh browser with a new session and proxy
+     */
+    const assertNotBlocked = async ({ page, request, proxyInfo, crawler: { browserPool } }, options) => {
+        const reason = await detectBlock(page, options);
+        if (!reason) return;
+
+        const proxy = maskProxyUrl(proxyInfo?.url);
+        blockEvents.push({
+            proxy,
+            reason,
+            label: request.label,
+            url: request.url,
+            detectedAt: new Date().toISOString(),
         });
+        console.log(`  ⛔ Blocked (${reason}) on ${proxy}, rotating proxy and relaunching browser`);
+
+        browserPool.retireBrowserByPage(page);
+        throw new BlockedError(reason);
+    };
+
+    const router = createPlaywrightRouter();
+
+    // Search page: scroll the results feed and enqueue a place request per new business
+    router.addHandler(LABELS.SEARCH, async (context) => {
+        const { page, request } = context;
+        const query = queries[request.userData.queryIndex];
+        console.log(`\n[Query ${request.userData.queryIndex + 1}/${queries.length}] ${query.label}`);
 
         // Give the page extra time to render SPA content
-        await page.waitForTimeout(5000);
+        await page.waitForTimeout(fastMode ? 2000 : 5000);
 
         // Dismiss consent dialog if present (do this FIRST before looking for results)
-        await dismissConsent(page);
+        if (!await dismissConsent(page)) {
+            console.log('No consent dialog found (or already dismissed)');
+        }
+
+        await assertNotBlocked(context);
 
         // Wait for search results to load
         await waitForSearchResults(page);
 
-        // Extract business listings from sidebar
-        console.log(`\nExtracting business listings (max: ${maxResults})...`);
-        if (fastMode) {
-            console.log('⚡ Fast mode enabled - using reduced delays');
-        }
-        const businesses = await extractBusinessListings(page, maxResults, {
-            minRating,
-            minReviews,
-            filterByPriceLevel,
-            minPrice,
-            maxPrice,
-        }, proxyConfiguration, extractBusinessHours, fastMode);
-
-        console.log(`\n✓ Extracted ${businesses.length} businesses`);
-
-        // Find emails if enabled
-        if (findEmails && businesses.length > 0) {
-            await batchFindEmails(businesses, browser, 5);
-        }
+        console.log(`\nCollecting business listings (max: ${query.maxResults})...`);
+        const stats = await collectListings(page, query, {
+            filters,
+            fastMode,
+            locale,
+            runState,
+            listingOnly,
+            listingDetails,
+            assertNotBlocked: () => assertNotBlocked(context),
+            // Listing runs open details in a second pass, after the remaining searches
+            enqueuePlace: async (key, url) => {
+                const { addedRequests } = await crawler.addRequests([{
+                    url: setLanguageParam(url, language),
+                    uniqueKey: key,
+                    label: LABELS.PLACE,
+                    userData: { businessKey: key },
+                }], { forefront: !listingOnly });
+                return !addedRequests[0]?.wasAlreadyPresent;
+            },
+            saveListing: (key, business) => resultStream.add(key, business),
+        });
 
-        return businesses;
+        queryStats.push(stats);
+        completedQueries.push(query.label);
+        await persistState();
+        await resultStream.queryDone();
 
-    } catch (error) {
-        console.error('Scraping failed:', error);
-        throw error;
-    } finally {
-        // Cleanup
-        if (page) {
-            await page.close().catch(() => {});
-        }
-        if (browser) {
-            await browser.close().catch(() => {});
+        const newPlacesAction = listingOnly && !listingDetails ? 'saved' : 'queued';
+        console.log(`✓ Query "${query.label}": ${stats.matched} matches (${stats.newPlaces} new places ${newPlacesAction})`);
+    });
+
+    // Place page: extract details, validate, filter and save
+    // Places given directly as input (userData.input) have no search queries
+    router.addHandler(LABELS.PLACE, async (context) => {
+        const { page, request, session } = context;
+        const { businessKey, input } = request.userData;
+        if (businessKey in seenBusinesses) {
+            return;
         }
-    }
-}
 
-/**
- * Launch Playwright browser with proper configuration
- */
-async function launchBrowser(proxyConfiguration) {
-    const launchOptions = {
-        headless: true,
-        args: [
-            '--disable-blink-features=AutomationControlled',
-            '--no-sandbox',
-            '--disable-setuid-sandbox',
-            '--disable-dev-shm-usage',
-        ],
-    };
+        await dismissConsent(page);
+        await assertNotBlocked(context, { expectPlace: true });
+
+        const businessData = await extractBusinessData(page, {
+            // ID and CID inputs redirect to the full place URL, which carries the identifiers
+            placeUrl: input ? page.url() : request.url,
+            enableDebug: !debugDone,
+            extractBusinessHours,
+            extractPopularTimes,
+            extractAttributes,
+            fastMode,
+            reviewOptions,
+            photoOptions,
+            photoSize,
+            locale,
+        });
 
-    // Add proxy if configured
-    if (proxyConfiguration) {
-        const proxyUrl = await proxyConfiguration.newUrl();
-        console.log(`Using proxy: ${proxyUrl}`);
+        if (!businessData) {
+            debugDone = true;
+            // Usually a half-loaded or blocked page: retry with a fresh session/proxy
+            session?.retire();
+            throw new Error('Could not extract business name from place page');
+        }
 
-        const url = new URL(proxyUrl);
-        launchOptions.proxy = {
-            server: `${url.protocol}//${url.host}`,
-        };
+        // Validate and clean data
+        businessData.searchQueries = [...(placeQueries[businessKey] || [])];
+        const validatedData = validateBusinessData(businessData, {
+            // The first search that found the place tells the country of its address
+            location: queryLocations.get(businessData.searchQueries[0]) || null,
+            language,
+            emailRanking,
+        });
 
-        if (url.username && url.password) {
-            launchOptions.proxy.username = url.username;
-            launchOptions.proxy.password = url.password;
+        // Skip if validation returned null (invalid business name)
+        if (!validatedData) {
+            seenBusinesses[businessKey] = null;
+            await resultStream.placeDone();
+            return;
         }
-    }
 
-    return await chromium.launch(launchOptions);
-}
+        // Keep the identifiers the place was requested by, even if the final URL lacks them
+        if (input) {
+            const inputIds = parsePlaceIds(request.url);
+            validatedData.placeId = validatedData.placeId || inputIds.placeId;
+            validatedData.cid = validatedData.cid || inputIds.cid;
+        }
 
-/**
- * Set up page with proper headers and settings
- */
-async function setupPage(page) {
-    // Set viewport
-    await page.setViewportSize({ width: 1920, height: 1080 });
-
-    // Set user agent
-    await page.setExtraHTTPHeaders({
-        'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        'Accept-Language': 'en-US,en;q=0.9',
+        // Check if meets filter criteria
+        if (meetsFilterCriteria(validatedData, filters)) {
+            seenBusinesses[businessKey] = validatedData;
+            console.log(`[${getCollectedBusinesses(runState).length}] ${validatedData.businessName} ⭐ ${validatedData.rating} (${validatedData.reviewCount} reviews)`);
+            await resultStream.add(businessKey, validatedData);
+        } else {
+            seenBusinesses[businessKey] = null;
+            console.log(`  ✗ Filtered out: ${businessData.businessName}`);
+        }
+        await resultStream.placeDone();
     });
-}
 
-/**
- * Wait for search results panel to load
- */
-async function waitForSearchResults(page) {
-    try {
-        // Try multiple selectors in case Google Maps structure changed
-        const selectors = [
-            SELECTORS.feedContainer,           // div[role="feed"]
-            SELECTORS.searchResultsPanel,      // div[role="main"]
-            'div.m6QErb',                      // Common sidebar class
-            '[role="region"]',                 // Alternative region selector
-        ];
-
-        let found = false;
-        for (const selector of selectors) {
-            try {
-                await page.waitForSelector(selector, { timeout: 3000 });
-                console.log(`✓ Search results loaded (selector: ${selector})`);
-                found = true;
-                break;
-            } catch (e) {
-                // Try next selector
-            }
+    // Business website: look for emails and social profiles, then save the business
+    router.addHandler(LABELS.WEBSITE, async ({ page, request }) => {
+        const { businessKey } = request.userData;
+        const business = seenBusinesses[businessKey];
+        if (!business) {
+            return;
         }
 
-        if (!found) {
-            // Debug: capture page state
-            console.log('\n⚠️  DEBUG: Search results not found. Capturing page state...');
+        console.log(`  Checking website for email: ${request.url}`);
+        const result = await findEmailsOnPage(page, request.url, websiteCrawl);
 
-            // Get page title
-            const title = await page.title();
-            console.log(`Page title: ${title}`);
+        if (result && result.emails) {
+            business.emails = result.emails;
+            business.emailDetails = buildEmailDetails(result.emails, result.emailDetails, business.website);
+            business.emailSource = result.source;
+        } else {
+            business.emails = [];
+            business.emailDetails = [];
+            business.emailSource = 'not_found';
+        }
+        if (result) {
+            Object.assign(business, result.socialProfiles);
+        }
 
-            // Get page URL (might have redirected)
-            const currentUrl = page.url();
-            console.log(`Current URL: ${currentUrl}`);
+        await resultStream.completeLookup(businessKey, business);
+    });
 
-            // Check for common blocking indicators
-            const bodyText = await page.evaluate(() => document.body.innerText.substring(0, 500));
-            console.log(`Body text sample: ${bodyText}`);
+    crawler = new PlaywrightCrawler({
+        proxyConfiguration,
+        useSessionPool: true,
+        persistCookiesPerSession: true,
+        maxRequestRetries: RETRY_CONFIG.maxRetries,
+        maxConcurrency: CRAWLER_CONFIG.maxConcurrency,
+        navigationTimeoutSecs: TIMEOUTS.navigation / 1000,
+        requestHandlerTimeoutSecs: CRAWLER_CONFIG.requestHandlerTimeoutSecs,
+        headless: true,
+        launchContext: {
+            launchOptions: {
+                args: [
+                    '--disable-blink-features=AutomationControlled',
+                    '--no-sandbox',
+                    '--disable-setuid-sandbox',
+                    '--disable-dev-shm-usage',
+                ],
+            },
+        },
+        preNavigationHooks: [
+            async ({ page, request }, gotoOptions) => {
+                await page.setViewportSize({ width: 1920, height: 1080 });
+                await page.setExtraHTTPHeaders({ 'Accept-Language': locale.acceptLanguage });
+
+                if (request.label === LABELS.WEBSITE) {
+                    // Shorter timeout for business websites
+                    gotoOptions.waitUntil = 'domcontentloaded';
+                    gotoOptions.timeout = TIMEOUTS.emailFinder;
+                } else if (request.label === LABELS.PLACE) {
+                    gotoOptions.waitUntil = 'domcontentloaded';
+                } else {
+                    gotoOptions.waitUntil = 'load';  // 'networkidle' is too strict and causes timeouts
+                }
+            },
+        ],
+        requestHandler: router,
 
-            // Take screenshot for debugging
-            try {
-                await page.screenshot({ path: 'debug-failed-search.png', fullPage: true });
-                console.log('Screenshot saved to: debug-failed-search.png');
-            } catch (screenshotError) {
-                // Screenshot might fail in some environments
+        // Called before each retry
+        errorHandler: async ({ request, session }, error) => {
+            console.log(`  ↻ ${request.label} ${request.url} failed (attempt ${request.retryCount + 1}): ${error.message}`);
+            if (request.label !== LABELS.WEBSITE) {
+                session?.retire();
+            }
+            await sleep(RETRY_CONFIG.retryDelay);
+        },
+
+        // Called once all retries are used up
+        failedRequestHandler: async ({ request }, error) => {
+            const failure = {
+                label: request.label,
+                url: request.url,
+                businessKey: request.userData.businessKey || null,
+                query: request.label === LABELS.SEARCH ? queries[request.userData.queryIndex].label : null,
+                input: request.userData.input || null,
+                reason: error.message,
+                retries: request.retryCount,
+                failedAt: new Date().toISOString(),
+            };
+            failedRequests.push(failure);
+            resultStream.counts.failed++;
+            console.error(`✗ ${request.label} failed after ${request.retryCount} retries: ${request.url} (${error.message})`);
+
+            if (request.label === LABELS.SEARCH) {
+                const query = queries[request.userData.queryIndex];
+                queryStats.push({ label: query.label, cell: query.cell || null, failed: true, error: error.message });
+                await resultStream.queryDone();
             }
 
-            throw new Error('Search results did not load. The location or keyword might be invalid.');
-        }
-    } catch (error) {
-        if (error.message.includes('Search results did not load')) {
-            throw error;
-        }
-        throw new Error('Search results did not load. The location or keyword might be invalid.');
-    }
-}
+            if (request.label === LABELS.PLACE) {
+                await resultStream.placeDone();
+            }
 
-/**
- * Dismiss cookie consent dialog if present
- */
-async function dismissConsent(page) {
-    try {
-        // Try multiple consent button selectors
-        const consentSelectors = [
-            'button[aria-label*="Accept"]',
-            'button[aria-label*="Reject"]',
-            'button:has-text("Accept all")',
-            'button:has-text("Reject all")',
-            'button:has-text("I agree")',
-            'form[action*="consent"] button',
-        ];
-
-        for (const selector of consentSelectors) {
-            try {
-                const button = await page.$(selector);
-                if (button && await button.isVisible()) {
-                    await button.click();
-                    await page.waitForTimeout(2000);
-                    console.log(`✓ Dismissed consent dialog (${selector})`);
-                    return;
+            // A failed website lookup should not hold back the business itself
+            if (request.label === LABELS.WEBSITE) {
+                const business = seenBusinesses[request.userData.businessKey];
+                if (business) {
+                    await resultStream.completeLookup(request.userData.businessKey, business);
                 }
-            } catch (e) {
-                // Try next selector
             }
+
+            await persistState();
+        },
+    });
+
+    // Save businesses collected before a restart that never made it to the dataset
+    for (const [key, business] of Object.entries(seenBusinesses)) {
+        if (business) {
+            await resultStream.add(key, business);
         }
+    }
 
-        console.log('No consent dialog found (or already dismissed)');
-    } catch (error) {
-        // Consent dialog not present or already dismissed
-        console.log('No consent dialog needed');
+    const searchRequests = queries
+        .map((query, index) => ({
+            url: setLanguageParam(query.searchUrl, language),
+            uniqueKey: `search:${query.label}`,
+            label: LABELS.SEARCH,
+            userData: { queryIndex: index },
+        }))
+        .filter(request => !completedQueries.includes(queries[request.userData.queryIndex].label));
+
+    // Places given directly skip search; places already extracted are skipped by the handler
+    const placeRequests = places.map(place => ({
+        url: setLanguageParam(place.url, language),
+        uniqueKey: place.businessKey,
+        label: LABELS.PLACE,
+        userData: { businessKey: place.businessKey, input: place.input },
+    }));
+
+    await crawler.run([...searchRequests, ...placeRequests]);
+    // Only left over if the crawl stopped before every search ran
+    await resultStream.flush();
+    await persistState();
+    await resultStream.updateStatus(true);
+
+    // Nothing to return if every search failed
+    const failedSearches = failedRequests.filter(failure => failure.label === LABELS.SEARCH);
+    if (queries.length > 0 && completedQueries.length === 0 && failedSearches.length > 0) {
+        throw new Error(`All searches failed. Last error: ${failedSearches[failedSearches.length - 1].reason}`);
     }
+
+    const businesses = getCollectedBusinesses(runState);
+    if (places.length > 0) {
+        console.log(`\n✓ Extracted ${businesses.length} businesses from ${places.length} places`);
+    } else {
+        console.log(`\n✓ Extracted ${businesses.length} unique businesses from ${queries.length} queries`);
+    }
+    if (failedRequests.length > 0) {
+        console.log(`⚠ ${failedRequests.length} requests failed after retries`);
+    }
+
+    return { businesses, queryStats, failedRequests, blockEvents };
 }
 
 /**
- * Extract business listings from the sidebar
- * Handles pagination by scrolling
+ * Scroll a search results feed and enqueue places for detail extraction
+ * Businesses already seen by an earlier query are tagged with this query instead of re-queued
+ * For grid queries, places outside the area are skipped and places are merged by coordinates
+ * In listing-only runs the cards themselves are saved, or, with listingDetails, the cards
+ * passing every filter are queued for details
+ * @returns {Promise<Object>} - Per-query stats
  */
-async function extractBusinessListings(page, maxResults, filters, proxyConfiguration = null, extractBusinessHours = false, fastMode = false) {
-    const businesses = [];
-    const seenUrls = new Set();
+async function collectListings(page, query, options) {
+    const {
+        filters,
+        fastMode,
+        locale,
+        runState,
+        listingOnly = false,
+        listingDetails = false,
+        assertNotBlocked,
+        enqueuePlace,
+        saveListing,
+    } = options;
+    const { seenBusinesses, placeQueries } = runState;
+    const { maxResults } = query;
+    const stats = {
+        label: query.label,
+        cell: query.cell || null,
+        cardsLoaded: 0,
+        placesInCell: 0,
+        outsideArea: 0,
+        matched: 0,
+        newPlaces: 0,
+        reachedEnd: false,
+        budgetReached: false,
+        failed: false,
+    };
+
+    const countedKeys = new Set();
     let previousCount = 0;
     let noNewResultsCount = 0;
-    let firstDebugDone = false;  // Only debug first failure
 
-    while (businesses.length < maxResults) {
-        // Get all visible business links
-        const businessLinks = await page.$$(SELECTORS.businessCard);
-        console.log(`Found ${businessLinks.length} business cards in sidebar`);
+    while (countedKeys.size < maxResults) {
+        const cards = listingOnly ? await readListingCards(page, locale) : await readFeedCards(page, locale);
+        stats.cardsLoaded = cards.length;
+        console.log(`Found ${cards.length} business cards in sidebar`);
 
-        // Extract data from new businesses
-        for (let i = previousCount; i < businessLinks.length && businesses.length < maxResults; i++) {
-            try {
-                const businessData = await extractBusinessData(page, businessLinks[i], seenUrls, !firstDebugDone, proxyConfiguration, extractBusinessHours, fastMode);
-
-                if (businessData) {
-                    // Validate and clean data
-                    const validatedData = validateBusinessData(businessData);
+        for (let i = previousCount; i < cards.length && countedKeys.size < maxResults; i++) {
+            const card = cards[i];
+            let businessKey = getBusinessKey(card.url);
+            if (!businessKey) {
+                continue;
+            }
 
-                    // Skip if validation returned null (invalid business name)
-                    if (!validatedData) {
+            // Grid cells overlap the area edges: skip places outside it, and merge
+            // by coordinates when the URL carries no place ID
+            if (query.cell) {
+                const coords = parseCoordinates(card.url);
+                if (coords.latitude !== null) {
+                    if (!isWithinArea(coords, query.area)) {
+                        stats.outsideArea++;
                         continue;
                     }
-
-                    // Check if meets filter criteria
-                    if (meetsFilterCriteria(validatedData, filters)) {
-                        businesses.push(validatedData);
-                        console.log(`[${businesses.length}/${maxResults}] ${validatedData.businessName} ⭐ ${validatedData.rating} (${validatedData.reviewCount} reviews)`);
-                    } else {
-                        console.log(`  ✗ Filtered out: ${businessData.businessName}`);
+                    if (isWithinBounds(coords, query.cell.bounds)) {
+                        stats.placesInCell++;
                     }
-                } else if (!firstDebugDone) {
-                    firstDebugDone = true;  // Mark that we've done debug for first failure
+                    const { cid, placeId } = parsePlaceIds(card.url);
+                    if (!cid && !placeId) {
+                        businessKey = getCoordinateKey(coords);
+                    }
+                }
+            }
+
+            if (countedKeys.has(businessKey)) {
+                continue;
+            }
+
+            // Filtered out earlier (by this or another query)
+            if (businessKey in seenBusinesses && seenBusinesses[businessKey] === null) {
+                continue;
+            }
+
+            // Feed cards show rating and review count, so obvious misses never get opened
+            // In listing-only runs the card is the record, so every filter applies to it
+            const listing = listingOnly ? validateListingData(card, { location: query.location }) : null;
+            const passesFilters = listingOnly
+                ? listing && meetsFilterCriteria(listing, filters)
+                : card.rating === null || meetsFilterCriteria(toFilterData(card), filters);
+            if (!passesFilters) {
+                seenBusinesses[businessKey] = null;
+                console.log(`  ✗ Filtered out: ${card.name}`);
+                continue;
+            }
+
+            countedKeys.add(businessKey);
+
+            // Tag every query that found the place
+            const labels = placeQueries[businessKey] || (placeQueries[businessKey] = []);
+            if (!labels.includes(query.label)) {
+                labels.push(query.label);
+            }
+
+            const existing = seenBusinesses[businessKey];
+            if (existing) {
+                if (!existing.searchQueries.includes(query.label)) {
+                    existing.searchQueries.push(query.label);
                 }
-            } catch (error) {
-                console.error(`  Error extracting business ${i + 1}:`, error.message);
+                console.log(`[${countedKeys.size}/${maxResults}] ${existing.businessName} (already found by another query)`);
+                continue;
             }
+
+            if (listing && !listingDetails) {
+                listing.searchQueries = [...labels];
+                seenBusinesses[businessKey] = listing;
+                stats.newPlaces++;
+                console.log(`[${countedKeys.size}/${maxResults}] ${listing.businessName} ⭐ ${listing.rating} (${listing.reviewCount} reviews)`);
+                await saveListing(businessKey, listing);
+                continue;
+            }
+
+            // The queue dedupes on the business key, so places queued by another query are not opened twice
+            if (await enqueuePlace(businessKey, card.url)) {
+                stats.newPlaces++;
+                console.log(`[${countedKeys.size}/${maxResults}] Queued: ${card.name}`);
+            }
+        }
+
+        // Google shows an end-of-list marker once the feed is exhausted
+        if (await page.$(SELECTORS.endOfList)) {
+            stats.reachedEnd = true;
+            console.log('Reached the end of the results list');
+            break;
         }
 
         // Check if we got new results
-        if (businessLinks.length === previousCount) {
+        if (cards.length === previousCount) {
+            // A stalled feed can mean Google started blocking mid-scroll; the retry
+            // re-scrolls the feed, and places already queued are not queued again
+            await assertNotBlocked();
             noNewResultsCount++;
             if (noNewResultsCount >= 3) {
                 console.log('No more results loading after 3 attempts');
@@ -290,10 +570,10 @@ async function extractBusinessListings(page, maxResults, filters, proxyConfigura
             noNewResultsCount = 0;
         }
 
-        previousCount = businessLinks.length;
+        previousCount = cards.length;
 
         // Stop if we have enough results
-        if (businesses.length >= maxResults) {
+        if (countedKeys.size >= maxResults) {
             break;
         }
 
@@ -309,388 +589,18 @@ async function extractBusinessListings(page, maxResults, filters, proxyConfigura
         }
     }
 
-    return businesses;
-}
-
-/**
- * Extract business hours from Google Maps
- * Returns structured hours data or null if not available
- * Optimized with reduced timeout for better performance
- */
-async function extractHoursData(page) {
-    try {
-        // Look for hours button - try multiple approaches
-        let hoursButton = null;
-
-        // Try 1: Standard selector
-        hoursButton = await page.$('button[data-item-id*="oh"]');
-
-        // Try 2: Button containing hours text and "See more hours" or status
-        if (!hoursButton) {
-            const buttons = await page.$$('button');
-            for (const btn of buttons) {
-                try {
-                    const text = await btn.textContent();
-                    if (text && (
-                        text.toLowerCase().includes('see more hours') ||
-                        text.toLowerCase().includes('hours') ||
-                        (text.toLowerCase().includes('open') && text.match(/\d+\s*(am|pm)/i)) ||
-                        (text.toLowerCase().includes('close') && text.match(/\d+\s*(am|pm)/i))
-                    )) {
-                        hoursButton = btn;
-                        break;
-                    }
-                } catch (e) {
-                    // Skip this button
-                }
-            }
-        }
-
-        if (!hoursButton) {
-            return null;
-        }
-
-        // Click to expand hours with reduced timeout (5s instead of 30s)
-        await hoursButton.click({ timeout: 5000 });
-        await page.waitForTimeout(1500);
-
-        // Extract hours from aria-labels
-        // Google Maps uses buttons with aria-labels like "Monday, 9:00 AM to 5:00 PM, Copy open hours"
-        // Note: Google Maps shows multiple hour types (main hours, kitchen hours, happy hours, etc.)
-        // We only capture the FIRST occurrence for each day, which is typically the main operating hours
-        const hoursData = await page.$$eval('button[aria-label*="Copy open hours"]', buttons => {
-            const hours = {};
-            const seenDays = new Set();
-
-            buttons.forEach(button => {
-                const ariaLabel = button.getAttribute('aria-label');
-                if (!ariaLabel) return;
-
-                // Parse aria-label: "Monday, 9:00 AM to 5:00 PM, Copy open hours"
-                const match = ariaLabel.match(/^(Monday|Tuesday|Wednesday|Thursday|Friday|Saturday|Sunday),\s*(.+?),\s*Copy open hours/i);
-                if (match) {
-                    const day = match[1];
-                    const timeRange = match[2].trim();
-
-                    // Only take the first occurrence of each day (main operating hours)
-                    // Skip subsequent entries (kitchen hours, happy hours, etc.)
-                    if (!seenDays.has(day)) {
-                        hours[day] = timeRange;
-                        seenDays.add(day);
-                    }
-                }
-            });
-
-            return hours;
-        });
-
-        // If no hours found, return null
-        if (Object.keys(hoursData).length === 0) {
-            console.log('  ℹ No hours data found in buttons');
-            return null;
-        }
-
-        // hoursData is already formatted as { "Monday": "9:00 AM to 5:00 PM", ... }
-        const formattedHours = hoursData;
-
-        console.log(`  ✓ Extracted hours for ${Object.keys(formattedHours).length} days`);
-        return formattedHours;
-
-    } catch (error) {
-        // Business hours not available or extraction failed
-        console.log(`  ✗ Hours extraction failed: ${error.message}`);
-        return null;
-    }
-}
-
-/**
- * Extract price level and price range information
- * Returns both price level symbols ($, $$) and actual price ranges ($50-100)
- */
-async function extractPriceInfo(page) {
-    let priceLevel = null;
-    let priceRange = null;
-
-    try {
-        // Try to find price level symbols ($, $$, $$$, $$$$)
-        priceLevel = await extractText(page, [SELECTORS.priceLevel, SELECTORS.priceLevelAlt]);
-
-        // Try to find price range (e.g., "$50–100", "$100+")
-        const priceRangeText = await page.evaluate(() => {
-            // Look for text patterns that match price ranges
-            const spans = Array.from(document.querySelectorAll('span'));
-            for (const span of spans) {
-                const text = span.textContent?.trim() || '';
-                // Match patterns like: "$50–100", "$100+", "$50-100", "· $50–100"
-                if (/\$\d+[–\-+](\d+)?/.test(text)) {
-                    // Remove leading · if present
-                    return text.replace(/^·\s*/, '');
-                }
-            }
-            return null;
-        });
-
-        if (priceRangeText) {
-            priceRange = priceRangeText;
-        }
-    } catch (error) {
-        // Price info not available
-    }
-
-    return { priceLevel, priceRange };
-}
-
-/**
- * Extract data from a single business card
- */
-async function extractBusinessData(page, businessLink, seenUrls, enableDebug = false, proxyConfiguration = null, extractBusinessHours = false, fastMode = false) {
-    try {
-        // Get the business URL
-        const businessUrl = await businessLink.getAttribute('href');
-        if (!businessUrl || seenUrls.has(businessUrl)) {
-            return null;
-        }
-        seenUrls.add(businessUrl);
-
-        // Click on the business to open details panel
-        await businessLink.scrollIntoViewIfNeeded();
-        await businessLink.click();
-
-        // Wait for the details panel to load
-        // Use simpler, faster approach: just wait for content to appear
-        const baseWait = fastMode ? 1000 : (proxyConfiguration ? 3000 : 2000);
-        await page.waitForTimeout(baseWait);
-
-        // Extract business name with multiple fallback strategies
-        let businessName = null;
-
-        // Strategy 1: Try known selectors
-        businessName = await extractText(page, [
-            SELECTORS.businessName,
-            SELECTORS.businessNameAlt,
-            'h1',  // Fallback to any h1
-            'h1[class]',  // Any h1 with a class
-        ]);
-
-        // Strategy 2: If still no name, try to find it in the details panel ONLY (not the sidebar)
-        if (!businessName) {
-            businessName = await page.evaluate(() => {
-                // Find the details panel (main element that's NOT the results feed)
-                const mainElements = Array.from(document.querySelectorAll('div[role="main"]'));
-                const detailsPanel = mainElements.find(main => {
-                    const label = main.getAttribute('aria-label');
-                    return !label || !label.includes('Results for');
-                });
-
-                if (!detailsPanel) {
-                    return null;
-                }
-
-                // Look for h1 elements ONLY within the details panel
-                const h1Elements = detailsPanel.querySelectorAll('h1');
-                for (const h1 of h1Elements) {
-                    const text = h1.textContent?.trim();
-                    // Filter out generic headings like "Results", "Reviews", etc.
-                    if (text &&
-                        text.length > 0 &&
-                        text.length < 200 &&
-                        text !== 'Results' &&
-                        !text.startsWith('Results for')) {
-                        return text;
-                    }
-                }
-
-                // Look for elements with specific aria-labels within details panel
-                const labeledElements = detailsPanel.querySelectorAll('[aria-label]');
-                for (const el of labeledElements) {
-                    const label = el.getAttribute('aria-label');
-                    if (label && el.tagName === 'H1') {
-                        return label;
-                    }
-                }
-
-                return null;
-            });
-        }
-
-        if (!businessName) {
-            // Debug: capture what's actually on the page (only for first failure)
-            if (enableDebug) {
-                console.log('\n⚠️  DEBUG: Could not extract business name. Analyzing page structure...\n');
-
-                const debugInfo = await page.evaluate(() => {
-                    // Get all h1 elements and their structure
-                    const h1s = Array.from(document.querySelectorAll('h1')).map(h1 => ({
-                        text: h1.textContent?.substring(0, 100),
-                        classes: h1.className,
-                        html: h1.outerHTML.substring(0, 200),
-                    }));
-
-                    // Get all elements with large text (potential business names)
-                    const largeText = Array.from(document.querySelectorAll('*'))
-                        .filter(el => {
-                            const style = window.getComputedStyle(el);
-                            const fontSize = parseFloat(style.fontSize);
-                            return fontSize > 20 && el.textContent && el.textContent.trim().length < 100;
-                        })
-                        .slice(0, 5)
-                        .map(el => ({
-                            tag: el.tagName,
-                            text: el.textContent?.trim(),
-                            classes: el.className,
-                        }));
-
-                    // Get the main container info
-                    const main = document.querySelector('[role="main"]');
-                    const mainText = main?.textContent?.substring(0, 500);
-
-                    return { h1s, largeText, mainText };
-                });
-
-                console.log('📊 H1 elements found:', JSON.stringify(debugInfo.h1s, null, 2));
-                console.log('📊 Large text elements (potential names):', JSON.stringify(debugInfo.largeText, null, 2));
-                console.log('📊 Main container text:', debugInfo.mainText?.substring(0, 200));
-
-                // Take screenshot for visual debugging
-                try {
-                    await page.screenshot({ path: 'debug-business-details.png', fullPage: true });
-                    console.log('📸 Screenshot saved: debug-business-details.png\n');
-                } catch (e) {
-                    console.log('⚠️  Could not save screenshot');
-                }
-            } else {
-                console.log('  ✗ Could not extract business name');
-            }
-
-            return null;
-        }
-
-        // Extract all data fields
-        const address = await extractText(page, [SELECTORS.addressText]);
-        const phone = await extractText(page, [SELECTORS.phoneText]);
-        const website = await extractAttribute(page, SELECTORS.websiteLink, 'href');
-
-        // Extract rating
-        const ratingElement = await page.$(SELECTORS.ratingSpan);
-        let rating = null;
-        if (ratingElement) {
-            const ariaLabel = await ratingElement.getAttribute('aria-label');
-            const match = ariaLabel?.match(ARIA_PATTERNS.rating);
-            rating = match ? match[1] : null;
-        }
-
-        // Extract review count
-        const reviewElement = await page.$(SELECTORS.reviewCount);
-        let reviewCount = '0';
-        if (reviewElement) {
-            const ariaLabel = await reviewElement.getAttribute('aria-label');
-            const match = ariaLabel?.match(ARIA_PATTERNS.reviews);
-            reviewCount = match ? match[1] : '0';
-        }
-
-        // Extract category
-        const category = await extractText(page, [SELECTORS.categoryButton, SELECTORS.categoryText]);
-
-        // Extract price level (e.g., $, $$, $$$, $$$$) and price range (e.g., "$50–100", "$100+")
-        const { priceLevel, priceRange } = await extractPriceInfo(page);
-
-        // Extract business hours (only if enabled)
-        let businessHours = null;
-        if (extractBusinessHours) {
-            businessHours = await extractHoursData(page);
-        }
-
-        // Check for email in Google profile (rare)
-        const profileEmail = await findEmailInGoogleProfile(page);
-
-        // Build full Google Maps URL
-        // businessUrl might be relative (starts with /) or absolute (full URL)
-        const fullUrl = businessUrl.startsWith('http')
-            ? businessUrl
-            : `https://www.google.com/maps${businessUrl}`;
-
-        return {
-            businessName,
-            address,
-            phone,
-            website,
-            rating,
-            reviewCount,
-            category,
-            priceLevel,
-            priceRange,
-            googleMapsUrl: fullUrl,
-            emails: profileEmail ? [profileEmail] : [],
-            emailSource: profileEmail ? 'google_profile' : 'not_found',
-            businessHours,
-        };
-
-    } catch (error) {
-        console.error('  Error extracting business data:', error.message);
-        return null;
-    }
-}
-
-/**
- * Extract text content from page using multiple selectors
- */
-async function extractText(page, selectors) {
-    if (!Array.isArray(selectors)) {
-        selectors = [selectors];
-    }
-
-    for (const selector of selectors) {
-        try {
-            const element = await page.$(selector);
-            if (element) {
-                const text = await element.textContent();
-                if (text && text.trim()) {
-                    return text.trim();
-                }
-            }
-        } catch (error) {
-            // Try next selector
-        }
-    }
-
-    return null;
-}
-
-/**
- * Extract attribute from element
- */
-async function extractAttribute(page, selector, attribute) {
-    try {
-        const element = await page.$(selector);
-        if (element) {
-            return await element.getAttribute(attribute);
-        }
-    } catch (error) {
-        // Attribute not found
-    }
-    return null;
-}
+    stats.matched = countedKeys.size;
+    stats.budgetReached = countedKeys.size >= maxResults;
 
-/**
- * Scroll the sidebar to load more results
- */
-async function scrollSidebar(page) {
-    try {
-        await page.evaluate((feedSelector) => {
-            const feed = document.querySelector(feedSelector);
-            if (feed) {
-                feed.scrollTo(0, feed.scrollHeight);
-            }
-        }, SELECTORS.feedContainer);
-    } catch (error) {
-        console.error('Error scrolling sidebar:', error.message);
-    }
+    return stats;
 }
 
 /**
- * Add random delay to simulate human behavior
+ * Convert feed card fields into the shape meetsFilterCriteria expects
  */
-async function randomDelay() {
-    const delay = TIMEOUTS.humanDelay + Math.random() * 1000;
-    await new Promise(resolve => setTimeout(resolve, delay));
+function toFilterData(card) {
+    return {
+        rating: parseRating(card.rating),
+        reviewCount: parseReviewCount(card.reviewCount),
+    };
 }
@@ -0,0 +1,120 @@
+/**
+ * Action link utilities
+ * Classifies the "Reserve a table", "Order online", "Menu" and "Book appointment"
+ * links of a place panel and names the third-party provider behind them
+ */
+
+/**
+ * Known providers by domain, with the action type their links usually are
+ * Subdomains match too ("order.toasttab.com" is Toast)
+ */
+export const PROVIDERS = {
+    'opentable.com': { name: 'OpenTable', type: 'reservation' },
+    'resy.com': { name: 'Resy', type: 'reservation' },
+    'exploretock.com': { name: 'Tock', type: 'reservation' },
+    'sevenrooms.com': { name: 'SevenRooms', type: 'reservation' },
+    'yelp.com': { name: 'Yelp', type: 'reservation' },
+    'thefork.com': { name: 'TheFork', type: 'reservation' },
+    'quandoo.com': { name: 'Quandoo', type: 'reservation' },
+    'bookatable.com': { name: 'Bookatable', type: 'reservation' },
+    'doordash.com': { name: 'DoorDash', type: 'order' },
+    'ubereats.com': { name: 'Uber Eats', type: 'order' },
+    'grubhub.com': { name: 'Grubhub', type: 'order' },
+    'seamless.com': { name: 'Seamless', type: 'order' },
+    'postmates.com': { name: 'Postmates', type: 'order' },
+    'toasttab.com': { name: 'Toast', type: 'order' },
+    'chownow.com': { name: 'ChowNow', type: 'order' },
+    'slicelife.com': { name: 'Slice', type: 'order' },
+    'deliveroo.com': { name: 'Deliveroo', type: 'order' },
+    'just-eat.com': { name: 'Just Eat', type: 'order' },
+    'lieferando.de': { name: 'Lieferando', type: 'order' },
+    'wolt.com': { name: 'Wolt', type: 'order' },
+    'clover.com': { name: 'Clover', type: 'order' },
+    'square.site': { name: 'Square', type: 'order' },
+    'squareup.com': { name: 'Square', type: 'appointment' },
+    'calendly.com': { name: 'Calendly', type: 'appointment' },
+    'acuityscheduling.com': { name: 'Acuity Scheduling', type: 'appointment' },
+    'as.me': { name: 'Acuity Scheduling', type: 'appointment' },
+    'vagaro.com': { name: 'Vagaro', type: 'appointment' },
+    'booksy.com': { name: 'Booksy', type: 'appointment' },
+    'fresha.com': { name: 'Fresha', type: 'appointment' },
+    'mindbodyonline.com': { name: 'Mindbody', type: 'appointment' },
+    'setmore.com': { name: 'Setmore', type: 'appointment' },
+    'schedulicity.com': { name: 'Schedulicity', type: 'appointment' },
+    'zocdoc.com': { name: 'Zocdoc', type: 'appointment' },
+    'doctolib.de': { name: 'Doctolib', type: 'appointment' },
+    'doctolib.fr': { name: 'Doctolib', type: 'appointment' },
+    'localeats.com': { name: 'LocalEats', type: 'menu' },
+    'menupages.com': { name: 'MenuPages', type: 'menu' },
+    'allmenus.com': { name: 'Allmenus', type: 'menu' },
+};
+
+// Label wording for each action type (aria-label or "Reservations: opentable.com" prefix)
+const TYPE_PATTERNS = [
+    ['reservation', /\b(reserv|book a table|table)/i],
+    ['appointment', /\b(appointment|book online|booking|schedule)/i],
+    ['order', /\b(order|delivery|pickup|takeout)/i],
+    ['menu', /\bmenu\b/i],
+];
+
+/**
+ * Unwrap Google redirect links ("https://www.google.com/url?q=https://...")
+ */
+export function unwrapGoogleRedirect(url) {
+    try {
+        const parsed = new URL(url);
+        if (/(^|\.)google\.[a-z.]+$/.test(parsed.hostname) && parsed.pathname === '/url') {
+            return parsed.searchParams.get('q') || parsed.searchParams.get('url') || url;
+        }
+        return url;
+    } catch {
+        return url;
+    }
+}
+
+/**
+ * Get the registrable-looking domain of a URL ("www.opentable.com" -> "opentable.com")
+ * Known provider domains are matched by suffix; other hosts only lose "www."
+ */
+export function getLinkDomain(url) {
+    let hostname;
+    try {
+        hostname = new URL(url).hostname.toLowerCase();
+    } catch {
+        return null;
+    }
+
+    const provider = Object.keys(PROVIDERS).find(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+    return provider || hostname.replace(/^www\./, '');
+}
+
+/**
+ * Classify a raw action link read from the place panel
+ * @param {{label: string|null, itemId: string|null, href: string|null}} link
+ * @returns {{type: string, url: string, domain: string|null, provider: string|null}|null} - null when not an action link
+ */
+export function classifyActionLink({ label, itemId, href }) {
+    if (!href) return null;
+
+    const url = unwrapGoogleRedirect(href);
+    // Google's own reservation flow (/maps/reserve) names the provider only in the label ("Reservations: resy.com")
+    const labelDomain = label?.match(/:\s*([a-z0-9.-]+\.[a-z]{2,})\s*$/i)?.[1]?.toLowerCase();
+    const isGoogleUrl = /^https?:\/\/(www\.)?google\./i.test(url);
+    const domain = getLinkDomain(isGoogleUrl && labelDomain ? `https://${labelDomain}` : url);
+    const provider = PROVIDERS[domain] || null;
+
+    let type = itemId === 'menu' ? 'menu' : null;
+    if (!type && label) {
+        type = TYPE_PATTERNS.find(([, pattern]) => pattern.test(label))?.[0] || null;
+    }
+    // Labels in other interface languages: fall back to what the provider is known for
+    type = type || provider?.type || null;
+    if (!type) return null;
+
+    return {
+        type,
+        url,
+        domain: isGoogleUrl && !labelDomain ? null : domain,
+        provider: provider?.name || null,
+    };
+}
@@ -0,0 +1,357 @@
+/**
+ * Address parser
+ * Splits a Google Maps address into street, city, region and postal code using the
+ * address layout of its country (US "City, ST 12345", German "12345 City",
+ * UK "City SW1A 1AA", ...)
+ *
+ * The country comes from, in order: a country name at the end of the address,
+ * the search location, the postal code format, and the place coordinates
+ */
+
+/**
+ * Supported countries: English name, names Google may print at the end of an
+ * address, and a rough bounding box [minLat, maxLat, minLng, maxLng]
+ */
+export const COUNTRIES = {
+    US: {
+        name: 'United States',
+        aliases: ['usa', 'us', 'united states', 'united states of america', 'estados unidos', 'vereinigte staaten', 'états-unis', 'stati uniti', 'verenigde staten', 'eua'],
+        bounds: [24.5, 49.4, -124.8, -66.9],
+    },
+    CA: {
+        name: 'Canada',
+        aliases: ['canada', 'kanada', 'canadá'],
+        bounds: [41.7, 83.1, -141.0, -52.6],
+    },
+    GB: {
+        name: 'United Kingdom',
+        aliases: ['uk', 'united kingdom', 'great britain', 'england', 'scotland', 'wales', 'northern ireland', 'vereinigtes königreich', 'royaume-uni', 'reino unido', 'regno unito', 'verenigd koninkrijk'],
+        bounds: [49.9, 60.9, -8.2, 1.8],
+    },
+    DE: {
+        name: 'Germany',
+        aliases: ['germany', 'deutschland', 'allemagne', 'alemania', 'germania', 'duitsland', 'alemanha'],
+        bounds: [47.2, 55.1, 5.8, 15.1],
+    },
+    AT: {
+        name: 'Austria',
+        aliases: ['austria', 'österreich', 'autriche', 'oostenrijk', 'áustria'],
+        bounds: [46.3, 49.1, 9.5, 17.2],
+    },
+    CH: {
+        name: 'Switzerland',
+        aliases: ['switzerland', 'schweiz', 'suisse', 'svizzera', 'suiza', 'zwitserland', 'suíça'],
+        bounds: [45.8, 47.9, 5.9, 10.5],
+    },
+    FR: {
+        name: 'France',
+        aliases: ['france', 'frankreich', 'francia', 'frankrijk', 'frança'],
+        bounds: [41.3, 51.1, -5.2, 9.6],
+    },
+    ES: {
+        name: 'Spain',
+        aliases: ['spain', 'españa', 'spanien', 'espagne', 'spagna', 'spanje', 'espanha'],
+        bounds: [36.0, 43.8, -9.4, 3.4],
+    },
+    IT: {
+        name: 'Italy',
+        aliases: ['italy', 'italia', 'italien', 'italie', 'itália'],
+        bounds: [36.6, 47.1, 6.6, 18.6],
+    },
+    NL: {
+        name: 'Netherlands',
+        aliases: ['netherlands', 'the netherlands', 'nederland', 'niederlande', 'pays-bas', 'países bajos', 'paesi bassi', 'países baixos', 'holland'],
+        bounds: [50.7, 53.6, 3.3, 7.3],
+    },
+    PT: {
+        name: 'Portugal',
+        aliases: ['portugal', 'portogallo'],
+        bounds: [36.9, 42.2, -9.6, -6.2],
+    },
+    AU: {
+        name: 'Australia',
+        aliases: ['australia', 'australien', 'australie', 'austrália'],
+        bounds: [-43.7, -10.6, 113.0, 153.7],
+    },
+    JP: {
+        name: 'Japan',
+        aliases: ['japan', '日本', 'japon', 'japón', 'giappone', 'japão'],
+        bounds: [24.0, 45.6, 122.9, 145.9],
+    },
+};
+
+// Smaller countries first, so overlapping bounding boxes resolve to the likelier one
+const BOUNDS_ORDER = ['NL', 'CH', 'AT', 'PT', 'GB', 'DE', 'ES', 'IT', 'FR', 'JP', 'AU', 'US', 'CA'];
+
+const US_STATES = new Set([
+    'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'DC', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN', 'IA', 'KS',
+    'KY', 'LA', 'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM', 'NY', 'NC',
+    'ND', 'OH', 'OK', 'OR', 'PA', 'PR', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA', 'WV', 'WI', 'WY',
+]);
+const CA_PROVINCES = new Set(['AB', 'BC', 'MB', 'NB', 'NL', 'NS', 'NT', 'NU', 'ON', 'PE', 'QC', 'SK', 'YT']);
+const AU_STATES = 'NSW|VIC|QLD|WA|SA|TAS|ACT|NT';
+
+/**
+ * Postal code before the city ("10827 Berlin"), with the code format of each country
+ */
+const POSTAL_FIRST = {
+    DE: /^(\d{5})\s+(.+)$/,
+    AT: /^(?:A-)?(\d{4})\s+(.+)$/,
+    CH: /^(?:CH-)?(\d{4})\s+(.+)$/,
+    FR: /^(\d{5})\s+(.+)$/,
+    ES: /^(\d{5})\s+(.+)$/,
+    IT: /^(\d{5})\s+(.+)$/,
+    NL: /^(\d{4}\s?[A-Z]{2})\s+(.+)$/,
+    PT: /^(\d{4}-\d{3})\s+(.+)$/,
+};
+
+/**
+ * Layout parsers: take the address segments (country removed) and return the
+ * components, or null if the address does not follow that country's layout
+ */
+const LAYOUTS = {
+    // "123 Main St, Brooklyn, NY 11201"
+    US: (segments) => {
+        const index = findLastIndex(segments, segment => {
+            const match = segment.match(/^([A-Z]{2})\s+(\d{5}(?:-\d{4})?)$/);
+            return match && US_STATES.has(match[1]);
+        });
+        if (index < 1) return null;
+
+        const [, state, zip] = segments[index].match(/^([A-Z]{2})\s+(\S+)$/);
+        return { ...splitStreetCity(segments.slice(0, index)), state, zip };
+    },
+
+    // "290 Bremner Blvd, Toronto, ON M5V 3L9"
+    CA: (segments) => {
+        const pattern = /^([A-Z]{2})\s+([A-Z]\d[A-Z])\s?(\d[A-Z]\d)$/i;
+        const index = findLastIndex(segments, segment => {
+            const match = segment.match(pattern);
+            return match && CA_PROVINCES.has(match[1].toUpperCase());
+        });
+        if (index < 1) return null;
+
+        const [, state, fsa, ldu] = segments[index].match(pattern);
+        return { ...splitStreetCity(segments.slice(0, index)), state: state.toUpperCase(), zip: `${fsa} ${ldu}`.toUpperCase() };
+    },
+
+    // "221B Baker St, London NW1 6XE" or "..., London, NW1 6XE"
+    GB: (segments) => {
+        const pattern = /^(.*?)\s*\b([A-Z]{1,2}\d[A-Z\d]?)\s*(\d[A-Z]{2})$/i;
+        const index = findLastIndex(segments, segment => pattern.test(segment));
+        if (index < 1) return null;
+
+        const [, cityText, outward, inward] = segments[index].match(pattern);
+        const zip = `${outward} ${inward}`.toUpperCase();
+        if (cityText) {
+            return { street: joinSegments(segments.slice(0, index)), city: cityText, state: null, zip };
+        }
+        return { ...splitStreetCity(segments.slice(0, index)), state: null, zip };
+    },
+
+    // "1 Macquarie St, Sydney NSW 2000"
+    AU: (segments) => {
+        const pattern = new RegExp(`^(.+?)\\s+(${AU_STATES})\\s+(\\d{4})$`);
+        const index = findLastIndex(segments, segment => pattern.test(segment));
+        if (index < 1) return null;
+
+        const [, city, state, zip] = segments[index].match(pattern);
+        return { street: joinSegments(segments.slice(0, index)), city, state, zip };
+    },
+
+    // "1 Chome-1-2 Oshiage, Sumida City, Tokyo 131-0045" or "〒131-0045 東京都墨田区押上１丁目１−２"
+    JP: (segments) => {
+        const native = segments.join(', ').match(/^〒?\s*(\d{3}-\d{4})\s*(.+?[都道府県])(.+?[市区町村])(.*)$/);
+        if (native) {
+            const [, zip, state, city, street] = native;
+            return { street: street.trim() || null, city, state, zip };
+        }
+
+        const pattern = /^(.+?)\s+(\d{3}-\d{4})$/;
+        const index = findLastIndex(segments, segment => pattern.test(segment));
+        if (index < 1) return null;
+
+        const [, state, zip] = segments[index].match(pattern);
+        return { ...splitStreetCity(segments.slice(0, index)), state, zip };
+    },
+
+    ...Object.fromEntries(Object.entries(POSTAL_FIRST).map(([code, pattern]) => [code, (segments) => {
+        const index = findLastIndex(segments, segment => pattern.test(segment));
+        if (index < 1) return null;
+
+        const [, zip, cityText] = segments[index].match(pattern);
+
+        // Italian cities carry the province code ("00184 Roma RM"); other regions follow as a segment
+        const province = code === 'IT' ? cityText.match(/^(.+?)\s+([A-Z]{2})$/) : null;
+        return {
+            street: joinSegments(segments.slice(0, index)),
+            city: province ? province[1] : cityText,
+            state: province ? province[2] : joinSegments(segments.slice(index + 1)),
+            zip,
+        };
+    }])),
+};
+
+// Distinctive formats first; postal-code-first layouts share codes and need the country to tell apart
+const LAYOUT_ORDER = ['US', 'CA', 'GB', 'AU', 'JP', 'NL', 'PT', 'DE', 'AT', 'CH', 'FR', 'ES', 'IT'];
+
+// Country an interface language most likely points to; English says nothing about the country
+const LANGUAGE_COUNTRIES = { de: 'DE', fr: 'FR', es: 'ES', it: 'IT', nl: 'NL', pt: 'PT' };
+
+function findLastIndex(items, predicate) {
+    for (let i = items.length - 1; i >= 0; i--) {
+        if (predicate(items[i])) return i;
+    }
+    return -1;
+}
+
+function joinSegments(segments) {
+    return segments.length > 0 ? segments.join(', ') : null;
+}
+
+/**
+ * Last segment is the city, the ones before it the street
+ */
+function splitStreetCity(segments) {
+    if (segments.length === 1) {
+        return { street: null, city: segments[0] };
+    }
+    return { street: joinSegments(segments.slice(0, -1)), city: segments[segments.length - 1] };
+}
+
+/**
+ * Find a country by name ("Deutschland", "USA")
+ * @returns {string|null} - ISO 3166-1 alpha-2 code
+ */
+export function findCountryByName(text) {
+    const name = text?.trim().toLowerCase();
+    if (!name) return null;
+
+    for (const [code, country] of Object.entries(COUNTRIES)) {
+        if (country.aliases.includes(name)) return code;
+    }
+    return null;
+}
+
+/**
+ * Guess the country of a search location ("Berlin, Germany", "Austin, TX", "Toronto ON")
+ * @returns {string|null} - ISO 3166-1 alpha-2 code
+ */
+export function findCountryInLocation(location) {
+    if (!location || typeof location !== 'string') return null;
+
+    const parts = location.split(',').map(part => part.trim()).filter(Boolean);
+    const last = parts[parts.length - 1] || '';
+
+    const byName = findCountryByName(last);
+    if (byName) return byName;
+
+    // Trailing region code: US states win over Canadian provinces and Australian states
+    const region = last.split(/\s+/).pop().toUpperCase();
+    if (parts.length > 1 || last.includes(' ')) {
+        if (US_STATES.has(region)) return 'US';
+        if (CA_PROVINCES.has(region)) return 'CA';
+        if (new RegExp(`^(${AU_STATES})$`).test(region)) return 'AU';
+    }
+
+    return null;
+}
+
+/**
+ * Find the country whose rough bounding box contains a point
+ * @returns {string|null} - ISO 3166-1 alpha-2 code
+ */
+export function findCountryByCoordinates(latitude, longitude) {
+    if (typeof latitude !== 'number' || typeof longitude !== 'number') return null;
+
+    return BOUNDS_ORDER.find(code => {
+        const [minLat, maxLat, minLng, maxLng] = COUNTRIES[code].bounds;
+        return latitude >= minLat && latitude <= maxLat && longitude >= minLng && longitude <= maxLng;
+    }) || null;
+}
+
+/**
+ * Parse an address into components
+ * addressConfidence is "high" when the layout matched a country known from the address,
+ * search location or coordinates, "medium" when only the postal code format matched
+ * (city-only locations like "Berlin" without coordinates fall back to the interface language),
+ * and "low" when the address was split without recognizing its layout
+ * @param {string} fullAddress - Address as shown on Google Maps
+ * @param {Object} [context]
+ * @param {string} [context.location] - Search location the place was found with
+ * @param {number} [context.latitude] - Place latitude
+ * @param {number} [context.longitude] - Place longitude
+ * @param {string} [context.language] - Interface language, a hint among shared postal formats
+ * @returns {{street, city, state, zip, country, countryCode, addressConfidence}}
+ */
+export function parseAddress(fullAddress, context = {}) {
+    const empty = { street: null, city: null, state: null, zip: null, country: null, countryCode: null, addressConfidence: null };
+    if (!fullAddress || typeof fullAddress !== 'string') {
+        return empty;
+    }
+
+    const segments = fullAddress.split(',').map(part => part.replace(/\s+/g, ' ').trim()).filter(Boolean);
+    if (segments.length === 0) {
+        return empty;
+    }
+
+    const namedCountry = segments.length > 1 ? findCountryByName(segments[segments.length - 1]) : null;
+    if (namedCountry) {
+        segments.pop();
+    }
+    const hintCountry = findCountryInLocation(context.location);
+    const coordinateCountry = findCountryByCoordinates(context.latitude, context.longitude);
+    const languageCountry = LANGUAGE_COUNTRIES[context.language] || null;
+
+    // Country whose layout the address follows, when it can be told
+    let layoutCountry = null;
+    let components = null;
+
+    const preferredCountry = namedCountry || hintCountry;
+    if (preferredCountry) {
+        components = LAYOUTS[preferredCountry](segments);
+        layoutCountry = components ? preferredCountry : null;
+    }
+
+    if (!components) {
+        // Postal-code-first countries share formats: the coordinates, else the language, pick among them
+        const matches = LAYOUT_ORDER
+            .map(code => ({ code, components: LAYOUTS[code](segments) }))
+            .filter(match => match.components);
+        const match = matches.find(candidate => candidate.code === coordinateCountry) ||
+            matches.find(candidate => candidate.code === languageCountry) ||
+            matches[0];
+
+        if (match) {
+            components = match.components;
+            if ([coordinateCountry, languageCountry].includes(match.code) || matches.length === 1) {
+                layoutCountry = match.code;
+            }
+        }
+    }
+
+    const countryCode = namedCountry || layoutCountry || hintCountry || coordinateCountry;
+
+    let confidence = 'low';
+    if (components) {
+        const confirmed = layoutCountry && [namedCountry, hintCountry, coordinateCountry].includes(layoutCountry);
+        confidence = confirmed ? 'high' : 'medium';
+    } else {
+        // Unrecognized layout: "street, city, region"
+        components = {
+            ...splitStreetCity(segments.slice(0, 2)),
+            state: segments[2] || null,
+            zip: null,
+        };
+    }
+
+    return {
+        street: components.street || null,
+        city: components.city || null,
+        state: components.state || null,
+        zip: components.zip || null,
+        country: countryCode ? COUNTRIES[countryCode].name : null,
+        countryCode,
+        addressConfidence: confidence,
+    };
+}
@@ -0,0 +1,181 @@
+/**
+ * Business hours utilities
+ * Turns Google's hours text ("9 AM–5 PM", "11 AM–2 PM, 5–10 PM", "Open 24 hours")
+ * into open/close intervals in 24h "HH:MM" time, and checks them against a local datetime
+ *
+ * An interval whose close time is not after its open time runs past midnight
+ * ({ open: "18:00", close: "02:00" } closes at 2 AM the next day)
+ */
+
+export const WEEK_DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const OPEN_24_HOURS = [{ open: '00:00', close: '24:00' }];
+
+// "9", "9:30", "9 AM", "9:30 PM", "21:30"
+const TIME_PATTERN = /^(\d{1,2})(?::(\d{2}))?\s*([AP])?\.?\s*M?\.?$/i;
+
+/**
+ * Parse one time ("9:30 PM") to minutes since midnight
+ * @param {string} text - Time text
+ * @param {string|null} fallbackMeridiem - "A" or "P" to use when the text has none
+ * @returns {number|null}
+ */
+function parseTime(text, fallbackMeridiem = null) {
+    const match = text.trim().match(TIME_PATTERN);
+    if (!match) return null;
+
+    let hours = parseInt(match[1], 10);
+    const minutes = match[2] ? parseInt(match[2], 10) : 0;
+    const meridiem = (match[3] || fallbackMeridiem)?.toUpperCase();
+
+    if (minutes > 59) return null;
+    if (meridiem) {
+        if (hours < 1 || hours > 12) return null;
+        hours = (hours % 12) + (meridiem === 'P' ? 12 : 0);
+    } else if (hours > 24) {
+        return null;
+    }
+
+    return hours * 60 + minutes;
+}
+
+/**
+ * Get the AM/PM letter of a time text, if any
+ */
+function getMeridiem(text) {
+    return text.match(/\d\s*([AP])\.?\s*M\.?\s*$/i)?.[1] || null;
+}
+
+/**
+ * Format minutes since midnight as "HH:MM"
+ */
+function formatTime(minutes) {
+    const hours = Math.floor(minutes / 60);
+    return `${String(hours).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Parse "HH:MM" to minutes since midnight
+ */
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * Parse the hours text of one day into open/close intervals
+ * Handles split shifts ("11 AM–2 PM, 5–10 PM"), overnight ranges ("6 PM–2 AM"),
+ * "Open 24 hours", "Closed" and 24h times ("09:00–17:00"), with or without hour
+ * words ("8–17 Uhr", "9 h 30–18 h") or notes ("9 AM–5 PM (Kitchen)")
+ * @param {string} text - Hours text as shown by Google Maps
+ * @returns {Array<{open: string, close: string}>|null} - Intervals ([] when closed), or null if not understood
+ */
+export function parseHoursText(text) {
+    if (!text || typeof text !== 'string') return null;
+
+    // Google separates times with narrow no-break spaces and en dashes
+    const normalized = text.replace(/[\u00a0\u202f\u2009]/g, ' ')
+        // Notes such as "(Kitchen)" or "(Happy hour)"
+        .replace(/\s*\([^)]*\)/g, '')
+        // Hour words: "9 h 30" and "9h30" are 9:30, "17 Uhr", "17 h" and "17 uur" are 17
+        .replace(/(\d)\s*h\s*(\d{2})\b/gi, '$1:$2')
+        .replace(/(\d)\s*(?:uhr|uur|hrs?|h)\b\.?/gi, '$1')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    if (/^closed$/i.test(normalized)) return [];
+    if (/^open 24 hours$/i.test(normalized)) return OPEN_24_HOURS.map(interval => ({ ...interval }));
+
+    const intervals = [];
+    for (const shift of normalized.split(/\s*,\s*/)) {
+        const parts = shift.split(/\s*(?:–|—|-|\bto\b)\s*/i);
+        if (parts.length !== 2) return null;
+
+        const [startText, endText] = parts;
+
+        // "5–10 PM": the start takes the end's AM/PM when it has none
+        const endMeridiem = getMeridiem(endText);
+        const open = parseTime(startText, getMeridiem(startText) ? null : endMeridiem);
+        const close = parseTime(endText);
+        if (open === null || close === null) return null;
+
+        intervals.push({ open: formatTime(open), close: formatTime(close) });
+    }
+
+    return intervals;
+}
+
+/**
+ * Parse a { day: text } hours map into { day: intervals }
+ * Days whose text cannot be understood are left out
+ * @param {Object|null} hours - e.g. { "Monday": "9 AM–5 PM", "Sunday": "Closed" }
+ * @returns {Object|null}
+ */
+export function parseBusinessHours(hours) {
+    if (!hours || typeof hours !== 'object') return null;
+
+    const structured = {};
+    for (const day of WEEK_DAYS) {
+        const intervals = parseHoursText(hours[day]);
+        if (intervals) {
+            structured[day] = intervals;
+        }
+    }
+
+    return Object.keys(structured).length > 0 ? structured : null;
+}
+
+/**
+ * Read the weekday and minutes since midnight of a local datetime
+ * Strings like "2024-05-03T19:30" are taken as the place's local time; Date objects use the process time zone
+ */
+function toLocalMoment(datetime) {
+    if (typeof datetime === 'string') {
+        const match = datetime.match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})/);
+        if (!match) return null;
+
+        const [, year, month, day, hours, minutes] = match.map(Number);
+        const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+        return { day: WEEK_DAYS[weekday], minutes: hours * 60 + minutes };
+    }
+
+    if (datetime instanceof Date && !isNaN(datetime)) {
+        return { day: WEEK_DAYS[datetime.getDay()], minutes: datetime.getHours() * 60 + datetime.getMinutes() };
+    }
+
+    return null;
+}
+
+/**
+ * Check if a place is open at a local datetime
+ * Overnight intervals of the previous day are taken into account
+ * @param {Object} structuredHours - { day: intervals } from parseBusinessHours
+ * @param {string|Date} datetime - Local datetime ("2024-05-03T19:30") or Date
+ * @returns {boolean|null} - null when the hours for that time are unknown
+ */
+export function isOpenAt(structuredHours, datetime) {
+    const moment = toLocalMoment(datetime);
+    if (!structuredHours || !moment) return null;
+
+    const dayIndex = WEEK_DAYS.indexOf(moment.day);
+    const previousDay = WEEK_DAYS[(dayIndex + 6) % 7];
+
+    // Still open from last night
+    for (const { open, close } of structuredHours[previousDay] || []) {
+        if (toMinutes(close) <= toMinutes(open) && moment.minutes < toMinutes(close)) {
+            return true;
+        }
+    }
+
+    const today = structuredHours[moment.day];
+    if (!today) return null;
+
+    return today.some(({ open, close }) => {
+        const openMinutes = toMinutes(open);
+        const closeMinutes = toMinutes(close);
+
+        return closeMinutes > openMinutes
+            ? moment.minutes >= openMinutes && moment.minutes < closeMinutes
+            : moment.minutes >= openMinutes;
+    });
+}
@@ -5,7 +5,7 @@
 
 /**
  * Flatten business data for CSV export
- * Converts nested objects (businessHours) and arrays (emails) to strings
+ * Converts nested objects (businessHours, structuredHours, secondaryHours, popularTimes, attributes, reviews) and arrays (emails, emailDetails, searchQueries, actionLinks, photos) to strings
  */
 export function flattenForCSV(business) {
     const flattened = { ...business };
@@ -15,6 +15,23 @@ export function flattenForCSV(business) {
         flattened.emails = flattened.emails.join('; ');
     }
 
+    // Email details become "info@example.com: cloudflare (valid); sales@example.com: plain"
+    if (Array.isArray(flattened.emailDetails)) {
+        flattened.emailDetails = flattened.emailDetails
+            .map(detail => `${detail.email}: ${detail.technique}${detail.status ? ` (${detail.status})` : ''}`)
+            .join('; ');
+    }
+
+    // Convert search queries array to semicolon-separated string
+    if (Array.isArray(flattened.searchQueries)) {
+        flattened.searchQueries = flattened.searchQueries.join('; ');
+    }
+
+    // Action links become "reservation: url; order: url"
+    if (Array.isArray(flattened.actionLinks)) {
+        flattened.actionLinks = flattened.actionLinks.map(link => `${link.type}: ${link.url}`).join('; ');
+    }
+
     // Convert business hours object to formatted string
     if (flattened.businessHours && typeof flattened.businessHours === 'object') {
         const hoursArray = [];
@@ -29,6 +46,40 @@ export function flattenForCSV(business) {
         flattened.businessHours = hoursArray.length > 0 ? hoursArray.join(' | ') : '';
     }
 
+    // Structured hours are for machines; keep them as JSON ("businessHours" stays readable)
+    for (const field of ['structuredHours', 'secondaryHours']) {
+        if (flattened[field] && typeof flattened[field] === 'object') {
+            flattened[field] = JSON.stringify(flattened[field]);
+        }
+    }
+
+    // Popular times are an hourly histogram per day; keep them as JSON in a single cell
+    if (flattened.popularTimes && typeof flattened.popularTimes === 'object') {
+        flattened.popularTimes = JSON.stringify(flattened.popularTimes);
+    }
+
+    // Attributes become "Section: Attr, No Attr" groups; missing attributes are prefixed with "No"
+    if (flattened.attributes && typeof flattened.attributes === 'object') {
+        flattened.attributes = Object.entries(flattened.attributes)
+            .map(([section, items]) => {
+                const labels = Object.entries(items).map(([label, available]) => (available ? label : `No ${label}`));
+                return `${section}: ${labels.join(', ')}`;
+            })
+            .join(' | ');
+    }
+
+    // Photos become "url (owner); url (customer)"; the uploader is omitted when unknown
+    if (Array.isArray(flattened.photos)) {
+        flattened.photos = flattened.photos
+            .map(photo => (photo.uploadedBy ? `${photo.url} (${photo.uploadedBy})` : photo.url))
+            .join('; ');
+    }
+
+    // Reviews are nested objects; keep them as JSON in a single cell
+    if (Array.isArray(flattened.reviews)) {
+        flattened.reviews = JSON.stringify(flattened.reviews);
+    }
+
     return flattened;
 }
 
@@ -0,0 +1,133 @@
+/**
+ * Email classification and ranking
+ * Tells role addresses (info@, sales@) from personal ones (jane.doe@), flags free-mail
+ * providers and addresses on the business's own domain, and picks the primary email
+ */
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { getRegistrableDomain } from './websiteCrawl.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+// Load free-mail provider domains from config
+let freeMailDomains = null;
+function loadFreeMailDomains() {
+    if (!freeMailDomains) {
+        const domainsPath = join(__dirname, '../config/free-email-domains.json');
+        freeMailDomains = new Set(JSON.parse(readFileSync(domainsPath, 'utf-8')).domains);
+    }
+    return freeMailDomains;
+}
+
+/**
+ * Local parts of role addresses, in the order they are preferred as primary email
+ * A role word may be followed by a separator or digits ("info.berlin@", "sales-team@", "info2@")
+ */
+export const ROLE_PREFIXES = [
+    'info', 'contact', 'hello', 'sales', 'support', 'admin',
+    'office', 'mail', 'enquiries', 'inquiries', 'service', 'help', 'team', 'general',
+    'booking', 'bookings', 'reservations', 'appointments', 'orders', 'events', 'catering',
+    'billing', 'accounts', 'accounting', 'invoices', 'jobs', 'careers', 'hr', 'press', 'media', 'marketing',
+    'reception', 'frontdesk', 'shop', 'store', 'studio', 'feedback', 'legal', 'management',
+    // Other interface languages
+    'kontakt', 'hallo', 'buero', 'praxis', 'kanzlei', 'bestellung', 'reservierung', 'termine', 'rechnung',
+    'karriere', 'presse', 'verwaltung', 'datenschutz', 'contacto', 'hola', 'reservas', 'contatto', 'ciao',
+    'bonjour', 'accueil', 'commande',
+];
+
+/**
+ * Ranking criteria for the primary email, applied in order until one tells two addresses apart
+ * Each maps an email detail to a rank (lower is better)
+ */
+export const EMAIL_RANKING_CRITERIA = {
+    // Verified deliverable first; invalid addresses are already dropped from emails
+    'verified': ({ status }) => ({ valid: 0, 'catch-all': 1, invalid: 3 }[status] ?? 2),
+    'domain-match': ({ domainMatch }) => (domainMatch === true ? 0 : domainMatch === null ? 1 : 2),
+    'not-free-mail': ({ freeMail }) => (freeMail ? 1 : 0),
+    'role': ({ type }) => (type === 'role' ? 0 : 1),
+    'personal': ({ type }) => (type === 'personal' ? 0 : 1),
+};
+
+export const DEFAULT_EMAIL_RANKING = ['verified', 'domain-match', 'not-free-mail', 'role'];
+
+/**
+ * Check a primary email ranking, failing fast on unknown criteria
+ * @param {string[]} ranking
+ * @returns {string[]}
+ */
+export function parseEmailRanking(ranking) {
+    if (!ranking || ranking.length === 0) return DEFAULT_EMAIL_RANKING;
+
+    const unknown = ranking.filter(criterion => !(criterion in EMAIL_RANKING_CRITERIA));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown primary email ranking criteria: ${unknown.join(', ')} (use ${Object.keys(EMAIL_RANKING_CRITERIA).join(', ')})`);
+    }
+    return ranking;
+}
+
+/**
+ * Get the index of the role word an address starts with, or -1
+ */
+function getRoleIndex(localPart) {
+    return ROLE_PREFIXES.findIndex(prefix => new RegExp(`^${prefix}([._-].*|\\d*)$`).test(localPart));
+}
+
+/**
+ * Check whether an address is hosted by a free-mail provider
+ */
+export function isFreeMail(email) {
+    const domain = email.split('@')[1]?.toLowerCase();
+    return Boolean(domain) && loadFreeMailDomains().has(domain);
+}
+
+/**
+ * Classify an email address
+ * Personal addresses are told from their shape: one to three name parts, letters only
+ * ("jane@", "jane.doe@", "j_doe@", "dr.lee@")
+ * @param {string} email - Validated email
+ * @param {string|null} website - Business website, for the domain match
+ * @returns {{type: string|null, freeMail: boolean, domainMatch: boolean|null}}
+ *   type is "role", "personal" or null when the address fits neither; domainMatch is null without a website
+ */
+export function classifyEmail(email, website = null) {
+    const [localPart, domain] = email.toLowerCase().split('@');
+
+    let type = null;
+    if (getRoleIndex(localPart) !== -1) {
+        type = 'role';
+    } else if (/^\p{L}{1,30}(?:[._-]\p{L}{1,30}){0,2}$/u.test(localPart)) {
+        type = 'personal';
+    }
+
+    const siteDomain = website ? getRegistrableDomain(website) : null;
+    return {
+        type,
+        freeMail: isFreeMail(email),
+        domainMatch: siteDomain ? getRegistrableDomain(`http://${domain}`) === siteDomain : null,
+    };
+}
+
+/**
+ * Sort email details by a ranking, best first
+ * Ties are broken by role word order (info@ before sales@), then by the order the emails were found in
+ * @param {Array<{email: string, type: string|null, freeMail: boolean, domainMatch: boolean|null, status?: string|null}>} details
+ * @param {string[]} [ranking] - Criteria names from EMAIL_RANKING_CRITERIA
+ * @returns {Object[]}
+ */
+export function rankEmails(details, ranking = DEFAULT_EMAIL_RANKING) {
+    const criteria = ranking.map(name => EMAIL_RANKING_CRITERIA[name]);
+    const roleRank = (detail) => {
+        const index = getRoleIndex(detail.email.split('@')[0]);
+        return index === -1 ? ROLE_PREFIXES.length : index;
+    };
+
+    return [...details].sort((a, b) => {
+        for (const criterion of criteria) {
+            const difference = criterion(a) - criterion(b);
+            if (difference !== 0) return difference;
+        }
+        return roleRank(a) - roleRank(b);
+    });
+}
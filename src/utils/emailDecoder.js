@@ -0,0 +1,184 @@
+/**
+ * Email decoder
+ * Recovers email addresses that websites hide from scrapers: Cloudflare email protection,
+ * "info [at] domain [dot] com" text, HTML-entity and percent-encoded mailto links,
+ * and addresses reversed or split into concatenated strings in scripts
+ *
+ * Each candidate is returned with the technique it was recovered from; candidates are
+ * not validated here (see extractEmailDetailsFromHTML in validation.js)
+ */
+
+const EMAIL_PATTERN = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g;
+
+/**
+ * Techniques in the order they are tried; an address found by an earlier one keeps that technique
+ */
+export const EMAIL_TECHNIQUES = [
+    'plain',
+    'html_entities',
+    'percent_encoding',
+    'cloudflare',
+    'text_obfuscation',
+    'js_concatenation',
+    'reversed',
+];
+
+const NAMED_ENTITIES = {
+    amp: '&',
+    commat: '@',
+    period: '.',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: "'",
+    nbsp: ' ',
+};
+
+/**
+ * Decode numeric (&#64; &#x40;) and common named (&commat; &period;) HTML entities
+ */
+export function decodeHtmlEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+        if (code[0] === '#') {
+            const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+            return value > 0 && value <= 0x10ffff ? String.fromCodePoint(value) : entity;
+        }
+        return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+    });
+}
+
+/**
+ * Decode runs of percent-encoded bytes ("%69%6E%66%6F" -> "info"), leaving invalid runs as they are
+ */
+export function decodePercentEncoding(text) {
+    return text.replace(/(?:%[0-9a-f]{2})+/gi, (run) => {
+        try {
+            return decodeURIComponent(run);
+        } catch {
+            return run;
+        }
+    });
+}
+
+/**
+ * Decode a Cloudflare-protected address (data-cfemail / #hex of /cdn-cgi/l/email-protection)
+ * The first byte is the XOR key for the bytes that follow
+ * @param {string} hex - Encoded address
+ * @returns {string|null}
+ */
+export function decodeCloudflareEmail(hex) {
+    if (!/^[0-9a-f]+$/i.test(hex || '') || hex.length < 4 || hex.length % 2 !== 0) return null;
+
+    const key = parseInt(hex.slice(0, 2), 16);
+    const bytes = [];
+    for (let i = 2; i < hex.length; i += 2) {
+        bytes.push(parseInt(hex.slice(i, i + 2), 16) ^ key);
+    }
+
+    // Cloudflare encodes the UTF-8 bytes of the address
+    return new TextDecoder().decode(Uint8Array.from(bytes));
+}
+
+/**
+ * Find addresses written out as text: "info [at] domain [dot] com", "info(at)domain.com",
+ * "info at domain dot com"
+ * A bare " at " only counts together with a written-out dot, so prose like
+ * "see us at example.com" is not taken for an address
+ */
+function findTextObfuscated(text) {
+    const bracketAt = String.raw`\s*[\[\(\{<]\s*(?:at|@)\s*[\]\)\}>]\s*`;
+    const bracketDot = String.raw`\s*[\[\(\{<]\s*(?:dot|\.)\s*[\]\)\}>]\s*`;
+    const at = String.raw`(?:${bracketAt}|\s+at\s+|@)`;
+    const dot = String.raw`(?:${bracketDot}|\s+dot\s+|\.)`;
+    const pattern = new RegExp(String.raw`([a-z0-9._%+-]+)(${at})([a-z0-9-]+(?:${dot}[a-z0-9-]+)+)`, 'gi');
+
+    const emails = [];
+    for (const [, local, atText, domainText] of text.matchAll(pattern)) {
+        const bracketed = new RegExp(bracketAt, 'i').test(atText);
+        const wordDot = new RegExp(String.raw`${bracketDot}|\s+dot\s+`, 'i').test(domainText);
+        if (!bracketed && !wordDot) continue;
+
+        const domain = domainText.replace(new RegExp(String.raw`${bracketDot}|\s+dot\s+`, 'gi'), '.');
+        emails.push(`${local}@${domain}`);
+    }
+    return emails;
+}
+
+/**
+ * Get the contents of the inline scripts of a page
+ */
+function getScripts(html) {
+    return [...html.matchAll(/<script\b[^>]*>([\s\S]*?)<\/script>/gi)].map(match => match[1]);
+}
+
+/**
+ * Join string literals concatenated with "+" ('info' + '@' + 'domain.com')
+ */
+function findConcatenated(script) {
+    const chains = script.match(/(?:'[^'\n]*'|"[^"\n]*")(?:\s*\+\s*(?:'[^'\n]*'|"[^"\n]*"))+/g) || [];
+    return chains.map(chain => [...chain.matchAll(/'([^'\n]*)'|"([^"\n]*)"/g)]
+        .map(([, single, double]) => single ?? double)
+        .join(''));
+}
+
+/**
+ * Find reversed addresses: string literals of scripts that call reverse(), and text shown
+ * right-to-left with CSS ("moc.niamod@ofni" displayed as "info@domain.com")
+ */
+function findReversed(html) {
+    const reversedTexts = [];
+
+    for (const script of getScripts(html)) {
+        if (!/\.reverse\(\)/.test(script)) continue;
+        for (const [, , text] of script.matchAll(/(['"])([^'"\n]+)\1/g)) {
+            reversedTexts.push(text);
+        }
+    }
+
+    for (const [, text] of html.matchAll(/<\w+[^>]*direction\s*:\s*rtl[^>]*>([^<]+)</gi)) {
+        reversedTexts.push(text.trim());
+    }
+
+    return reversedTexts.map(text => [...text].reverse().join(''));
+}
+
+/**
+ * Find email addresses in a page, including obfuscated ones
+ * @param {string} html - Page HTML
+ * @returns {Array<{email: string, technique: string}>} - Unvalidated candidates, first technique per address
+ */
+export function findEmailCandidates(html) {
+    if (!html) return [];
+
+    const candidates = new Map();
+    const add = (emails, technique) => {
+        for (const email of emails) {
+            const key = email.toLowerCase();
+            if (!candidates.has(key)) {
+                candidates.set(key, { email, technique });
+            }
+        }
+    };
+    const matchEmails = text => text.match(EMAIL_PATTERN) || [];
+
+    add(matchEmails(html), 'plain');
+
+    const entityDecoded = decodeHtmlEntities(html);
+    add(matchEmails(entityDecoded), 'html_entities');
+    add(matchEmails(decodePercentEncoding(entityDecoded)), 'percent_encoding');
+
+    const cloudflareHexes = [
+        ...[...html.matchAll(/data-cfemail=["']([0-9a-f]+)["']/gi)].map(match => match[1]),
+        ...[...html.matchAll(/\/cdn-cgi\/l\/email-protection#([0-9a-f]+)/gi)].map(match => match[1]),
+    ];
+    add(cloudflareHexes.map(decodeCloudflareEmail).filter(Boolean).flatMap(matchEmails), 'cloudflare');
+
+    // Tags are dropped so attribute values and markup do not run into the text
+    const text = entityDecoded.replace(/<script\b[\s\S]*?<\/script>|<style\b[\s\S]*?<\/style>/gi, ' ').replace(/<[^>]+>/g, ' ');
+    add(findTextObfuscated(text), 'text_obfuscation');
+
+    add(getScripts(html).flatMap(findConcatenated).flatMap(matchEmails), 'js_concatenation');
+    add(findReversed(html).flatMap(matchEmails), 'reversed');
+
+    return [...candidates.values()];
+}
@@ -0,0 +1,249 @@
+/**
+ * Geo-grid utilities
+ * Splits a target area into cells so each cell gets its own Maps search,
+ * working around the ~120 results Google returns per search
+ */
+
+const KM_PER_DEGREE_LAT = 110.574;
+const KM_PER_DEGREE_LNG_EQUATOR = 111.320;
+
+// Google stops loading more results in the feed at about this many cards
+export const GRID_RESULT_CAP = 120;
+
+// Guard against accidentally launching thousands of searches
+const MAX_GRID_CELLS = 1000;
+
+/**
+ * Kilometres per degree of longitude at a given latitude
+ */
+function kmPerDegreeLng(latitude) {
+    return KM_PER_DEGREE_LNG_EQUATOR * Math.cos(latitude * Math.PI / 180);
+}
+
+/**
+ * Great-circle distance between two points in kilometres
+ */
+export function distanceKm(lat1, lng1, lat2, lng2) {
+    const toRad = deg => deg * Math.PI / 180;
+    const dLat = toRad(lat2 - lat1);
+    const dLng = toRad(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+    return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Check whether coordinates fall inside a bounding box
+ * @param {{latitude: number, longitude: number}} coords
+ * @param {{north: number, south: number, east: number, west: number}} bounds
+ */
+export function isWithinBounds(coords, bounds) {
+    if (!coords || coords.latitude === null || coords.longitude === null) {
+        return false;
+    }
+
+    return coords.latitude <= bounds.north &&
+        coords.latitude >= bounds.south &&
+        coords.longitude <= bounds.east &&
+        coords.longitude >= bounds.west;
+}
+
+/**
+ * Check whether coordinates fall inside the grid area (bounding box, and radius if set)
+ */
+export function isWithinArea(coords, area) {
+    if (!isWithinBounds(coords, area.bounds)) {
+        return false;
+    }
+    if (area.center) {
+        return distanceKm(area.center.latitude, area.center.longitude, coords.latitude, coords.longitude) <= area.radiusKm;
+    }
+    return true;
+}
+
+/**
+ * Build a dedupe key from coordinates so the same place found by
+ * neighbouring cells merges into one record
+ */
+export function getCoordinateKey(coords) {
+    if (!coords || coords.latitude === null || coords.longitude === null) {
+        return null;
+    }
+    return `${coords.latitude.toFixed(6)},${coords.longitude.toFixed(6)}`;
+}
+
+/**
+ * Resolve the target area from grid input
+ * Accepts a bounding box or a center point with a radius
+ * @returns {{bounds: Object, center: Object|null, radiusKm: number|null}}
+ */
+export function resolveGridArea({ boundingBox = null, center = null, radiusKm = 0 } = {}) {
+    if (boundingBox) {
+        const { north, south, east, west } = boundingBox;
+        if ([north, south, east, west].some(value => typeof value !== 'number' || isNaN(value))) {
+            throw new Error('Grid bounding box requires numeric "north", "south", "east" and "west"');
+        }
+        if (north <= south || east <= west) {
+            throw new Error('Grid bounding box must have north > south and east > west');
+        }
+        return { bounds: { north, south, east, west }, center: null, radiusKm: null };
+    }
+
+    if (center) {
+        const { latitude, longitude } = center;
+        if (typeof latitude !== 'number' || typeof longitude !== 'number') {
+            throw new Error('Grid center requires numeric "latitude" and "longitude"');
+        }
+        if (!(radiusKm > 0)) {
+            throw new Error('Grid radius (km) must be greater than 0 when using a center point');
+        }
+
+        const latDelta = radiusKm / KM_PER_DEGREE_LAT;
+        const lngDelta = radiusKm / kmPerDegreeLng(latitude);
+        return {
+            bounds: {
+                north: latitude + latDelta,
+                south: latitude - latDelta,
+                east: longitude + lngDelta,
+                west: longitude - lngDelta,
+            },
+            center: { latitude, longitude },
+            radiusKm,
+        };
+    }
+
+    throw new Error('Grid mode requires either a bounding box or a center point with a radius');
+}
+
+/**
+ * Pick a Maps zoom level whose viewport roughly covers one cell
+ */
+export function zoomForCellSize(cellSizeKm, latitude) {
+    // Meters per pixel at zoom 0 is 156543.03 * cos(lat); the results viewport is ~1000px wide
+    const viewportPx = 1000;
+    const metersPerPixel = (cellSizeKm * 1000) / viewportPx;
+    const zoom = Math.log2((156543.03 * Math.cos(latitude * Math.PI / 180)) / metersPerPixel);
+    return Math.min(18, Math.max(10, Math.floor(zoom)));
+}
+
+/**
+ * Split an area into grid cells
+ * @param {Object} options
+ * @param {Object} [options.boundingBox] - { north, south, east, west }
+ * @param {Object} [options.center] - { latitude, longitude }
+ * @param {number} [options.radiusKm] - Radius around center in km
+ * @param {number} [options.cellSizeKm] - Cell edge length in km
+ * @param {number} [options.zoom] - Maps zoom level (derived from cell size if not set)
+ * @returns {{area: Object, zoom: number, cells: Array}}
+ */
+export function buildGridCells(options = {}) {
+    const { cellSizeKm = 2 } = options;
+    if (!(cellSizeKm > 0)) {
+        throw new Error('Grid cell size (km) must be greater than 0');
+    }
+
+    const area = resolveGridArea(options);
+    const { north, south, east, west } = area.bounds;
+    const midLatitude = (north + south) / 2;
+
+    const heightKm = (north - south) * KM_PER_DEGREE_LAT;
+    const widthKm = (east - west) * kmPerDegreeLng(midLatitude);
+    const rows = Math.max(1, Math.ceil(heightKm / cellSizeKm));
+    const cols = Math.max(1, Math.ceil(widthKm / cellSizeKm));
+
+    if (rows * cols > MAX_GRID_CELLS) {
+        throw new Error(`Grid would have ${rows * cols} cells (max ${MAX_GRID_CELLS}). Increase the cell size or shrink the area.`);
+    }
+
+    const latStep = (north - south) / rows;
+    const lngStep = (east - west) / cols;
+    const zoom = options.zoom || zoomForCellSize(cellSizeKm, midLatitude);
+
+    const cells = [];
+    for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+            const bounds = {
+                north: north - row * latStep,
+                south: north - (row + 1) * latStep,
+                west: west + col * lngStep,
+                east: west + (col + 1) * lngStep,
+            };
+            const center = {
+                latitude: (bounds.north + bounds.south) / 2,
+                longitude: (bounds.east + bounds.west) / 2,
+            };
+
+            // For circular areas, skip cells that lie entirely outside the radius
+            if (area.center) {
+                const halfDiagonalKm = Math.SQRT2 * cellSizeKm / 2;
+                const distance = distanceKm(area.center.latitude, area.center.longitude, center.latitude, center.longitude);
+                if (distance > area.radiusKm + halfDiagonalKm) {
+                    continue;
+                }
+            }
+
+            cells.push({ id: `r${row}c${col}`, row, col, bounds, center });
+        }
+    }
+
+    return { area, zoom, cells };
+}
+
+/**
+ * Build a Maps search URL centered on a grid cell
+ */
+export function buildCellSearchUrl(keyword, cell, zoom) {
+    const lat = cell.center.latitude.toFixed(6);
+    const lng = cell.center.longitude.toFixed(6);
+    return `https://www.google.com/maps/search/${encodeURIComponent(keyword)}/@${lat},${lng},${zoom}z`;
+}
+
+/**
+ * Summarize per-cell coverage from grid query stats
+ * A query whose results were cut off, by Google's result cap or by maxResults, probably
+ * missed places in its cell, which should be split further
+ * Counts are of distinct cells; each keyword searched in a cell has its own entry in cells
+ * @param {Array} queryStats - Stats returned by the scraper for each grid query
+ * @returns {{totalCells: number, totalQueries: number, cellsAtCap: number, failedCells: number, cells: Array}}
+ */
+export function buildCoverageReport(queryStats) {
+    const cells = queryStats
+        .filter(stats => stats.cell)
+        .map(stats => {
+            let cappedBy = null;
+            if (!stats.failed && !stats.reachedEnd) {
+                if (stats.cardsLoaded >= GRID_RESULT_CAP) {
+                    cappedBy = 'googleCap';
+                } else if (stats.budgetReached) {
+                    cappedBy = 'maxResults';
+                }
+            }
+
+            return {
+                query: stats.label,
+                cellId: stats.cell.id,
+                bounds: stats.cell.bounds,
+                center: stats.cell.center,
+                cardsLoaded: stats.cardsLoaded,
+                placesInCell: stats.placesInCell,
+                outsideArea: stats.outsideArea,
+                matched: stats.matched,
+                newPlaces: stats.newPlaces,
+                reachedEnd: stats.reachedEnd,
+                budgetReached: Boolean(stats.budgetReached),
+                failed: stats.failed,
+                hitCap: cappedBy !== null,
+                cappedBy,
+            };
+        });
+
+    const countCells = entries => new Set(entries.map(entry => entry.cellId)).size;
+
+    return {
+        totalCells: countCells(cells),
+        totalQueries: cells.length,
+        cellsAtCap: countCells(cells.filter(cell => cell.hitCap)),
+        failedCells: countCells(cells.filter(cell => cell.failed)),
+        cells,
+    };
+}
@@ -0,0 +1,163 @@
+/**
+ * Locale utilities
+ * Selects the locale pack for the interface language and maps localized
+ * day names, hours text, price labels, closure banners, attribute names and review dates back to canonical values
+ */
+
+import { LOCALES } from '../config/locales.js';
+
+const CANONICAL = LOCALES.en;
+
+/**
+ * Get the locale pack for an interface language
+ * @param {string} language - Language code (e.g. "en", "de")
+ * @returns {Object} - Locale pack (see config/locales.js)
+ */
+export function getLocale(language = 'en') {
+    const locale = LOCALES[language];
+    if (!locale) {
+        throw new Error(`Unsupported language "${language}". Supported: ${Object.keys(LOCALES).join(', ')}`);
+    }
+    return locale;
+}
+
+/**
+ * Set the interface language (hl parameter) of a Google Maps URL
+ */
+export function setLanguageParam(url, language) {
+    if (!url || !language) return url;
+
+    try {
+        const parsed = new URL(url);
+        parsed.searchParams.set('hl', language);
+        return parsed.toString();
+    } catch (error) {
+        return url;
+    }
+}
+
+/**
+ * Compare labels ignoring case and surrounding whitespace
+ */
+function sameLabel(a, b) {
+    return typeof a === 'string' && typeof b === 'string' && a.trim().toLowerCase() === b.trim().toLowerCase();
+}
+
+/**
+ * Map a day name in any supported language to its English name
+ * @returns {string|null} - e.g. "Monday" for "Montag", or null if unknown
+ */
+export function toCanonicalDay(name) {
+    for (const locale of Object.values(LOCALES)) {
+        const index = locale.days.findIndex(day => sameLabel(day, name));
+        if (index !== -1) {
+            return CANONICAL.days[index];
+        }
+    }
+    return null;
+}
+
+/**
+ * Map localized "Closed" / "Open 24 hours" hours text to English
+ * Times are left as shown; 24h times need no translation
+ */
+export function toCanonicalHoursText(text) {
+    if (typeof text !== 'string') return text;
+
+    for (const locale of Object.values(LOCALES)) {
+        if (sameLabel(text, locale.closed)) return CANONICAL.closed;
+        if (sameLabel(text, locale.open24Hours)) return CANONICAL.open24Hours;
+    }
+    return text;
+}
+
+/**
+ * Map a price level aria-label ("Moderate", "Mittelteuer") to "$" symbols ("$$")
+ * @param {string} label - Price level aria-label
+ * @param {Object} [locale] - Locale pack to check besides English
+ * @returns {string|null}
+ */
+export function toCanonicalPriceLevel(label, locale = CANONICAL) {
+    for (const pack of new Set([locale, CANONICAL])) {
+        const index = pack.priceLevels.findIndex(level => sameLabel(level, label));
+        if (index !== -1) {
+            return '$'.repeat(index + 1);
+        }
+    }
+    return null;
+}
+
+/**
+ * Map an About tab section or attribute name ("Serviceoptionen", "Lieferung") to English
+ * @param {string} name - Name as shown
+ * @param {Object} [locale] - Locale pack of the interface language
+ * @returns {string} - English name, or the name as shown if the pack does not list it
+ */
+export function toCanonicalAttributeName(name, locale = CANONICAL) {
+    const entry = Object.entries(locale.attributeNames).find(([, label]) => sameLabel(label, name));
+    return entry ? entry[0] : name;
+}
+
+/**
+ * Map a closure banner ("Permanently closed", "Vorübergehend geschlossen", "Opens soon") to a business status
+ * @param {string} text - Banner text; may continue after the banner words ("Opens soon · Mar 3")
+ * @param {Object} [locale] - Locale pack to check besides English
+ * @returns {string|null} - CLOSED_PERMANENTLY, CLOSED_TEMPORARILY, FUTURE_OPENING, or null if not a banner
+ */
+export function toBusinessStatus(text, locale = CANONICAL) {
+    if (typeof text !== 'string') return null;
+
+    const normalized = text.trim().toLowerCase();
+    for (const pack of new Set([locale, CANONICAL])) {
+        const banners = [
+            ['CLOSED_PERMANENTLY', pack.permanentlyClosed],
+            ['CLOSED_TEMPORARILY', pack.temporarilyClosed],
+            ['FUTURE_OPENING', pack.opensSoon],
+        ];
+        const banner = banners.find(([, label]) => normalized.startsWith(label.toLowerCase()));
+        if (banner) {
+            return banner[0];
+        }
+    }
+    return null;
+}
+
+/**
+ * Read a relative review date ("2 months ago", "vor einer Woche") as an amount and time unit
+ * @param {string} text - Date text as shown
+ * @param {Object} [locale] - Locale pack to check besides English
+ * @returns {{amount: number, unit: string}|null} - unit is minute, hour, day, week, month or year
+ */
+export function toRelativeDateParts(text, locale = CANONICAL) {
+    if (typeof text !== 'string') return null;
+
+    for (const pack of new Set([locale, CANONICAL])) {
+        const match = text.trim().match(pack.relativeDate);
+        if (!match) continue;
+
+        const unit = Object.keys(pack.timeUnits).find(key => pack.timeUnits[key].some(word => sameLabel(word, match.groups.unit)));
+        if (unit) {
+            // "a week", "vor einer Woche", "il y a un mois"
+            const amount = /^\d+$/.test(match.groups.amount) ? parseInt(match.groups.amount, 10) : 1;
+            return { amount, unit };
+        }
+    }
+    return null;
+}
+
+/**
+ * Check whether a button's text looks like the hours button
+ * ("See more hours", "Öffnungszeiten", or an open status with a time: "Open ⋅ Closes 5 PM", "Geöffnet ⋅ Schließt um 18:00")
+ * @param {string} text - Button text
+ * @param {Object} [locale] - Locale pack to check besides English
+ */
+export function isHoursButtonText(text, locale = CANONICAL) {
+    if (typeof text !== 'string') return false;
+
+    const normalized = text.toLowerCase();
+    const hasTime = /\d+\s*(am|pm)\b|\b\d{1,2}[:.]\d{2}\b/i.test(text);
+    return [...new Set([locale, CANONICAL])].some(pack => (
+        pack.hoursButtonWords.some(word => normalized.includes(word)) ||
+        (hasTime && pack.openStatusWords.some(word => normalized.includes(word)))
+    ));
+}
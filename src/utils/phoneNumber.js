@@ -0,0 +1,36 @@
+/**
+ * Phone number normalization
+ * Formats Google Maps phone numbers as E.164 and national numbers and tells
+ * mobile, landline and toll-free numbers apart, using the numbering-plan
+ * metadata bundled with libphonenumber-js (no network lookups)
+ */
+
+import { parsePhoneNumberFromString } from 'libphonenumber-js/max';
+
+// Number types as output; other types (VoIP, pagers, premium rate...) are reported as null
+const PHONE_TYPES = {
+    MOBILE: 'mobile',
+    FIXED_LINE: 'landline',
+    TOLL_FREE: 'toll-free',
+};
+
+/**
+ * Normalize a phone number
+ * @param {string} phone - Phone number as shown on Google Maps ("030 12345678", "(512) 555-0123")
+ * @param {string|null} countryCode - ISO 3166-1 alpha-2 country of the place, for numbers without a "+" prefix
+ * @returns {{phone: string, phoneNational: string, phoneType: string|null}|null}
+ *   null when the number is not valid for that country
+ */
+export function normalizePhone(phone, countryCode = null) {
+    if (!phone || typeof phone !== 'string') return null;
+
+    const parsed = parsePhoneNumberFromString(phone, countryCode || undefined);
+    if (!parsed || !parsed.isValid()) return null;
+
+    return {
+        phone: parsed.number,
+        phoneNational: parsed.formatNational(),
+        // US and Canadian numbering plans do not separate mobile from landline numbers
+        phoneType: PHONE_TYPES[parsed.getType()] || null,
+    };
+}
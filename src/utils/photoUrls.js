@@ -0,0 +1,52 @@
+/**
+ * Photo URL utilities
+ * Google Maps photos are served from googleusercontent.com, with the size
+ * given after "=" in the URL (e.g. ".../p/AF1Qip...=w203-h152-k-no")
+ */
+
+/**
+ * Size parameters for each photoSize input option
+ */
+export const PHOTO_SIZES = {
+    small: 'w408-h306-k-no',
+    medium: 'w800-h600-k-no',
+    large: 'w1920-h1080-k-no',
+    original: 's0',
+};
+
+/**
+ * Check if a URL is a resizable Google-hosted photo
+ */
+export function isGooglePhotoUrl(url) {
+    return typeof url === 'string' && /^https:\/\/[a-z0-9-]+\.(googleusercontent|ggpht)\.com\/(p\/|gps-cs|geougc)/i.test(url);
+}
+
+/**
+ * Get the photo URL without size parameters (identifies the photo regardless of size)
+ */
+export function getPhotoKey(url) {
+    return isGooglePhotoUrl(url) ? url.split('=')[0] : url;
+}
+
+/**
+ * Rewrite a photo URL to the requested size
+ * URLs that are not Google-hosted photos are returned unchanged
+ * @param {string} url - Photo URL as found on the page
+ * @param {string} size - One of PHOTO_SIZES keys
+ */
+export function resizePhotoUrl(url, size = 'large') {
+    if (!isGooglePhotoUrl(url)) return url;
+
+    const params = PHOTO_SIZES[size] || PHOTO_SIZES.large;
+    return `${getPhotoKey(url)}=${params}`;
+}
+
+/**
+ * Read the URL from a CSS background-image value (gallery thumbnails are backgrounds)
+ */
+export function parseBackgroundImageUrl(backgroundImage) {
+    if (!backgroundImage) return null;
+
+    const match = backgroundImage.match(/url\(\s*["']?(.*?)["']?\s*\)/);
+    return match ? match[1] : null;
+}
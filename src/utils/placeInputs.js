@@ -0,0 +1,73 @@
+/**
+ * Place input utilities
+ * Turns Google Maps URLs, place IDs, CIDs and feature IDs into place pages to open directly
+ */
+
+import { getBusinessKey, parsePlaceIds } from './validation.js';
+
+/**
+ * Build a Google Maps URL that opens a single place
+ * @param {string} value - Place URL, place ID (ChIJ...), CID (digits) or feature ID (0x...:0x...)
+ * @returns {{url: string, businessKey: string}|null} - Null if the value is not recognized
+ */
+export function resolvePlaceInput(value) {
+    const input = value.trim();
+
+    if (/^https?:\/\//i.test(input)) {
+        if (!/google\.[a-z.]+\/maps|maps\.google\.[a-z.]+|goo\.gl\/maps|maps\.app\.goo\.gl/i.test(input)) {
+            return null;
+        }
+        return { url: input, businessKey: getBusinessKey(input) };
+    }
+
+    if (/^\d{5,20}$/.test(input)) {
+        return { url: `https://www.google.com/maps?cid=${input}`, businessKey: `cid:${input}` };
+    }
+
+    // Feature IDs carry the CID as their second half
+    if (/^0x[0-9a-f]{1,16}:0x[0-9a-f]{1,16}$/i.test(input)) {
+        const { cid } = parsePlaceIds(input);
+        if (!cid) return null;
+        return { url: `https://www.google.com/maps?cid=${cid}`, businessKey: `cid:${cid}` };
+    }
+
+    if (/^ChIJ[A-Za-z0-9_-]{10,}$/.test(input)) {
+        return {
+            url: `https://www.google.com/maps/place/?q=place_id:${input}`,
+            businessKey: `place:${input}`,
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Build the list of places to open from the placeUrls input
+ * Duplicates (the same place given twice, in any form) are dropped
+ * @param {string[]} placeUrls - Place URLs, place IDs, CIDs or feature IDs
+ * @returns {Array<{input: string, url: string, businessKey: string}>}
+ */
+export function buildPlaceTargets(placeUrls) {
+    const targets = [];
+    const seenKeys = new Set();
+
+    for (const value of Array.isArray(placeUrls) ? placeUrls : []) {
+        if (typeof value !== 'string' || !value.trim()) {
+            continue;
+        }
+
+        const resolved = resolvePlaceInput(value);
+        if (!resolved || !resolved.businessKey) {
+            throw new Error(`Invalid place "${value}": expected a Google Maps place URL, place ID, CID or feature ID`);
+        }
+
+        if (seenKeys.has(resolved.businessKey)) {
+            continue;
+        }
+        seenKeys.add(resolved.businessKey);
+
+        targets.push({ input: value.trim(), ...resolved });
+    }
+
+    return targets;
+}
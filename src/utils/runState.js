@@ -0,0 +1,130 @@
+/**
+ * Run state checkpointing
+ * Persists scraping progress to the key-value store so a run can resume
+ * after a crash, platform migration or abort instead of starting over
+ */
+
+import { Actor } from 'apify';
+
+export const RUN_STATE_KEY = 'RUN_STATE';
+
+// Keys of businesses pushed to the dataset, saved after every push (RUN_STATE is too large to save that often)
+export const PUSHED_KEYS_KEY = 'RUN_STATE_PUSHED_KEYS';
+
+// Persist at least this often, in addition to platform events
+const CHECKPOINT_INTERVAL_MS = 30000;
+
+/**
+ * Create an empty run state
+ * @param {string[]} queryLabels - Labels of the queries this run will execute
+ */
+export function createRunState(queryLabels) {
+    return {
+        queryLabels,
+        completedQueries: [],
+        queryStats: [],
+        // Maps business key -> validated record (or null if it was filtered out)
+        seenBusinesses: {},
+        // Maps business key -> labels of the queries that found it (including places still queued)
+        placeQueries: {},
+        // Business keys whose website email lookup has finished
+        emailLookupsDone: [],
+        // Business keys already pushed to the dataset
+        pushedKeys: [],
+        // Requests that still failed after all retries
+        failedRequests: [],
+        // Block pages seen, with the (masked) proxy that got blocked
+        blockEvents: [],
+    };
+}
+
+/**
+ * Load saved run state, or create a fresh one
+ * Saved state is ignored if it was produced for a different set of queries
+ * Businesses pushed after the last checkpoint are restored from the pushed keys record,
+ * so a resumed run never pushes them twice
+ * @param {string[]} queryLabels - Labels of the queries this run will execute
+ * @returns {Promise<Object>}
+ */
+export async function loadRunState(queryLabels) {
+    const saved = await Actor.getValue(RUN_STATE_KEY);
+    const savedPushed = await Actor.getValue(PUSHED_KEYS_KEY);
+
+    const sameQueries = labels => Array.isArray(labels) &&
+        labels.length === queryLabels.length &&
+        labels.every((label, index) => label === queryLabels[index]);
+    const pushedKeys = sameQueries(savedPushed?.queryLabels) ? savedPushed.keys : [];
+
+    const resumed = Boolean(saved) && sameQueries(saved.queryLabels);
+    if (saved && !resumed) {
+        console.log('⚠ Saved run state belongs to different queries, starting fresh');
+    }
+
+    const state = resumed ? { ...createRunState(queryLabels), ...saved } : createRunState(queryLabels);
+    state.pushedKeys = [...new Set([...state.pushedKeys, ...pushedKeys])];
+
+    if (resumed || pushedKeys.length > 0) {
+        const accepted = Object.values(state.seenBusinesses).filter(Boolean).length;
+        console.log(`↻ Resuming run: ${state.completedQueries.length}/${queryLabels.length} queries done, ${accepted} businesses collected, ${state.pushedKeys.length} saved to dataset`);
+    }
+
+    return state;
+}
+
+/**
+ * Persist run state at intervals and on migrating/aborting/persistState events
+ * @param {Object} state - Run state (mutated in place by the scraper)
+ * @returns {{persist: Function, savePushedKeys: Function, stop: Function}}
+ */
+export function startCheckpointing(state) {
+    const persist = async () => {
+        try {
+            await Actor.setValue(RUN_STATE_KEY, state);
+        } catch (error) {
+            console.error(`✗ Failed to save run state: ${error.message}`);
+        }
+    };
+
+    // Saves run one after another, so an older list never overwrites a newer one
+    let pushedKeysSaved = Promise.resolve();
+    const savePushedKeys = () => {
+        pushedKeysSaved = pushedKeysSaved.then(async () => {
+            try {
+                await Actor.setValue(PUSHED_KEYS_KEY, { queryLabels: state.queryLabels, keys: state.pushedKeys });
+            } catch (error) {
+                console.error(`✗ Failed to save pushed keys: ${error.message}`);
+            }
+        });
+        return pushedKeysSaved;
+    };
+
+    const onMigrating = async () => {
+        console.log('\n⚠ Run is migrating, saving progress...');
+        await persist();
+    };
+    const onAborting = async () => {
+        console.log('\n⚠ Run is aborting, saving progress...');
+        await persist();
+    };
+
+    Actor.on('persistState', persist);
+    Actor.on('migrating', onMigrating);
+    Actor.on('aborting', onAborting);
+    const timer = setInterval(persist, CHECKPOINT_INTERVAL_MS);
+
+    const stop = () => {
+        clearInterval(timer);
+        Actor.off('persistState', persist);
+        Actor.off('migrating', onMigrating);
+        Actor.off('aborting', onAborting);
+    };
+
+    return { persist, savePushedKeys, stop };
+}
+
+/**
+ * Get the accepted businesses from run state, in the order they were found
+ */
+export function getCollectedBusinesses(state) {
+    return Object.values(state.seenBusinesses).filter(Boolean);
+}
@@ -0,0 +1,158 @@
+/**
+ * Search query utilities
+ * Expands keyword/location input into the list of searches to run
+ */
+
+import { buildGridCells, buildCellSearchUrl } from './geoGrid.js';
+
+// Same range as the maxResults input
+const MIN_RESULTS = 1;
+const MAX_RESULTS = 500;
+
+/**
+ * Build Google Maps search URL for a keyword and location
+ */
+export function buildSearchUrl(keyword, location) {
+    const searchQuery = location ? `${keyword} ${location}` : keyword;
+    return `https://www.google.com/maps/search/${encodeURIComponent(searchQuery)}`;
+}
+
+/**
+ * Normalize a string or array input into a list of non-empty strings
+ */
+function toList(value) {
+    if (!value) return [];
+    const list = Array.isArray(value) ? value : [value];
+    return list
+        .filter(item => typeof item === 'string')
+        .map(item => item.trim())
+        .filter(item => item.length > 0);
+}
+
+/**
+ * Read the maxResults of an explicit query, clamped to the range of the maxResults input
+ * @returns {number|null} - null when the query has no budget of its own
+ */
+function toQueryMaxResults(query) {
+    const { maxResults } = query;
+    if (maxResults === undefined || maxResults === null) {
+        return null;
+    }
+    if (typeof maxResults !== 'number' || !Number.isFinite(maxResults)) {
+        throw new Error(`Invalid query ${JSON.stringify(query)}: "maxResults" must be a number`);
+    }
+    return Math.min(MAX_RESULTS, Math.max(MIN_RESULTS, Math.floor(maxResults)));
+}
+
+/**
+ * Build the list of search queries from Actor input
+ * Supports a single keyword/location, arrays of keywords × locations,
+ * and an explicit list of query objects ({ keyword, location, maxResults })
+ * @param {Object} input - Actor input
+ * @returns {Array<{keyword: string, location: string|null, maxResults: number, label: string, searchUrl: string}>}
+ */
+export function buildSearchQueries(input) {
+    const {
+        keyword,
+        keywords = [],
+        location,
+        locations = [],
+        queries = [],
+        maxResults = 100,
+    } = input;
+
+    const candidates = [];
+
+    // Every keyword is searched in every location
+    const allKeywords = [...new Set([...toList(keyword), ...toList(keywords)])];
+    const allLocations = [...new Set([...toList(location), ...toList(locations)])];
+    for (const kw of allKeywords) {
+        for (const loc of allLocations) {
+            candidates.push({ keyword: kw, location: loc });
+        }
+    }
+
+    // Explicit query objects may carry their own maxResults budget
+    for (const query of Array.isArray(queries) ? queries : []) {
+        if (!query || typeof query.keyword !== 'string' || !query.keyword.trim()) {
+            throw new Error(`Invalid query ${JSON.stringify(query)}: "keyword" is required`);
+        }
+        candidates.push({
+            keyword: query.keyword.trim(),
+            location: typeof query.location === 'string' && query.location.trim() ? query.location.trim() : null,
+            maxResults: toQueryMaxResults(query),
+        });
+    }
+
+    // Drop duplicate keyword/location pairs, keeping the first occurrence
+    const seenLabels = new Set();
+    const searchQueries = [];
+    for (const candidate of candidates) {
+        const label = candidate.location
+            ? `${candidate.keyword} in ${candidate.location}`
+            : candidate.keyword;
+        if (seenLabels.has(label.toLowerCase())) {
+            continue;
+        }
+        seenLabels.add(label.toLowerCase());
+
+        searchQueries.push({
+            keyword: candidate.keyword,
+            location: candidate.location,
+            maxResults: candidate.maxResults ?? maxResults,
+            label,
+            searchUrl: buildSearchUrl(candidate.keyword, candidate.location),
+        });
+    }
+
+    return searchQueries;
+}
+
+/**
+ * Build one search query per keyword and grid cell
+ * The area comes from the grid input, so locations are not part of the search text
+ * @param {Object} input - Actor input
+ * @returns {Array<Object>} - Queries carrying the cell and overall area they belong to
+ */
+export function buildGridQueries(input) {
+    const {
+        keyword,
+        keywords = [],
+        queries = [],
+        maxResults = 100,
+        gridBoundingBox = null,
+        gridCenter = null,
+        gridRadiusKm = 0,
+        gridCellSizeKm = 2,
+        gridZoom = null,
+    } = input;
+
+    const queryKeywords = (Array.isArray(queries) ? queries : [])
+        .map(query => query && query.keyword);
+    const allKeywords = [...new Set([...toList(keyword), ...toList(keywords), ...toList(queryKeywords)])];
+
+    const { area, zoom, cells } = buildGridCells({
+        boundingBox: gridBoundingBox,
+        center: gridCenter,
+        radiusKm: gridRadiusKm,
+        cellSizeKm: gridCellSizeKm,
+        zoom: gridZoom,
+    });
+
+    const gridQueries = [];
+    for (const kw of allKeywords) {
+        for (const cell of cells) {
+            gridQueries.push({
+                keyword: kw,
+                location: null,
+                maxResults,
+                label: `${kw} @ cell ${cell.id}`,
+                searchUrl: buildCellSearchUrl(kw, cell, zoom),
+                cell,
+                area,
+            });
+        }
+    }
+
+    return gridQueries;
+}
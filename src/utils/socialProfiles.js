@@ -0,0 +1,133 @@
+/**
+ * Social profile utilities
+ * Recognizes links to a business's social profiles and rewrites them to one canonical
+ * profile URL per network, so "m.facebook.com/acme?ref=footer" and "facebook.com/acme/"
+ * both become "https://www.facebook.com/acme"
+ */
+
+// First path segments that are features of the network, not profiles
+const RESERVED_PATHS = {
+    facebook: ['sharer', 'sharer.php', 'share', 'share.php', 'plugins', 'dialog', 'tr', 'login', 'login.php', 'watch', 'events', 'groups', 'hashtag', 'photo.php', 'permalink.php', 'story.php', 'help', 'policies'],
+    instagram: ['p', 'reel', 'reels', 'explore', 'stories', 'accounts', 'tv', 'direct'],
+    twitter: ['intent', 'share', 'home', 'search', 'hashtag', 'i', 'login', 'signup', 'tos', 'privacy'],
+};
+
+/**
+ * Networks, in output field order, with their hosts and a function building the canonical
+ * profile URL from the path segments and query (null when the link is not a profile)
+ */
+export const SOCIAL_NETWORKS = {
+    facebook: {
+        hosts: ['facebook.com', 'fb.com'],
+        canonical: (segments, query) => {
+            const [first] = segments;
+            if (!first || RESERVED_PATHS.facebook.includes(first.toLowerCase())) return null;
+            if (first === 'profile.php') {
+                return query.get('id') ? `https://www.facebook.com/profile.php?id=${query.get('id')}` : null;
+            }
+            // Old page URLs: /pages/Acme-Coffee/123456789
+            if (first === 'pages') {
+                return segments.length >= 3 ? `https://www.facebook.com/pages/${segments[1]}/${segments[2]}` : null;
+            }
+            return `https://www.facebook.com/${first}`;
+        },
+    },
+    instagram: {
+        hosts: ['instagram.com'],
+        canonical: ([handle]) => {
+            if (!handle || RESERVED_PATHS.instagram.includes(handle.toLowerCase())) return null;
+            return /^[\w.]{1,30}$/.test(handle) ? `https://www.instagram.com/${handle}` : null;
+        },
+    },
+    linkedin: {
+        hosts: ['linkedin.com'],
+        // Company pages only; personal profiles (/in/) are not the business
+        canonical: ([type, slug]) => (type === 'company' && slug ? `https://www.linkedin.com/company/${slug}` : null),
+    },
+    twitter: {
+        hosts: ['twitter.com', 'x.com'],
+        canonical: ([handle]) => {
+            if (!handle || RESERVED_PATHS.twitter.includes(handle.toLowerCase())) return null;
+            return /^\w{1,15}$/.test(handle) ? `https://x.com/${handle}` : null;
+        },
+    },
+    tiktok: {
+        hosts: ['tiktok.com'],
+        canonical: ([handle]) => (/^@[\w.]{2,24}$/.test(handle || '') ? `https://www.tiktok.com/${handle}` : null),
+    },
+    youtube: {
+        hosts: ['youtube.com'],
+        canonical: ([first, second]) => {
+            if (/^@[\w.-]+$/.test(first || '')) return `https://www.youtube.com/${first}`;
+            if (['channel', 'c', 'user'].includes(first) && second) return `https://www.youtube.com/${first}/${second}`;
+            return null;
+        },
+    },
+    yelp: {
+        hosts: ['yelp.com', 'yelp.ca', 'yelp.co.uk', 'yelp.com.au', 'yelp.de', 'yelp.fr', 'yelp.es', 'yelp.it', 'yelp.nl'],
+        canonical: ([type, slug], query, domain) => (type === 'biz' && slug ? `https://www.${domain}/biz/${slug}` : null),
+    },
+    whatsapp: {
+        hosts: ['wa.me', 'whatsapp.com'],
+        canonical: (segments, query, domain) => {
+            // wa.me/15125550123 or api.whatsapp.com/send?phone=15125550123
+            const number = domain === 'wa.me' ? segments[0] : segments[0] === 'send' ? query.get('phone') : null;
+            const digits = number?.replace(/\D/g, '');
+            return digits && digits.length >= 7 ? `https://wa.me/${digits}` : null;
+        },
+    },
+};
+
+/**
+ * Create a record with every network set to null
+ */
+export function emptySocialProfiles() {
+    return Object.fromEntries(Object.keys(SOCIAL_NETWORKS).map(network => [network, null]));
+}
+
+/**
+ * Normalize a link to a canonical social profile URL
+ * @param {string} url - Link found on a website
+ * @returns {{network: string, url: string}|null} - null if the link is not a social profile
+ */
+export function normalizeSocialUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return null;
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+
+    const hostname = parsed.hostname.toLowerCase();
+    const segments = parsed.pathname.split('/').filter(Boolean);
+
+    for (const [network, { hosts, canonical }] of Object.entries(SOCIAL_NETWORKS)) {
+        const domain = hosts.find(host => hostname === host || hostname.endsWith(`.${host}`));
+        if (!domain) continue;
+
+        const profileUrl = canonical(segments, parsed.searchParams, domain);
+        return profileUrl ? { network, url: profileUrl } : null;
+    }
+
+    return null;
+}
+
+/**
+ * Pick one profile per network from the links of a website
+ * The first link to each network wins, so pass the main page's links first
+ * @param {string[]} urls - Links found on the website
+ * @returns {Object} - { facebook, instagram, linkedin, twitter, tiktok, youtube, yelp, whatsapp }, null when not found
+ */
+export function collectSocialProfiles(urls) {
+    const profiles = emptySocialProfiles();
+
+    for (const url of urls) {
+        const profile = normalizeSocialUrl(url);
+        if (profile && !profiles[profile.network]) {
+            profiles[profile.network] = profile.url;
+        }
+    }
+
+    return profiles;
+}
@@ -5,6 +5,13 @@
 import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { parseBusinessHours } from './businessHours.js';
+import { toCanonicalDay, toCanonicalHoursText, toRelativeDateParts } from './locale.js';
+import { parseAddress, findCountryInLocation, findCountryByCoordinates } from './addressParser.js';
+import { normalizePhone } from './phoneNumber.js';
+import { emptySocialProfiles } from './socialProfiles.js';
+import { findEmailCandidates } from './emailDecoder.js';
+import { classifyEmail, rankEmails, DEFAULT_EMAIL_RANKING } from './emailClassifier.js';
 
 // Get current file directory
 const __filename = fileURLToPath(import.meta.url);
@@ -28,9 +35,15 @@ export function cleanString(str) {
     return str.trim().replace(/\s+/g, ' ') || null;
 }
 
+/**
+ * Business status values, as in the Google Places API
+ */
+export const BUSINESS_STATUSES = ['OPERATIONAL', 'CLOSED_TEMPORARILY', 'CLOSED_PERMANENTLY', 'FUTURE_OPENING'];
+
 /**
  * Clean and format phone number
  * Keeps international format with + prefix
+ * Fallback for numbers normalizePhone cannot validate (e.g. when the country is unknown)
  */
 export function cleanPhone(phone) {
     if (!phone) return null;
@@ -58,8 +71,9 @@ export function validateEmail(email) {
     // Load blacklist from config
     const blacklist = loadEmailBlacklist();
 
-    // Filter out blacklisted domains
-    if (blacklist.domains.some(domain => trimmed.includes(domain))) {
+    // Filter out blacklisted domains and their subdomains ("mail.com" must not catch "gmail.com")
+    const emailDomain = trimmed.split('@').pop();
+    if (blacklist.domains.some(domain => emailDomain === domain || emailDomain.endsWith(`.${domain}`))) {
         return null;
     }
 
@@ -91,14 +105,14 @@ export function validateUrl(url) {
 }
 
 /**
- * Parse rating from text (e.g., "4.5 stars" -> 4.5)
+ * Parse rating from text (e.g., "4.5 stars" -> 4.5, "4,5 Sterne" -> 4.5)
  */
 export function parseRating(ratingText) {
     if (!ratingText) return null;
 
-    const match = ratingText.match(/(\d+\.?\d*)/);
+    const match = ratingText.match(/(\d+(?:[.,]\d+)?)/);
     if (match) {
-        const rating = parseFloat(match[1]);
+        const rating = parseFloat(match[1].replace(',', '.'));
         return rating >= 0 && rating <= 5 ? rating : null;
     }
 
@@ -107,19 +121,64 @@ export function parseRating(ratingText) {
 
 /**
  * Parse review count from text (e.g., "1,234 reviews" -> 1234)
+ * Thousands may be separated by commas, dots or spaces ("1.234 Rezensionen", "1 234 avis")
  */
 export function parseReviewCount(reviewText) {
     if (!reviewText) return 0;
 
-    const match = reviewText.match(/([\d,]+)/);
+    const match = reviewText.match(/(\d{1,3}(?:[.,\s\u00a0\u202f]\d{3})+|\d+)/);
     if (match) {
-        const count = parseInt(match[1].replace(/,/g, ''), 10);
+        const count = parseInt(match[1].replace(/\D/g, ''), 10);
         return isNaN(count) ? 0 : count;
     }
 
     return 0;
 }
 
+/**
+ * Convert a relative review date to an approximate absolute date (YYYY-MM-DD)
+ * Example formats: "2 months ago", "a week ago", "Edited 3 days ago" (or as worded by the locale pack)
+ * Absolute dates (e.g., "March 3, 2024") are parsed as-is
+ * @param {string} dateText
+ * @param {Date} [now]
+ * @param {Object} [locale] - Locale pack to read the date in besides English
+ */
+export function parseRelativeDate(dateText, now = new Date(), locale = undefined) {
+    if (!dateText || typeof dateText !== 'string') return null;
+
+    const relative = toRelativeDateParts(dateText, locale);
+    if (relative) {
+        const { amount } = relative;
+        const date = new Date(now.getTime());
+
+        switch (relative.unit) {
+            case 'minute':
+                date.setUTCMinutes(date.getUTCMinutes() - amount);
+                break;
+            case 'hour':
+                date.setUTCHours(date.getUTCHours() - amount);
+                break;
+            case 'day':
+                date.setUTCDate(date.getUTCDate() - amount);
+                break;
+            case 'week':
+                date.setUTCDate(date.getUTCDate() - amount * 7);
+                break;
+            case 'month':
+                date.setUTCMonth(date.getUTCMonth() - amount);
+                break;
+            case 'year':
+                date.setUTCFullYear(date.getUTCFullYear() - amount);
+                break;
+        }
+
+        return date.toISOString().split('T')[0];
+    }
+
+    const parsed = Date.parse(dateText);
+    return isNaN(parsed) ? null : new Date(parsed).toISOString().split('T')[0];
+}
+
 /**
  * Parse coordinates from Google Maps URL
  * Example formats:
@@ -157,62 +216,64 @@ export function parseCoordinates(url) {
 }
 
 /**
- * Parse address into components
- * Note: This is a basic implementation. For production, consider using a geocoding API
+ * Parse stable place identifiers from a Google Maps URL
+ * Example formats:
+ * - .../data=!4m7!3m6!1s0x89c25a21fb011c85:0x33df10e49762f8e4!8m2!3d...!16s%2Fg%2F1tdfmzpb!19sChIJhRwB-yFawokR5Phil-QQ3zM
+ * - https://maps.google.com/?cid=3737160455397193956
+ * - https://www.google.com/maps/place/?q=place_id:ChIJhRwB-yFawokR5Phil-QQ3zM
+ * The CID is the decimal form of the second half of the feature ID
  */
-export function parseAddress(fullAddress) {
-    if (!fullAddress) {
-        return {
-            street: null,
-            city: null,
-            state: null,
-            zip: null,
-            country: null,
-        };
-    }
-
-    const parts = fullAddress.split(',').map(p => p.trim());
-
-    // Basic US address pattern: "123 Main St, Brooklyn, NY 11201, USA"
-    let street = null;
-    let city = null;
-    let state = null;
-    let zip = null;
-    let country = null;
-
-    if (parts.length >= 2) {
-        street = parts[0] || null;
-        city = parts[1] || null;
-
-        // Try to find state and ZIP in the third part (e.g., "NY 11201")
-        if (parts.length >= 3) {
-            const stateZipMatch = parts[2].match(/([A-Z]{2})\s*(\d{5}(-\d{4})?)?/);
-            if (stateZipMatch) {
-                state = stateZipMatch[1] || null;
-                zip = stateZipMatch[2] || null;
-            } else {
-                state = parts[2] || null;
-            }
-        }
+export function parsePlaceIds(url) {
+    const ids = { placeId: null, cid: null, featureId: null };
+    if (!url) return ids;
 
-        // Last part is usually country
-        if (parts.length >= 4) {
-            country = parts[parts.length - 1] || null;
-        }
+    let decoded = url;
+    try {
+        decoded = decodeURIComponent(url);
+    } catch {
+        // Keep the raw URL if it contains malformed escapes
     }
 
-    return {
-        street: cleanString(street),
-        city: cleanString(city),
-        state: cleanString(state),
-        zip: cleanString(zip),
-        country: cleanString(country) || 'United States',
-    };
+    const featureMatch = decoded.match(/(0x[0-9a-f]{1,16}):(0x[0-9a-f]{1,16})/i);
+    if (featureMatch) {
+        ids.featureId = `${featureMatch[1]}:${featureMatch[2]}`.toLowerCase();
+        const cid = BigInt(featureMatch[2]);
+        ids.cid = cid > 0n ? cid.toString() : null;
+    }
+
+    const cidMatch = decoded.match(/[?&]cid=(\d+)/);
+    if (!ids.cid && cidMatch) {
+        ids.cid = cidMatch[1];
+    }
+
+    const placeIdMatch = decoded.match(/(ChIJ[A-Za-z0-9_-]{10,})/);
+    if (placeIdMatch) {
+        ids.placeId = placeIdMatch[1];
+    }
+
+    return ids;
+}
+
+/**
+ * Build a dedupe key for a business from its Google Maps URL
+ * Prefers the CID, then the place ID, so the same place matches across
+ * searches and runs. Falls back to the URL path without query string and hash.
+ */
+export function getBusinessKey(url) {
+    if (!url) return null;
+
+    const { cid, placeId } = parsePlaceIds(url);
+    if (cid) return `cid:${cid}`;
+    if (placeId) return `place:${placeId}`;
+
+    const path = url.split(/[?#]/)[0].replace(/^https?:\/\/[^/]+/, '').replace(/^\/maps/, '');
+    return path ? `url:${path}` : null;
 }
 
 /**
  * Validate business hours object
  * Expected format: { "Monday": "9:00 AM to 5:00 PM", "Tuesday": "9:00 AM to 5:00 PM", ... }
+ * Day names and "Closed" / "Open 24 hours" in a supported interface language are translated to English
  */
 export function validateBusinessHours(hours) {
     if (!hours || typeof hours !== 'object') {
@@ -224,20 +285,77 @@ export function validateBusinessHours(hours) {
         return null;
     }
 
-    // Valid day names
-    const validDays = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
-
     // Validate that all keys are valid day names and values are strings
     const validatedHours = {};
     for (const [day, time] of Object.entries(hours)) {
-        if (validDays.includes(day) && typeof time === 'string' && time.trim().length > 0) {
-            validatedHours[day] = time.trim();
+        const canonicalDay = toCanonicalDay(day);
+        if (canonicalDay && typeof time === 'string' && time.trim().length > 0) {
+            validatedHours[canonicalDay] = toCanonicalHoursText(time.trim());
         }
     }
 
     return Object.keys(validatedHours).length > 0 ? validatedHours : null;
 }
 
+/**
+ * Parse named secondary schedules ({ "Kitchen": { "Monday": "11 AM–10 PM" } }) into intervals
+ * Schedules without any understood day are dropped
+ */
+export function validateSecondaryHours(schedules) {
+    if (!schedules || typeof schedules !== 'object') {
+        return null;
+    }
+
+    const validated = {};
+    for (const [name, hours] of Object.entries(schedules)) {
+        const label = cleanString(name);
+        const structured = parseBusinessHours(validateBusinessHours(hours));
+        if (label && structured) {
+            validated[label] = structured;
+        }
+    }
+
+    return Object.keys(validated).length > 0 ? validated : null;
+}
+
+/**
+ * Validate action links array
+ * Expected format: [{ type: "reservation", url: "https://...", domain: "opentable.com", provider: "OpenTable" }, ...]
+ */
+export function validateActionLinks(links) {
+    if (!Array.isArray(links)) {
+        return null;
+    }
+
+    const validated = links
+        .map(link => ({ ...link, url: validateUrl(link?.url) }))
+        .filter(link => link.type && link.url);
+
+    return validated.length > 0 ? validated : null;
+}
+
+/**
+ * Validate place attributes object
+ * Expected format: { "Accessibility": { "Wheelchair-accessible entrance": true }, ... }
+ */
+export function validateAttributes(attributes) {
+    if (!attributes || typeof attributes !== 'object') {
+        return null;
+    }
+
+    const validated = {};
+    for (const [section, items] of Object.entries(attributes)) {
+        if (!items || typeof items !== 'object') continue;
+
+        const validItems = Object.entries(items).filter(([, available]) => typeof available === 'boolean');
+        if (validItems.length > 0) {
+            validated[section] = Object.fromEntries(validItems);
+        }
+    }
+
+    return Object.keys(validated).length > 0 ? validated : null;
+}
+
 /**
  * Check if business name is valid (not a localized "Results" placeholder)
  * These appear when proxies route through wrong countries
@@ -273,8 +391,13 @@ export function isValidBusinessName(name) {
 
 /**
  * Validate and clean complete business data
+ * @param {Object} rawData - Data from extractBusinessData
+ * @param {Object} [options]
+ * @param {string|null} [options.location] - Search location, used to tell the address country
+ * @param {string} [options.language] - Interface language, used when the location and coordinates do not tell the country
+ * @param {string[]} [options.emailRanking] - Ranking criteria for primaryEmail
  */
-export function validateBusinessData(rawData) {
+export function validateBusinessData(rawData, options = {}) {
     // Skip businesses with invalid names (wrong location results)
     if (!isValidBusinessName(rawData.businessName)) {
         console.log(`  ⚠️  Skipping invalid business name: "${rawData.businessName}" (likely wrong proxy location)`);
@@ -282,7 +405,10 @@ export function validateBusinessData(rawData) {
     }
 
     const { latitude, longitude } = parseCoordinates(rawData.googleMapsUrl);
-    const addressComponents = parseAddress(rawData.address);
+    const { placeId, cid, featureId } = parsePlaceIds(rawData.googleMapsUrl);
+    const addressComponents = parseAddress(rawData.address, { location: options.location, latitude, longitude, language: options.language });
+    const phoneNumber = normalizePhone(rawData.phone, addressComponents.countryCode);
+    const businessHours = validateBusinessHours(rawData.businessHours);
 
     // Validate and filter email array
     let validatedEmails = [];
@@ -291,6 +417,7 @@ export function validateBusinessData(rawData) {
             .map(email => validateEmail(email))
             .filter(email => email !== null);
     }
+    const emailDetails = buildEmailDetails(validatedEmails, rawData.emailDetails, rawData.website);
 
     return {
         businessName: cleanString(rawData.businessName),
@@ -300,19 +427,93 @@ export function validateBusinessData(rawData) {
         state: addressComponents.state,
         zip: addressComponents.zip,
         country: addressComponents.country,
-        phone: cleanPhone(rawData.phone),
+        countryCode: addressComponents.countryCode,
+        addressConfidence: addressComponents.addressConfidence,
+        phone: phoneNumber?.phone || cleanPhone(rawData.phone),
+        phoneNational: phoneNumber?.phoneNational || null,
+        phoneDisplay: cleanString(rawData.phone),
+        phoneType: phoneNumber?.phoneType || null,
         website: validateUrl(rawData.website),
+        actionLinks: validateActionLinks(rawData.actionLinks),
         rating: parseRating(rawData.rating),
         reviewCount: parseReviewCount(rawData.reviewCount),
         category: cleanString(rawData.category),
         priceLevel: rawData.priceLevel || null,
         priceRange: rawData.priceRange || null,
         googleMapsUrl: validateUrl(rawData.googleMapsUrl),
+        placeId,
+        cid,
+        featureId,
         latitude,
         longitude,
-        businessHours: validateBusinessHours(rawData.businessHours),
+        plusCode: cleanString(rawData.plusCode),
+        openStatus: cleanString(rawData.openStatus),
+        businessStatus: BUSINESS_STATUSES.includes(rawData.businessStatus) ? rawData.businessStatus : 'OPERATIONAL',
+        photoCount: Number.isInteger(rawData.photoCount) ? rawData.photoCount : null,
+        coverPhotoUrl: validateUrl(rawData.coverPhotoUrl),
+        businessHours,
+        structuredHours: parseBusinessHours(businessHours),
+        secondaryHours: validateSecondaryHours(rawData.secondaryHours),
+        popularTimes: rawData.popularTimes?.histogram ? rawData.popularTimes : null,
+        attributes: validateAttributes(rawData.attributes),
+        photos: Array.isArray(rawData.photos) ? rawData.photos : null,
+        reviews: Array.isArray(rawData.reviews) ? rawData.reviews : null,
+        primaryEmail: prioritizeEmails(validatedEmails, { details: emailDetails, ranking: options.emailRanking }),
         emails: validatedEmails,
+        emailDetails,
         emailSource: rawData.emailSource || 'not_found',
+        // Filled in from the website by the email lookup
+        ...emptySocialProfiles(),
+        searchQueries: Array.isArray(rawData.searchQueries) ? rawData.searchQueries : [],
+    };
+}
+
+/**
+ * Validate and clean a feed card for listing-only runs
+ * Gives the fields a card shows, named as in validateBusinessData; the address is the
+ * short street address of the card, so it is not split into components
+ * @param {Object} card - Card from readListingCards
+ * @param {Object} [options]
+ * @param {string|null} [options.location] - Search location, used to tell the phone country
+ * @returns {Object|null} - null for placeholder names
+ */
+export function validateListingData(card, options = {}) {
+    if (!isValidBusinessName(card.name)) {
+        return null;
+    }
+
+    const { latitude, longitude } = parseCoordinates(card.url);
+    const { placeId, cid, featureId } = parsePlaceIds(card.url);
+    const countryCode = findCountryInLocation(options.location) || findCountryByCoordinates(latitude, longitude);
+    const phoneNumber = normalizePhone(card.phone, countryCode);
+
+    return {
+        businessName: cleanString(card.name),
+        address: cleanString(card.address),
+        countryCode,
+        phone: phoneNumber?.phone || cleanPhone(card.phone),
+        phoneNational: phoneNumber?.phoneNational || null,
+        phoneDisplay: cleanString(card.phone),
+        phoneType: phoneNumber?.phoneType || null,
+        website: validateUrl(card.website),
+        rating: parseRating(card.rating),
+        reviewCount: parseReviewCount(card.reviewCount),
+        category: cleanString(card.category),
+        priceLevel: card.priceLevel || null,
+        googleMapsUrl: validateUrl(card.url),
+        placeId,
+        cid,
+        featureId,
+        latitude,
+        longitude,
+        openStatus: cleanString(card.openStatus),
+        businessStatus: BUSINESS_STATUSES.includes(card.businessStatus) ? card.businessStatus : 'OPERATIONAL',
+        primaryEmail: null,
+        emails: [],
+        emailDetails: [],
+        emailSource: 'not_found',
+        ...emptySocialProfiles(),
+        searchQueries: [],
     };
 }
 
@@ -327,9 +528,18 @@ export function meetsFilterCriteria(business, filters) {
         minReviews = 0,
         filterByPriceLevel = [],
         minPrice = 0,
-        maxPrice = 0
+        maxPrice = 0,
+        closedPlaces = 'include'
     } = filters;
 
+    // Check closed places filter (only if the business status is known; "only" is for CRM cleanup runs)
+    if (closedPlaces !== 'include' && business.businessStatus) {
+        const isClosed = business.businessStatus.startsWith('CLOSED_');
+        if ((closedPlaces === 'exclude' && isClosed) || (closedPlaces === 'only' && !isClosed)) {
+            return false;
+        }
+    }
+
     // Check rating filter
     if (minRating > 0 && business.rating) {
         if (business.rating < minRating) {
@@ -390,45 +600,67 @@ export function meetsFilterCriteria(business, filters) {
 }
 
 /**
- * Extract emails from HTML content using regex
+ * Build the emailDetails records of a business
+ * Emails without a detail record were read as plain text (Google profile mailto links);
+ * status and reason are set when emails are verified
+ * @param {string[]} emails - Validated emails
+ * @param {Array<{email: string, technique?: string, sourceUrl?: string}>} [details] - What the email lookup recorded
+ * @param {string|null} [website] - Business website, to flag addresses on its domain
+ * @returns {Array<{email: string, technique: string, sourceUrl: string|null, type: string|null, freeMail: boolean, domainMatch: boolean|null, status: null, reason: null}>}
  */
-export function extractEmailsFromHTML(html) {
-    if (!html) return [];
-
-    const emailPattern = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g;
-    const emails = html.match(emailPattern) || [];
-
-    // Validate and filter emails
-    const validEmails = emails
-        .map(email => validateEmail(email))
-        .filter(email => email !== null);
-
-    // Remove duplicates
-    return [...new Set(validEmails)];
+export function buildEmailDetails(emails, details, website = null) {
+    const detailsByEmail = new Map((Array.isArray(details) ? details : [])
+        .map(detail => [validateEmail(detail.email), detail]));
+
+    return emails.map(email => ({
+        email,
+        technique: detailsByEmail.get(email)?.technique || 'plain',
+        sourceUrl: detailsByEmail.get(email)?.sourceUrl || null,
+        ...classifyEmail(email, website),
+        status: null,
+        reason: null,
+    }));
 }
 
 /**
- * Prioritize emails based on common business email prefixes
+ * Extract emails from HTML content, decoding obfuscated addresses
+ * @returns {Array<{email: string, technique: string}>} - Valid emails with the technique they were recovered from
  */
-export function prioritizeEmails(emails) {
-    if (!emails || emails.length === 0) return null;
+export function extractEmailDetailsFromHTML(html) {
+    const details = new Map();
 
-    const priority = ['info', 'contact', 'hello', 'sales', 'support', 'admin'];
+    for (const { email, technique } of findEmailCandidates(html)) {
+        const validEmail = validateEmail(email);
+        if (validEmail && !details.has(validEmail)) {
+            details.set(validEmail, { email: validEmail, technique });
+        }
+    }
 
-    // Sort by priority
-    const sorted = [...emails].sort((a, b) => {
-        const aPrefix = a.split('@')[0].toLowerCase();
-        const bPrefix = b.split('@')[0].toLowerCase();
+    return [...details.values()];
+}
 
-        const aPriority = priority.findIndex(p => aPrefix.includes(p));
-        const bPriority = priority.findIndex(p => bPrefix.includes(p));
+/**
+ * Extract emails from HTML content
+ */
+export function extractEmailsFromHTML(html) {
+    return extractEmailDetailsFromHTML(html).map(detail => detail.email);
+}
 
-        // -1 means not found, so we put those at the end
-        const aScore = aPriority === -1 ? 999 : aPriority;
-        const bScore = bPriority === -1 ? 999 : bPriority;
+/**
+ * Pick the primary email of a business
+ * @param {string[]} emails - Validated emails (invalid ones already dropped)
+ * @param {Object} [options]
+ * @param {Object[]} [options.details] - emailDetails records (classification and verification status)
+ * @param {string[]} [options.ranking] - Ranking criteria, see EMAIL_RANKING_CRITERIA
+ * @returns {string|null}
+ */
+export function prioritizeEmails(emails, options = {}) {
+    if (!emails || emails.length === 0) return null;
 
-        return aScore - bScore;
-    });
+    const { details = [], ranking = DEFAULT_EMAIL_RANKING } = options;
+    const detailsByEmail = new Map(details.map(detail => [detail.email, detail]));
 
-    return sorted[0] || null;
+    // Emails without a record are classified without a website
+    const candidates = emails.map(email => detailsByEmail.get(email) || { email, ...classifyEmail(email) });
+    return rankEmails(candidates, ranking)[0].email;
 }
@@ -0,0 +1,123 @@
+/**
+ * Website crawl planning
+ * Picks the pages of a business website most likely to show an email address
+ * (contact, impressum/legal, about, team, footer links) from its links and sitemap,
+ * keeping the crawl on the business's own registrable domain
+ */
+
+import { getDomain } from 'tldts';
+
+/**
+ * Path and link-text keywords by page kind, with the score a match adds
+ * Covers the interface languages of the locale packs
+ */
+export const PAGE_KEYWORDS = [
+    { kind: 'contact', score: 100, pattern: /contact|kontakt|contatti|contato|get-in-touch|reach-us/i },
+    { kind: 'impressum', score: 90, pattern: /impressum|imprint|aviso[- ]legal|mentions[- ]l[eé]gales/i },
+    { kind: 'legal', score: 60, pattern: /legal|note-legali|colofon|disclaimer/i },
+    { kind: 'about', score: 50, pattern: /about|ueber-uns|uber-uns|über-uns|a-propos|quienes-somos|sobre|chi-siamo|over-ons/i },
+    { kind: 'team', score: 40, pattern: /team|staff|people|equipe|equipo|mitarbeiter/i },
+    { kind: 'privacy', score: 20, pattern: /privacy|datenschutz|confidentialite|privacidad/i },
+];
+
+// Footer links are where small sites keep their contact and legal pages
+const FOOTER_SCORE = 10;
+
+// Links to files rather than pages
+const SKIPPED_EXTENSIONS = /\.(pdf|jpe?g|png|gif|webp|svg|zip|docx?|xlsx?|pptx?|mp[34]|mov|ics|vcf)$/i;
+
+/**
+ * Get the registrable domain of a URL ("https://shop.acme.co.uk/x" -> "acme.co.uk")
+ * IP addresses and single-label hosts are returned as they are
+ * @returns {string|null}
+ */
+export function getRegistrableDomain(url) {
+    let hostname;
+    try {
+        hostname = new URL(url).hostname.toLowerCase();
+    } catch {
+        return null;
+    }
+    return getDomain(hostname) || hostname || null;
+}
+
+/**
+ * Normalize a page URL for de-duplication (no fragment, no trailing slash)
+ */
+export function normalizePageUrl(url) {
+    try {
+        const parsed = new URL(url);
+        parsed.hash = '';
+        return parsed.href.replace(/\/$/, '');
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Score a candidate page by its URL path and link text
+ * @param {{url: string, text?: string, inFooter?: boolean}} candidate
+ * @returns {number} - 0 when the page is not worth visiting
+ */
+export function scorePage({ url, text = '', inFooter = false }) {
+    let path;
+    try {
+        path = decodeURIComponent(new URL(url).pathname);
+    } catch {
+        return 0;
+    }
+
+    const keywordScore = PAGE_KEYWORDS
+        .filter(({ pattern }) => pattern.test(path) || pattern.test(text))
+        .reduce((best, { score }) => Math.max(best, score), 0);
+
+    return keywordScore + (inFooter ? FOOTER_SCORE : 0);
+}
+
+/**
+ * Rank the pages to visit after the home page
+ * Only http(s) pages on one of the site's registrable domains are kept; a page linked
+ * several times keeps its best score
+ * @param {Array<{url: string, text?: string, inFooter?: boolean}>} candidates - Links and sitemap URLs
+ * @param {Object} options
+ * @param {string[]} options.siteDomains - Registrable domains of the website (before and after redirects)
+ * @param {string[]} [options.exclude] - Pages already visited
+ * @returns {string[]} - URLs, best first
+ */
+export function rankCandidatePages(candidates, { siteDomains, exclude = [] }) {
+    const excluded = new Set(exclude.map(normalizePageUrl));
+    const pages = new Map();
+
+    for (const candidate of candidates) {
+        const key = normalizePageUrl(candidate.url);
+        if (!key || excluded.has(key) || !/^https?:/i.test(key)) continue;
+        if (SKIPPED_EXTENSIONS.test(new URL(key).pathname)) continue;
+        if (!siteDomains.includes(getRegistrableDomain(key))) continue;
+
+        const score = scorePage(candidate);
+        if (score > 0 && score > (pages.get(key)?.score || 0)) {
+            pages.set(key, { url: candidate.url.split('#')[0], score });
+        }
+    }
+
+    return [...pages.values()]
+        // Shorter URLs first among equals: "/contact" before "/blog/contact-us-for-a-quote"
+        .sort((a, b) => b.score - a.score || a.url.length - b.url.length)
+        .map(page => page.url);
+}
+
+/**
+ * Read the page and child sitemap URLs of a sitemap.xml (urlset or sitemapindex)
+ * @param {string} xml
+ * @returns {{pages: string[], sitemaps: string[]}}
+ */
+export function parseSitemap(xml) {
+    if (!xml) return { pages: [], sitemaps: [] };
+
+    const locs = [...xml.matchAll(/<loc>\s*(?:<!\[CDATA\[)?\s*([^<\]]+?)\s*(?:\]\]>)?\s*<\/loc>/gi)]
+        .map(match => match[1].replace(/&amp;/g, '&'));
+
+    return /<sitemapindex/i.test(xml)
+        ? { pages: [], sitemaps: locs }
+        : { pages: locs, sitemaps: [] };
+}
@@ -0,0 +1,71 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyActionLink, getLinkDomain, unwrapGoogleRedirect } from '../src/utils/actionLinks.js';
+import { flattenForCSV } from '../src/utils/csvExport.js';
+import { validateActionLinks } from '../src/utils/validation.js';
+
+describe('unwrapGoogleRedirect', () => {
+    it('returns the target of Google redirect links', () => {
+        assert.equal(
+            unwrapGoogleRedirect('https://www.google.com/url?q=https://resy.com/cities/ny/venue&sa=D'),
+            'https://resy.com/cities/ny/venue',
+        );
+        assert.equal(unwrapGoogleRedirect('https://resy.com/cities/ny/venue'), 'https://resy.com/cities/ny/venue');
+        assert.equal(unwrapGoogleRedirect('not a url'), 'not a url');
+    });
+});
+
+describe('getLinkDomain', () => {
+    it('maps provider subdomains to the provider domain', () => {
+        assert.equal(getLinkDomain('https://order.toasttab.com/online/luna'), 'toasttab.com');
+        assert.equal(getLinkDomain('https://www.lunaverde.example/menu'), 'lunaverde.example');
+        assert.equal(getLinkDomain(null), null);
+    });
+});
+
+describe('classifyActionLink', () => {
+    it('takes the type from the label', () => {
+        assert.deepEqual(classifyActionLink({
+            label: 'Reserve a table',
+            itemId: 'action:4',
+            href: 'https://www.opentable.com/r/luna-verde',
+        }), { type: 'reservation', url: 'https://www.opentable.com/r/luna-verde', domain: 'opentable.com', provider: 'OpenTable' });
+
+        assert.equal(classifyActionLink({ label: 'Book appointment', itemId: 'action:4', href: 'https://example.as.me/' }).type, 'appointment');
+        assert.equal(classifyActionLink({ label: 'Menu', itemId: 'menu', href: 'https://lunaverde.example/menu' }).type, 'menu');
+    });
+
+    it('names the provider of Google-hosted reservations from the label', () => {
+        const link = classifyActionLink({
+            label: 'Reservations: resy.com',
+            itemId: 'action:4',
+            href: 'https://www.google.com/maps/reserve/v/dine/c/abc123',
+        });
+        assert.equal(link.type, 'reservation');
+        assert.equal(link.domain, 'resy.com');
+        assert.equal(link.provider, 'Resy');
+    });
+
+    it('falls back to the provider type for labels in other languages', () => {
+        assert.equal(classifyActionLink({ label: 'Online bestellen', itemId: 'action:7', href: 'https://www.lieferando.de/speisekarte/x' }).type, 'order');
+        assert.equal(classifyActionLink({ label: 'Weiter', itemId: 'action:1', href: 'https://unknown.example/' }), null);
+        assert.equal(classifyActionLink({ label: 'Menu', itemId: 'menu', href: null }), null);
+    });
+});
+
+describe('action link output', () => {
+    it('drops links without a valid URL', () => {
+        assert.equal(validateActionLinks([{ type: 'order', url: 'javascript:void(0)' }]), null);
+        assert.equal(validateActionLinks(null), null);
+    });
+
+    it('flattens links to "type: url" for CSV', () => {
+        const flattened = flattenForCSV({
+            actionLinks: [
+                { type: 'reservation', url: 'https://resy.com/a', domain: 'resy.com', provider: 'Resy' },
+                { type: 'menu', url: 'https://lunaverde.example/menu', domain: 'lunaverde.example', provider: null },
+            ],
+        });
+        assert.equal(flattened.actionLinks, 'reservation: https://resy.com/a; menu: https://lunaverde.example/menu');
+    });
+});
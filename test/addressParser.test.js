@@ -0,0 +1,166 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    parseAddress,
+    findCountryByName,
+    findCountryInLocation,
+    findCountryByCoordinates,
+} from '../src/utils/addressParser.js';
+
+describe('parseAddress', () => {
+    it('splits a US address', () => {
+        assert.deepEqual(parseAddress('123 Congress Ave Suite 200, Austin, TX 78701'), {
+            street: '123 Congress Ave Suite 200',
+            city: 'Austin',
+            state: 'TX',
+            zip: '78701',
+            country: 'United States',
+            countryCode: 'US',
+            addressConfidence: 'medium',
+        });
+    });
+
+    it('reads an explicit country as its ISO code', () => {
+        const address = parseAddress('1801 E 6th St, Austin, TX 78702, USA');
+        assert.equal(address.country, 'United States');
+        assert.equal(address.countryCode, 'US');
+        assert.equal(address.zip, '78702');
+        assert.equal(address.addressConfidence, 'high');
+    });
+
+    it('splits a UK address with the postcode after the city', () => {
+        assert.deepEqual(parseAddress('221B Baker St, London NW1 6XE, United Kingdom'), {
+            street: '221B Baker St',
+            city: 'London',
+            state: null,
+            zip: 'NW1 6XE',
+            country: 'United Kingdom',
+            countryCode: 'GB',
+            addressConfidence: 'high',
+        });
+    });
+
+    it('splits a Canadian address with FSA and LDU', () => {
+        const address = parseAddress('290 Bremner Blvd, Toronto, ON M5V3L9');
+        assert.equal(address.city, 'Toronto');
+        assert.equal(address.state, 'ON');
+        assert.equal(address.zip, 'M5V 3L9');
+        assert.equal(address.countryCode, 'CA');
+    });
+
+    it('splits a German address with the postal code before the city', () => {
+        assert.deepEqual(parseAddress('Hauptstraße 5, 10827 Berlin, Deutschland'), {
+            street: 'Hauptstraße 5',
+            city: 'Berlin',
+            state: null,
+            zip: '10827',
+            country: 'Germany',
+            countryCode: 'DE',
+            addressConfidence: 'high',
+        });
+    });
+
+    it('reads the Italian province code', () => {
+        const address = parseAddress('Piazza del Colosseo, 1, 00184 Roma RM, Italia');
+        assert.equal(address.street, 'Piazza del Colosseo, 1');
+        assert.equal(address.city, 'Roma');
+        assert.equal(address.state, 'RM');
+        assert.equal(address.zip, '00184');
+    });
+
+    it('splits an Australian address', () => {
+        const address = parseAddress('1 Macquarie St, Sydney NSW 2000, Australia');
+        assert.equal(address.city, 'Sydney');
+        assert.equal(address.state, 'NSW');
+        assert.equal(address.zip, '2000');
+        assert.equal(address.countryCode, 'AU');
+    });
+
+    it('splits a Japanese address in both scripts', () => {
+        const english = parseAddress('1 Chome-1-2 Oshiage, Sumida City, Tokyo 131-0045, Japan');
+        assert.equal(english.city, 'Sumida City');
+        assert.equal(english.state, 'Tokyo');
+        assert.equal(english.zip, '131-0045');
+
+        const native = parseAddress('〒131-0045 東京都墨田区押上１丁目１−２');
+        assert.equal(native.state, '東京都');
+        assert.equal(native.city, '墨田区');
+        assert.equal(native.zip, '131-0045');
+        assert.equal(native.countryCode, 'JP');
+    });
+
+    it('takes the country from the search location', () => {
+        const address = parseAddress('Calle Mayor, 1, 28013 Madrid', { location: 'Madrid, Spain' });
+        assert.equal(address.city, 'Madrid');
+        assert.equal(address.zip, '28013');
+        assert.equal(address.countryCode, 'ES');
+        assert.equal(address.addressConfidence, 'high');
+    });
+
+    it('tells shared postal formats apart by coordinates', () => {
+        const withoutContext = parseAddress('Calle Mayor, 1, 28013 Madrid');
+        assert.equal(withoutContext.zip, '28013');
+        assert.equal(withoutContext.countryCode, null);
+        assert.equal(withoutContext.addressConfidence, 'medium');
+
+        const withCoordinates = parseAddress('Calle Mayor, 1, 28013 Madrid', { latitude: 40.4168, longitude: -3.7038 });
+        assert.equal(withCoordinates.countryCode, 'ES');
+        assert.equal(withCoordinates.addressConfidence, 'high');
+    });
+
+    it('uses the interface language when a city-only location does not tell the country', () => {
+        const cityOnly = parseAddress('Hauptstraße 5, 10827 Berlin', { location: 'Berlin' });
+        assert.equal(cityOnly.countryCode, null);
+
+        const withLanguage = parseAddress('Hauptstraße 5, 10827 Berlin', { location: 'Berlin', language: 'de' });
+        assert.equal(withLanguage.city, 'Berlin');
+        assert.equal(withLanguage.zip, '10827');
+        assert.equal(withLanguage.countryCode, 'DE');
+        assert.equal(withLanguage.country, 'Germany');
+        assert.equal(withLanguage.addressConfidence, 'medium');
+
+        // Coordinates outrank the language
+        const withCoordinates = parseAddress('Hauptstraße 5, 10827 Berlin', { location: 'Berlin', language: 'fr', latitude: 52.49, longitude: 13.35 });
+        assert.equal(withCoordinates.countryCode, 'DE');
+        assert.equal(withCoordinates.addressConfidence, 'high');
+
+        // English interfaces give no hint
+        assert.equal(parseAddress('Hauptstraße 5, 10827 Berlin', { location: 'Berlin', language: 'en' }).countryCode, null);
+    });
+
+    it('falls back to a low-confidence split for unknown layouts', () => {
+        const address = parseAddress('Some Road, Somewhere');
+        assert.equal(address.street, 'Some Road');
+        assert.equal(address.city, 'Somewhere');
+        assert.equal(address.countryCode, null);
+        assert.equal(address.addressConfidence, 'low');
+    });
+
+    it('returns empty components without an address', () => {
+        assert.equal(parseAddress(null).addressConfidence, null);
+        assert.equal(parseAddress('').street, null);
+    });
+});
+
+describe('country detection', () => {
+    it('finds countries by localized name', () => {
+        assert.equal(findCountryByName('Deutschland'), 'DE');
+        assert.equal(findCountryByName('  USA '), 'US');
+        assert.equal(findCountryByName('Atlantis'), null);
+    });
+
+    it('reads the country of a search location', () => {
+        assert.equal(findCountryInLocation('Berlin, Germany'), 'DE');
+        assert.equal(findCountryInLocation('Austin, TX'), 'US');
+        assert.equal(findCountryInLocation('Toronto ON'), 'CA');
+        assert.equal(findCountryInLocation('Melbourne VIC'), 'AU');
+        assert.equal(findCountryInLocation('Paris'), null);
+    });
+
+    it('resolves coordinates to the smaller of overlapping countries', () => {
+        assert.equal(findCountryByCoordinates(52.37, 4.89), 'NL');
+        assert.equal(findCountryByCoordinates(48.21, 16.37), 'AT');
+        assert.equal(findCountryByCoordinates(30.27, -97.74), 'US');
+        assert.equal(findCountryByCoordinates(null, null), null);
+    });
+});
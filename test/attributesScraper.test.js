@@ -0,0 +1,91 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFixtureServer } from './helpers/fixtureServer.js';
+import { browserSkipReason, launchBrowser, newOfflinePage } from './helpers/browser.js';
+import { extractAttributes, cleanAttributes } from '../src/attributesScraper.js';
+import { getLocale } from '../src/utils/locale.js';
+
+// The code under test logs progress; keep test output readable
+mock.method(console, 'log', () => {});
+
+describe('cleanAttributes', () => {
+    it('groups attributes by section and marks missing ones false', () => {
+        const attributes = cleanAttributes([
+            {
+                title: 'Service options',
+                items: [
+                    { label: 'Dine-in', ariaLabel: 'Serves dine-in' },
+                    { label: 'Delivery', ariaLabel: 'No delivery' },
+                    { label: ' ', ariaLabel: 'Has takeout' },
+                ],
+            },
+            { title: null, items: [{ label: 'Orphan', ariaLabel: 'Orphan' }] },
+        ]);
+
+        assert.deepEqual(attributes, { 'Service options': { 'Dine-in': true, Delivery: false } });
+    });
+
+    it('reads attributes in the interface language with English names', () => {
+        const attributes = cleanAttributes([
+            {
+                title: 'Serviceoptionen',
+                items: [
+                    { label: 'Essen vor Ort', ariaLabel: 'Essen vor Ort möglich' },
+                    { label: 'Lieferung', ariaLabel: 'Keine Lieferung' },
+                ],
+            },
+            {
+                title: 'Angebote',
+                items: [{ label: 'Vegetarische Gerichte', ariaLabel: 'Vegetarische Gerichte' }],
+            },
+        ], getLocale('de'));
+
+        // Names the pack does not list stay as shown
+        assert.deepEqual(attributes, {
+            'Service options': { 'Dine-in': true, Delivery: false },
+            Offerings: { 'Vegetarische Gerichte': true },
+        });
+    });
+
+    it('returns null when nothing is listed', () => {
+        assert.equal(cleanAttributes([]), null);
+        assert.equal(cleanAttributes([{ title: 'Crowd', items: [] }]), null);
+    });
+});
+
+describe('extractAttributes', { skip: browserSkipReason }, () => {
+    let server;
+    let browser;
+
+    before(async () => {
+        server = await startFixtureServer();
+        browser = await launchBrowser();
+    });
+
+    after(async () => {
+        await browser?.close();
+        await server?.close();
+    });
+
+    it('reads every section of the About tab', async () => {
+        const page = await newOfflinePage(browser, server.baseUrl);
+        await page.goto(server.url('maps/place-dentist.html'));
+
+        assert.deepEqual(await extractAttributes(page), {
+            Accessibility: {
+                'Wheelchair-accessible entrance': true,
+                'Wheelchair-accessible restroom': false,
+            },
+            Crowd: { 'LGBTQ+ friendly': true },
+            'From the business': { 'Identifies as women-owned': true },
+            Planning: { 'Appointment required': true },
+        });
+    });
+
+    it('returns null when the place has no About tab', async () => {
+        const page = await newOfflinePage(browser, server.baseUrl);
+        await page.goto(server.url('maps/place-restaurant.html'));
+
+        assert.equal(await extractAttributes(page), null);
+    });
+});
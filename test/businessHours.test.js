@@ -0,0 +1,104 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseHoursText, parseBusinessHours, isOpenAt } from '../src/utils/businessHours.js';
+import { validateSecondaryHours } from '../src/utils/validation.js';
+
+describe('parseHoursText', () => {
+    it('parses single ranges in 12h and 24h time', () => {
+        assert.deepEqual(parseHoursText('9:00 AM to 5:00 PM'), [{ open: '09:00', close: '17:00' }]);
+        assert.deepEqual(parseHoursText('8 AM–12 PM'), [{ open: '08:00', close: '12:00' }]);
+        assert.deepEqual(parseHoursText('09:00–17:30'), [{ open: '09:00', close: '17:30' }]);
+    });
+
+    it('parses split shifts, taking the end AM/PM for a bare start', () => {
+        assert.deepEqual(parseHoursText('11 AM–2 PM, 5–10 PM'), [
+            { open: '11:00', close: '14:00' },
+            { open: '17:00', close: '22:00' },
+        ]);
+    });
+
+    it('keeps overnight ranges with a close time before the open time', () => {
+        assert.deepEqual(parseHoursText('6 PM to 2 AM'), [{ open: '18:00', close: '02:00' }]);
+        assert.deepEqual(parseHoursText('5 PM–12 AM'), [{ open: '17:00', close: '00:00' }]);
+    });
+
+    it('ignores hour words and notes', () => {
+        assert.deepEqual(parseHoursText('8–17 Uhr'), [{ open: '08:00', close: '17:00' }]);
+        assert.deepEqual(parseHoursText('08:00–12:00 Uhr, 14:00–18:00 Uhr'), [
+            { open: '08:00', close: '12:00' },
+            { open: '14:00', close: '18:00' },
+        ]);
+        assert.deepEqual(parseHoursText('9 h 30–18 h'), [{ open: '09:30', close: '18:00' }]);
+        assert.deepEqual(parseHoursText('9 AM–5 PM (Kitchen)'), [{ open: '09:00', close: '17:00' }]);
+        assert.deepEqual(parseHoursText('11 AM–2 PM (Lunch), 5–10 PM'), [
+            { open: '11:00', close: '14:00' },
+            { open: '17:00', close: '22:00' },
+        ]);
+    });
+
+    it('handles open all day and closed days', () => {
+        assert.deepEqual(parseHoursText('Open 24 hours'), [{ open: '00:00', close: '24:00' }]);
+        assert.deepEqual(parseHoursText('Closed'), []);
+    });
+
+    it('returns null for text it does not understand', () => {
+        assert.equal(parseHoursText('Hours might differ'), null);
+        assert.equal(parseHoursText('13 PM–2 AM'), null);
+        assert.equal(parseHoursText(null), null);
+    });
+});
+
+describe('parseBusinessHours', () => {
+    it('parses each day and drops unknown text', () => {
+        assert.deepEqual(parseBusinessHours({ Monday: '8 AM to 5 PM', Sunday: 'Closed', Tuesday: 'Varies' }), {
+            Sunday: [],
+            Monday: [{ open: '08:00', close: '17:00' }],
+        });
+        assert.equal(parseBusinessHours({ Monday: 'Varies' }), null);
+    });
+});
+
+describe('isOpenAt', () => {
+    // 2024-05-03 is a Friday
+    const hours = parseBusinessHours({
+        Thursday: '11 AM–2 PM, 5–10 PM',
+        Friday: '6 PM–2 AM',
+        Saturday: 'Closed',
+        Sunday: 'Open 24 hours',
+    });
+
+    it('checks split shifts', () => {
+        assert.equal(isOpenAt(hours, '2024-05-02T12:30'), true);
+        assert.equal(isOpenAt(hours, '2024-05-02T15:00'), false);
+        assert.equal(isOpenAt(hours, '2024-05-02T22:00'), false);
+    });
+
+    it('carries overnight ranges into the next day', () => {
+        assert.equal(isOpenAt(hours, '2024-05-03T23:30'), true);
+        assert.equal(isOpenAt(hours, '2024-05-04T01:59'), true);
+        assert.equal(isOpenAt(hours, '2024-05-04T02:00'), false);
+    });
+
+    it('handles all-day hours and Date objects', () => {
+        assert.equal(isOpenAt(hours, '2024-05-05T03:00'), true);
+        assert.equal(isOpenAt(hours, new Date(2024, 4, 5, 23, 59)), true);
+    });
+
+    it('returns null when the hours for that day are unknown', () => {
+        assert.equal(isOpenAt(hours, '2024-05-06T10:00'), null);
+        assert.equal(isOpenAt(null, '2024-05-06T10:00'), null);
+        assert.equal(isOpenAt(hours, 'next Friday'), null);
+    });
+});
+
+describe('validateSecondaryHours', () => {
+    it('parses each named schedule', () => {
+        assert.deepEqual(validateSecondaryHours({
+            ' Kitchen ': { Friday: '5–11 PM' },
+            'Happy hours': { Funday: '4–6 PM' },
+        }), {
+            Kitchen: { Friday: [{ open: '17:00', close: '23:00' }] },
+        });
+        assert.equal(validateSecondaryHours(null), null);
+    });
+});
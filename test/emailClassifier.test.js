@@ -0,0 +1,67 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    classifyEmail,
+    isFreeMail,
+    rankEmails,
+    parseEmailRanking,
+    DEFAULT_EMAIL_RANKING,
+} from '../src/utils/emailClassifier.js';
+
+describe('classifyEmail', () => {
+    it('tells role addresses from personal ones', () => {
+        assert.equal(classifyEmail('info@acme.de').type, 'role');
+        assert.equal(classifyEmail('sales-team@acme.de').type, 'role');
+        assert.equal(classifyEmail('info2@acme.de').type, 'role');
+        assert.equal(classifyEmail('kontakt@baeckerei.example').type, 'role');
+        assert.equal(classifyEmail('jane@acme.de').type, 'personal');
+        assert.equal(classifyEmail('jane.doe@acme.de').type, 'personal');
+        assert.equal(classifyEmail('jürgen_müller@acme.de').type, 'personal');
+        // "information" is a word of its own, not info@ with a suffix
+        assert.equal(classifyEmail('information@acme.de').type, 'personal');
+        assert.equal(classifyEmail('x7f3k2@acme.de').type, null);
+    });
+
+    it('flags free-mail providers', () => {
+        assert.equal(isFreeMail('acme.coffee@gmail.com'), true);
+        assert.equal(isFreeMail('acme@web.de'), true);
+        assert.equal(isFreeMail('info@acme.de'), false);
+        assert.equal(classifyEmail('acme.coffee@yahoo.co.uk').freeMail, true);
+    });
+
+    it('matches the registrable domain of the website', () => {
+        assert.equal(classifyEmail('info@acme.co.uk', 'https://www.acme.co.uk/').domainMatch, true);
+        assert.equal(classifyEmail('info@mail.acme.co.uk', 'http://shop.acme.co.uk').domainMatch, true);
+        assert.equal(classifyEmail('info@acme-group.co.uk', 'https://www.acme.co.uk/').domainMatch, false);
+        assert.equal(classifyEmail('info@acme.co.uk').domainMatch, null);
+    });
+});
+
+describe('rankEmails', () => {
+    const detail = (email, fields) => ({ email, type: 'role', freeMail: false, domainMatch: true, status: null, ...fields });
+
+    it('applies criteria in order, then role word order', () => {
+        const details = [
+            detail('owner@gmail.com', { type: 'personal', freeMail: true, domainMatch: false }),
+            detail('sales@acme.de'),
+            detail('jane@acme.de', { type: 'personal' }),
+            detail('info@acme.de'),
+        ];
+
+        assert.deepEqual(rankEmails(details).map(d => d.email), ['info@acme.de', 'sales@acme.de', 'jane@acme.de', 'owner@gmail.com']);
+        assert.equal(rankEmails(details, ['personal', 'not-free-mail'])[0].email, 'jane@acme.de');
+    });
+
+    it('prefers verified addresses', () => {
+        const details = [detail('info@acme.de', { status: 'catch-all' }), detail('sales@acme.de', { status: 'valid' })];
+        assert.equal(rankEmails(details)[0].email, 'sales@acme.de');
+    });
+});
+
+describe('parseEmailRanking', () => {
+    it('defaults and rejects unknown criteria', () => {
+        assert.deepEqual(parseEmailRanking([]), DEFAULT_EMAIL_RANKING);
+        assert.deepEqual(parseEmailRanking(['personal', 'domain-match']), ['personal', 'domain-match']);
+        assert.throws(() => parseEmailRanking(['role', 'newest']), /Unknown primary email ranking criteria: newest/);
+    });
+});
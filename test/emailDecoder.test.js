@@ -0,0 +1,70 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'fs/promises';
+import {
+    decodeCloudflareEmail,
+    decodeHtmlEntities,
+    decodePercentEncoding,
+    findEmailCandidates,
+} from '../src/utils/emailDecoder.js';
+
+describe('email decoders', () => {
+    it('decodes Cloudflare-protected addresses', () => {
+        assert.equal(decodeCloudflareEmail('1f6b7a7e725f7d6d7678776b6c7276737a317a677e726f737a'), 'team@brightsmile.example');
+        assert.equal(decodeCloudflareEmail('not-hex'), null);
+        assert.equal(decodeCloudflareEmail('1f6'), null);
+    });
+
+    it('decodes HTML entities and percent-encoding', () => {
+        assert.equal(decodeHtmlEntities('info&#64;acme&#x2E;example &commat; &amp;'), 'info@acme.example @ &');
+        assert.equal(decodeHtmlEntities('&unknown; &#0;'), '&unknown; &#0;');
+        assert.equal(decodePercentEncoding('mailto:%69%6E%66%6F%40acme.example'), 'mailto:info@acme.example');
+        // Malformed sequences are left as they are
+        assert.equal(decodePercentEncoding('100%ff'), '100%ff');
+    });
+});
+
+describe('findEmailCandidates', () => {
+    it('records the technique each address was recovered with', async () => {
+        const html = await readFile(new URL('./fixtures/websites/lunaverde/index.html', import.meta.url), 'utf-8');
+        const techniques = Object.fromEntries(findEmailCandidates(html).map(({ email, technique }) => [email, technique]));
+
+        assert.deepEqual(techniques, {
+            'reserve@lunaverde.example': 'html_entities',
+            'catering@lunaverde.example': 'percent_encoding',
+            'events@lunaverde.example': 'cloudflare',
+            'careers@lunaverde.example': 'text_obfuscation',
+            'wholesale@lunaverde.example': 'js_concatenation',
+            'press@lunaverde.example': 'reversed',
+        });
+    });
+
+    it('reads "at" and "dot" spelled out in text', () => {
+        const emails = html => findEmailCandidates(html).map(candidate => candidate.email);
+
+        assert.deepEqual(emails('<p>info (at) acme (dot) example</p>'), ['info@acme.example']);
+        assert.deepEqual(emails('<p>info{at}acme.co{dot}uk</p>'), ['info@acme.co.uk']);
+        assert.deepEqual(emails('<p>hello at acme dot example</p>'), ['hello@acme.example']);
+        assert.deepEqual(emails('<p>sales@acme[dot]example</p>'), ['sales@acme.example']);
+        // A plain " at " before a domain is ordinary prose
+        assert.deepEqual(emails('<p>Find us at acme.example</p>'), []);
+    });
+
+    it('keeps the first technique for addresses found more than once', () => {
+        const html = '<a href="mailto:info&#64;acme.example">info@acme.example</a>';
+        assert.deepEqual(findEmailCandidates(html), [{ email: 'info@acme.example', technique: 'plain' }]);
+    });
+
+    it('only reverses strings in scripts that reverse them', () => {
+        assert.deepEqual(findEmailCandidates('<script>var a = "elpmaxe.emca@ofni";</script>'), []);
+        assert.deepEqual(
+            findEmailCandidates('<script>var a = "elpmaxe.emca@ofni".split("").reverse().join("");</script>'),
+            [{ email: 'info@acme.example', technique: 'reversed' }],
+        );
+    });
+
+    it('returns nothing for empty input', () => {
+        assert.deepEqual(findEmailCandidates(''), []);
+        assert.deepEqual(findEmailCandidates(null), []);
+    });
+});
@@ -0,0 +1,112 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFixtureServer } from './helpers/fixtureServer.js';
+import { browserSkipReason, launchBrowser } from './helpers/browser.js';
+import { findEmailOnWebsite } from '../src/emailFinder.js';
+
+// The code under test logs progress; keep test output readable
+mock.method(console, 'log', () => {});
+
+describe('findEmailOnWebsite', { skip: browserSkipReason }, () => {
+    let server;
+    let browser;
+
+    before(async () => {
+        server = await startFixtureServer();
+        browser = await launchBrowser();
+    });
+
+    after(async () => {
+        await browser?.close();
+        await server?.close();
+    });
+
+    it('collects emails from the main page and contact pages', async () => {
+        const result = await findEmailOnWebsite(server.url('websites/brightsmile/index.html'), browser);
+
+        assert.equal(result.source, 'website');
+        assert.deepEqual(result.emails.sort(), ['appointments@brightsmile.example', 'info@brightsmile.example']);
+    });
+
+    it('collects social profiles, preferring the main page', async () => {
+        const { socialProfiles } = await findEmailOnWebsite(server.url('websites/brightsmile/index.html'), browser);
+
+        assert.equal(socialProfiles.facebook, 'https://www.facebook.com/BrightSmileATX');
+        assert.equal(socialProfiles.instagram, 'https://www.instagram.com/brightsmileatx');
+        assert.equal(socialProfiles.whatsapp, 'https://wa.me/15125550123');
+        // Share and tweet buttons are not profiles
+        assert.equal(socialProfiles.twitter, null);
+    });
+
+    it('decodes obfuscated emails and records the technique', async () => {
+        const result = await findEmailOnWebsite(server.url('websites/lunaverde/index.html'), browser);
+
+        assert.equal(result.emails.length, 6);
+        assert.deepEqual(result.emailDetails.find(detail => detail.email === 'events@lunaverde.example'), {
+            email: 'events@lunaverde.example',
+            technique: 'cloudflare',
+            sourceUrl: server.url('websites/lunaverde/index.html'),
+        });
+        assert.equal(result.emailDetails.find(detail => detail.email === 'press@lunaverde.example').technique, 'reversed');
+    });
+
+    it('records the page each email was found on', async () => {
+        const { emailDetails } = await findEmailOnWebsite(server.url('websites/brightsmile/index.html'), browser);
+
+        assert.equal(emailDetails.find(detail => detail.email === 'info@brightsmile.example').sourceUrl, server.url('websites/brightsmile/index.html'));
+        assert.equal(emailDetails.find(detail => detail.email === 'appointments@brightsmile.example').sourceUrl, server.url('websites/brightsmile/contact.html'));
+    });
+
+    it('returns null when the site has no valid emails', async () => {
+        assert.equal(await findEmailOnWebsite(server.url('websites/noemail/index.html'), browser), null);
+    });
+
+    it('returns null when the site does not load', async () => {
+        assert.equal(await findEmailOnWebsite('http://127.0.0.1:9/', browser), null);
+    });
+
+    it('returns null without a website', async () => {
+        assert.equal(await findEmailOnWebsite(null, browser), null);
+    });
+});
+
+describe('findEmailOnWebsite crawl', { skip: browserSkipReason }, () => {
+    let server;
+    let browser;
+
+    before(async () => {
+        // Served as its own site so its sitemap.xml is at the root
+        server = await startFixtureServer('websites/sonnenschein');
+        browser = await launchBrowser();
+    });
+
+    after(async () => {
+        await browser?.close();
+        await server?.close();
+    });
+
+    const sources = result => Object.fromEntries(result.emailDetails.map(detail => [detail.email, detail.sourceUrl.replace(server.baseUrl, '')]));
+
+    it('visits ranked pages from links and the sitemap, staying on the site', async () => {
+        const result = await findEmailOnWebsite(server.url('/'), browser);
+
+        assert.deepEqual(sources(result), {
+            'info@baeckerei-sonnenschein.example': '/impressum.html',
+            'bestellung@baeckerei-sonnenschein.example': '/ueber-uns.html',
+            'meister@baeckerei-sonnenschein.example': '/ueber-uns/team.html',
+            'datenschutz@baeckerei-sonnenschein.example': '/datenschutz.html',
+        });
+        assert.equal(result.socialProfiles.instagram, 'https://www.instagram.com/baeckerei.sonnenschein');
+    });
+
+    it('respects the page budget', async () => {
+        const result = await findEmailOnWebsite(server.url('/'), browser, { maxPages: 2 });
+        assert.deepEqual(result.emails, ['info@baeckerei-sonnenschein.example']);
+    });
+
+    it('respects the depth budget', async () => {
+        const result = await findEmailOnWebsite(server.url('/'), browser, { maxDepth: 1 });
+        assert.equal(result.emails.includes('meister@baeckerei-sonnenschein.example'), false);
+        assert.equal(result.emails.length, 3);
+    });
+});
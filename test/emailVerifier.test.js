@@ -0,0 +1,108 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { startDnsStub, startSmtpStub } from './helpers/mailStubs.js';
+import { createEmailVerifier, verifyBusinessEmails, isValidEmailSyntax } from '../src/emailVerifier.js';
+
+// The code under test logs progress; keep test output readable
+mock.method(console, 'log', () => {});
+
+const DNS_RECORDS = {
+    'brightsmile.example': { MX: [{ priority: 20, exchange: 'mx2.brightsmile.example' }, { priority: 10, exchange: 'mx1.brightsmile.example' }] },
+    'lunaverde.example': { MX: [{ priority: 10, exchange: 'mx.lunaverde.example' }] },
+    'nomx.example': { A: ['127.0.0.1'] },
+    'parked.example': { MX: [{ priority: 0, exchange: '' }] },
+    'empty.example': {},
+};
+
+describe('isValidEmailSyntax', () => {
+    it('rejects addresses that cannot be delivered to', () => {
+        assert.equal(isValidEmailSyntax('info@brightsmile.example'), true);
+        assert.equal(isValidEmailSyntax('first.last+tag@mail.brightsmile.example'), true);
+        assert.equal(isValidEmailSyntax('.info@brightsmile.example'), false);
+        assert.equal(isValidEmailSyntax('in..fo@brightsmile.example'), false);
+        assert.equal(isValidEmailSyntax('info@-brightsmile.example'), false);
+        assert.equal(isValidEmailSyntax(`${'a'.repeat(65)}@brightsmile.example`), false);
+        assert.equal(isValidEmailSyntax('info@localhost'), false);
+    });
+});
+
+describe('createEmailVerifier', () => {
+    let dns;
+    let smtp;
+    let catchAllSmtp;
+
+    before(async () => {
+        dns = await startDnsStub(DNS_RECORDS);
+        smtp = await startSmtpStub({
+            mailboxes: ['info@brightsmile.example'],
+            greylisted: ['sales@brightsmile.example'],
+        });
+        catchAllSmtp = await startSmtpStub({ catchAll: true });
+    });
+
+    after(async () => {
+        await dns?.close();
+        await smtp?.close();
+        await catchAllSmtp?.close();
+    });
+
+    it('checks MX records without probing by default', async () => {
+        const verifier = createEmailVerifier({ dnsServers: [dns.server] });
+
+        assert.deepEqual(await verifier.verify('info@brightsmile.example'), { status: 'unknown', reason: 'mail_server_found' });
+        assert.deepEqual(await verifier.verify('info@nomx.example'), { status: 'unknown', reason: 'mail_server_found' });
+        assert.deepEqual(await verifier.verify('info@parked.example'), { status: 'invalid', reason: 'null_mx' });
+        assert.deepEqual(await verifier.verify('info@empty.example'), { status: 'invalid', reason: 'no_mail_server' });
+        assert.deepEqual(await verifier.verify('info@missing.example'), { status: 'invalid', reason: 'no_mail_server' });
+        assert.deepEqual(await verifier.verify('info@@brightsmile.example'), { status: 'invalid', reason: 'invalid_syntax' });
+    });
+
+    it('looks up each domain once', async () => {
+        const verifier = createEmailVerifier({ dnsServers: [dns.server] });
+        const before = dns.queries.length;
+
+        await verifier.verify('info@lunaverde.example');
+        await verifier.verify('events@lunaverde.example');
+
+        assert.deepEqual(dns.queries.slice(before), ['MX lunaverde.example']);
+    });
+
+    it('probes mailboxes over SMTP and detects catch-all servers', async () => {
+        const verifier = createEmailVerifier({ dnsServers: [dns.server], smtpProbe: true, smtpHost: smtp.host });
+
+        assert.deepEqual(await verifier.verify('info@brightsmile.example'), { status: 'valid', reason: 'mailbox_accepted' });
+        assert.deepEqual(await verifier.verify('dr.lee@brightsmile.example'), { status: 'invalid', reason: 'mailbox_rejected' });
+        assert.deepEqual(await verifier.verify('sales@brightsmile.example'), { status: 'unknown', reason: 'smtp_temporary_failure' });
+        assert.ok(smtp.commands.includes('MAIL FROM:<>'));
+        assert.ok(smtp.commands.includes('QUIT'));
+
+        const catchAllVerifier = createEmailVerifier({ dnsServers: [dns.server], smtpProbe: true, smtpHost: catchAllSmtp.host });
+        assert.deepEqual(await catchAllVerifier.verify('info@lunaverde.example'), { status: 'catch-all', reason: 'accepts_any_address' });
+    });
+
+    it('reports unreachable mail servers as unknown', async () => {
+        const verifier = createEmailVerifier({ dnsServers: [dns.server], smtpProbe: true, smtpHost: '127.0.0.1:9' });
+        assert.deepEqual(await verifier.verify('info@brightsmile.example'), { status: 'unknown', reason: 'smtp_unavailable' });
+    });
+
+    it('records a status per address and drops invalid ones from emails', async () => {
+        const verifier = createEmailVerifier({ dnsServers: [dns.server], smtpProbe: true, smtpHost: smtp.host });
+        const business = {
+            emails: ['info@brightsmile.example', 'dr.lee@brightsmile.example'],
+            emailDetails: [
+                { email: 'info@brightsmile.example', technique: 'plain', status: null, reason: null },
+                { email: 'dr.lee@brightsmile.example', technique: 'cloudflare', status: null, reason: null },
+            ],
+        };
+
+        await verifyBusinessEmails(business, verifier);
+
+        assert.deepEqual(business.emails, ['info@brightsmile.example']);
+        assert.deepEqual(business.emailDetails[1], {
+            email: 'dr.lee@brightsmile.example',
+            technique: 'cloudflare',
+            status: 'invalid',
+            reason: 'mailbox_rejected',
+        });
+    });
+});
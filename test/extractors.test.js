@@ -0,0 +1,244 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFixtureServer } from './helpers/fixtureServer.js';
+import { browserSkipReason, launchBrowser, newOfflinePage } from './helpers/browser.js';
+import {
+    readFeedCards,
+    readListingCards,
+    extractBusinessData,
+    extractHoursData,
+    extractHoursSchedules,
+    extractPriceInfo,
+} from '../src/extractors.js';
+import { getLocale } from '../src/utils/locale.js';
+
+// The code under test logs progress; keep test output readable
+mock.method(console, 'log', () => {});
+
+const DENTIST_URL = 'https://www.google.com/maps/place/Bright+Smile+Dental/data=!4m7!3m6!1s0x8644b5a1b2c3d4e5:0x33df10e49762f8e4!8m2!3d30.2672!4d-97.7431';
+
+describe('Google Maps extractors', { skip: browserSkipReason }, () => {
+    let server;
+    let browser;
+
+    before(async () => {
+        server = await startFixtureServer();
+        browser = await launchBrowser();
+    });
+
+    after(async () => {
+        await browser?.close();
+        await server?.close();
+    });
+
+    const openFixture = async (path) => {
+        const page = await newOfflinePage(browser, server.baseUrl);
+        await page.goto(server.url(path));
+        return page;
+    };
+
+    describe('readFeedCards', () => {
+        it('reads name, URL, rating and review count from each card', async () => {
+            const page = await openFixture('maps/search-results.html');
+            const cards = await readFeedCards(page);
+
+            assert.equal(cards.length, 3);
+            assert.deepEqual(cards[0], {
+                url: 'https://www.google.com/maps/place/Bright+Smile+Dental/data=!4m7!3m6!1s0x8644b5a1b2c3d4e5:0x33df10e49762f8e4!8m2!3d30.2672!4d-97.7431!16s%2Fg%2F11abc!19sChIJhRwB-yFawokR5Phil-QQ3zM?authuser=0&hl=en',
+                name: 'Bright Smile Dental',
+                rating: '4.8',
+                reviewCount: '1,234',
+            });
+            assert.equal(cards[1].reviewCount, '87');
+
+            // Cards without reviews have no rating label
+            assert.equal(cards[2].rating, null);
+            assert.equal(cards[2].reviewCount, null);
+        });
+    });
+
+    describe('readListingCards', () => {
+        it('reads the info rows and website of each card', async () => {
+            const page = await openFixture('maps/search-results.html');
+            const cards = await readListingCards(page);
+
+            assert.equal(cards.length, 3);
+            assert.deepEqual(cards[0], {
+                url: 'https://www.google.com/maps/place/Bright+Smile+Dental/data=!4m7!3m6!1s0x8644b5a1b2c3d4e5:0x33df10e49762f8e4!8m2!3d30.2672!4d-97.7431!16s%2Fg%2F11abc!19sChIJhRwB-yFawokR5Phil-QQ3zM?authuser=0&hl=en',
+                name: 'Bright Smile Dental',
+                rating: '4.8',
+                reviewCount: '1,234',
+                category: 'Dentist',
+                priceLevel: null,
+                address: '123 Congress Ave',
+                openStatus: 'Open · Closes 5 PM',
+                businessStatus: null,
+                phone: '(512) 555-0123',
+                website: 'http://brightsmile.example/',
+            });
+
+            assert.equal(cards[1].priceLevel, '$$');
+            assert.equal(cards[1].address, '4500 Lake Austin Blvd');
+            assert.equal(cards[1].businessStatus, 'CLOSED_TEMPORARILY');
+
+            // "No reviews" is not a category
+            assert.equal(cards[2].category, 'Dentist');
+            assert.equal(cards[2].address, null);
+        });
+    });
+
+    describe('extractBusinessData', () => {
+        it('extracts the place panel fields', async () => {
+            const page = await openFixture('maps/place-dentist.html');
+            const data = await extractBusinessData(page, { placeUrl: DENTIST_URL, fastMode: true });
+
+            assert.equal(data.businessName, 'Bright Smile Dental');
+            assert.equal(data.address, '123 Congress Ave Suite 200, Austin, TX 78701');
+            assert.equal(data.phone, '(512) 555-0123');
+            assert.equal(data.website, 'http://brightsmile.example/');
+            assert.deepEqual(data.actionLinks, [
+                { type: 'appointment', url: 'https://calendly.com/brightsmile/cleaning', domain: 'calendly.com', provider: 'Calendly' },
+            ]);
+            assert.equal(data.rating, '4.8');
+            assert.equal(data.reviewCount, '1,234');
+            assert.equal(data.category, 'Dentist');
+            assert.equal(data.plusCode, '6MRW+V7 Austin, Texas');
+            assert.equal(data.openStatus, 'Open ⋅ Closes 5 PM');
+            assert.equal(data.businessStatus, 'OPERATIONAL');
+            assert.equal(data.photoCount, 1234);
+            assert.equal(data.coverPhotoUrl, 'https://lh5.googleusercontent.com/p/AF1QipCover001=w1920-h1080-k-no');
+            assert.equal(data.googleMapsUrl, DENTIST_URL);
+            assert.equal(data.businessHours, null);
+            assert.equal(data.popularTimes, null);
+            assert.equal(data.attributes, null);
+            assert.equal(data.photos, null);
+            assert.equal(data.reviews, null);
+            assert.deepEqual(data.emails, []);
+            assert.equal(data.emailSource, 'not_found');
+        });
+
+        it('opens the hours dialog when hours are enabled', async () => {
+            const page = await openFixture('maps/place-dentist.html');
+            const data = await extractBusinessData(page, { placeUrl: DENTIST_URL, fastMode: true, extractBusinessHours: true });
+
+            assert.equal(data.businessHours.Monday, '8 AM to 5 PM');
+            assert.deepEqual(Object.keys(data.secondaryHours), ['Holiday Hours', 'Online service hours']);
+        });
+
+        it('opens the About tab when attributes are enabled', async () => {
+            const page = await openFixture('maps/place-dentist.html');
+            const data = await extractBusinessData(page, { placeUrl: DENTIST_URL, fastMode: true, extractAttributes: true });
+
+            assert.equal(data.attributes.Crowd['LGBTQ+ friendly'], true);
+        });
+
+        it('opens the gallery when photos are enabled', async () => {
+            const page = await openFixture('maps/place-dentist.html');
+            const data = await extractBusinessData(page, {
+                placeUrl: DENTIST_URL,
+                fastMode: true,
+                photoOptions: { maxPhotos: 1 },
+                photoSize: 'medium',
+            });
+
+            assert.deepEqual(data.photos, [
+                { url: 'https://lh5.googleusercontent.com/p/AF1QipCover001=w800-h600-k-no', uploadedBy: 'owner' },
+            ]);
+        });
+
+                it('picks up a profile email and leaves missing fields null', async () => {
+            const page = await openFixture('maps/place-restaurant.html');
+            const data = await extractBusinessData(page, { fastMode: true });
+
+            assert.equal(data.businessName, 'Luna Verde Cantina');
+            assert.equal(data.website, null);
+            assert.equal(data.phone, null);
+            assert.equal(data.plusCode, null);
+            assert.equal(data.openStatus, null);
+            assert.deepEqual(data.emails, ['reservations@lunaverde.example']);
+            assert.equal(data.emailSource, 'google_profile');
+        });
+
+        it('reads reservation, order and menu links once each', async () => {
+            const page = await openFixture('maps/place-restaurant.html');
+            const data = await extractBusinessData(page, { fastMode: true });
+
+            assert.deepEqual(data.actionLinks.map(link => [link.type, link.provider]), [
+                ['order', 'DoorDash'],
+                ['reservation', 'OpenTable'],
+                ['menu', null],
+            ]);
+            assert.equal(data.actionLinks[1].url, 'https://www.opentable.com/r/luna-verde-austin');
+        });
+
+        it('reads the closure banner of a closed place', async () => {
+            const page = await openFixture('maps/place-closed.html');
+            const data = await extractBusinessData(page, { fastMode: true });
+
+            assert.equal(data.businessName, 'Copper Kettle Diner');
+            assert.equal(data.businessStatus, 'CLOSED_PERMANENTLY');
+        });
+
+        it('reads a German interface with the German locale pack', async () => {
+            const page = await openFixture('maps/place-bakery-de.html');
+            const data = await extractBusinessData(page, { fastMode: true, extractBusinessHours: true, locale: getLocale('de') });
+
+            assert.equal(data.rating, '4,6');
+            assert.equal(data.reviewCount, '1.234');
+            assert.equal(data.priceLevel, '$$');
+            assert.equal(data.businessHours.Monday, '06:30–12:00, 14:00–18:00');
+            assert.equal(data.businessHours.Sunday, 'Geschlossen');
+        });
+
+        it('returns null when the page has no place name', async () => {
+            const page = await openFixture('websites/noemail/about.html');
+            await page.evaluate(() => document.querySelector('h1').remove());
+
+            assert.equal(await extractBusinessData(page, { fastMode: true }), null);
+        });
+    });
+
+    describe('extractHoursData', () => {
+        it('reads the regular hours and ignores holiday hours', async () => {
+            const page = await openFixture('maps/place-dentist.html');
+            const hours = await extractHoursData(page);
+
+            assert.deepEqual(hours, {
+                Monday: '8 AM to 5 PM',
+                Tuesday: '8 AM to 5 PM',
+                Wednesday: '8 AM to 5 PM',
+                Thursday: '8 AM to 5 PM',
+                Friday: '8 AM to 1 PM',
+                Saturday: 'Closed',
+                Sunday: 'Closed',
+            });
+        });
+
+        it('returns null when the place has no hours', async () => {
+            const page = await openFixture('maps/place-restaurant.html');
+            assert.equal(await extractHoursData(page), null);
+        });
+    });
+
+    describe('extractHoursSchedules', () => {
+        it('keeps secondary hour types as named schedules', async () => {
+            const page = await openFixture('maps/place-dentist.html');
+            const schedules = await extractHoursSchedules(page);
+
+            assert.deepEqual(schedules.map(schedule => schedule.name), ['Hours', 'Holiday Hours', 'Online service hours']);
+            assert.deepEqual(schedules[2].hours, { Monday: '7 AM to 12 PM, 1 to 9 PM', Saturday: 'Open 24 hours' });
+        });
+    });
+
+    describe('extractPriceInfo', () => {
+        it('reads price level and price range', async () => {
+            const page = await openFixture('maps/place-restaurant.html');
+            assert.deepEqual(await extractPriceInfo(page), { priceLevel: '$$', priceRange: '$10–20' });
+        });
+
+        it('returns nulls when the place shows no prices', async () => {
+            const page = await openFixture('maps/place-dentist.html');
+            assert.deepEqual(await extractPriceInfo(page), { priceLevel: null, priceRange: null });
+        });
+    });
+});
@@ -0,0 +1,171 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    buildCoverageReport,
+    buildGridCells,
+    distanceKm,
+    isWithinArea,
+    resolveGridArea,
+    zoomForCellSize,
+    GRID_RESULT_CAP,
+} from '../src/utils/geoGrid.js';
+
+const AUSTIN = { latitude: 30.2672, longitude: -97.7431 };
+
+const cell = id => ({ id, bounds: null, center: null });
+
+const queryStats = (label, cellId, stats) => ({
+    label,
+    cell: cell(cellId),
+    cardsLoaded: 40,
+    placesInCell: 30,
+    outsideArea: 0,
+    matched: 40,
+    newPlaces: 40,
+    reachedEnd: false,
+    budgetReached: false,
+    failed: false,
+    ...stats,
+});
+
+describe('buildCoverageReport', () => {
+    it('flags queries cut off by Google or by maxResults', () => {
+        const report = buildCoverageReport([
+            queryStats('dentists r0c0', 'r0c0', { cardsLoaded: GRID_RESULT_CAP, matched: 118 }),
+            queryStats('dentists r0c1', 'r0c1', { cardsLoaded: 100, matched: 100, budgetReached: true }),
+            queryStats('dentists r1c0', 'r1c0', { cardsLoaded: 100, matched: 100, budgetReached: true, reachedEnd: true }),
+            queryStats('dentists r1c1', 'r1c1', { reachedEnd: true }),
+        ]);
+
+        assert.deepEqual(report.cells.map(entry => entry.cappedBy), ['googleCap', 'maxResults', null, null]);
+        assert.deepEqual(report.cells.map(entry => entry.hitCap), [true, true, false, false]);
+        assert.equal(report.cellsAtCap, 2);
+    });
+
+    it('counts distinct cells apart from keyword searches', () => {
+        const report = buildCoverageReport([
+            queryStats('dentists r0c0', 'r0c0', { budgetReached: true }),
+            queryStats('orthodontists r0c0', 'r0c0', { budgetReached: true }),
+            queryStats('dentists r0c1', 'r0c1', { reachedEnd: true }),
+            queryStats('orthodontists r0c1', 'r0c1', { failed: true }),
+            { label: 'dentists in Austin', cell: null },
+        ]);
+
+        assert.equal(report.totalCells, 2);
+        assert.equal(report.totalQueries, 4);
+        assert.equal(report.cellsAtCap, 1);
+        assert.equal(report.failedCells, 1);
+    });
+});
+
+describe('buildGridCells', () => {
+    it('splits a bounding box into rows and columns of the cell size', () => {
+        // 0.1° is about 11.1 km north to south and 9.6 km east to west at this latitude
+        const { cells, area } = buildGridCells({
+            boundingBox: { north: 30.3, south: 30.2, east: -97.7, west: -97.8 },
+            cellSizeKm: 2,
+        });
+
+        assert.equal(cells.length, 6 * 5);
+        assert.equal(area.center, null);
+        assert.deepEqual([cells[0].id, cells.at(-1).id], ['r0c0', 'r5c4']);
+        assert.equal(cells[0].bounds.north, 30.3);
+        assert.equal(cells.at(-1).bounds.east, -97.7);
+    });
+
+    it('skips cells that lie entirely outside a circle', () => {
+        const { cells, area } = buildGridCells({ center: AUSTIN, radiusKm: 10, cellSizeKm: 2 });
+        const rows = Math.max(...cells.map(cell => cell.row)) + 1;
+        const cols = Math.max(...cells.map(cell => cell.col)) + 1;
+        const halfDiagonalKm = Math.SQRT2;
+
+        assert.equal(area.radiusKm, 10);
+        assert.ok(cells.length < rows * cols);
+        // Corner cells are gone, the cells around the center are kept
+        assert.ok(!cells.some(cell => cell.id === 'r0c0'));
+        assert.ok(cells.some(cell => isWithinArea(AUSTIN, { bounds: cell.bounds })));
+        for (const cell of cells) {
+            const distance = distanceKm(AUSTIN.latitude, AUSTIN.longitude, cell.center.latitude, cell.center.longitude);
+            assert.ok(distance <= 10 + halfDiagonalKm, cell.id);
+        }
+    });
+
+    it('uses one cell for an area smaller than the cell size', () => {
+        const { cells } = buildGridCells({ center: AUSTIN, radiusKm: 0.2, cellSizeKm: 2 });
+
+        assert.equal(cells.length, 1);
+        assert.ok(Math.abs(cells[0].center.latitude - AUSTIN.latitude) < 1e-9);
+        assert.ok(Math.abs(cells[0].center.longitude - AUSTIN.longitude) < 1e-9);
+    });
+
+    it('derives the zoom from the cell size unless one is given', () => {
+        const bounds = { boundingBox: { north: 30.3, south: 30.2, east: -97.7, west: -97.8 } };
+
+        assert.equal(buildGridCells({ ...bounds, cellSizeKm: 2 }).zoom, zoomForCellSize(2, 30.25));
+        assert.equal(buildGridCells({ ...bounds, cellSizeKm: 2, zoom: 14 }).zoom, 14);
+    });
+
+    it('rejects invalid cell sizes and grids that are too large', () => {
+        const bounds = { boundingBox: { north: 30.3, south: 30.2, east: -97.7, west: -97.8 } };
+
+        assert.throws(() => buildGridCells({ ...bounds, cellSizeKm: 0 }), /cell size/);
+        assert.throws(() => buildGridCells({ ...bounds, cellSizeKm: 0.1 }), /max 1000/);
+    });
+});
+
+describe('resolveGridArea', () => {
+    it('turns a center and radius into a bounding box around it', () => {
+        const { bounds, center } = resolveGridArea({ center: AUSTIN, radiusKm: 5 });
+
+        assert.deepEqual(center, AUSTIN);
+        // Each edge is 5 km from the center
+        assert.ok(Math.abs(distanceKm(AUSTIN.latitude, AUSTIN.longitude, bounds.north, AUSTIN.longitude) - 5) < 0.05);
+        assert.ok(Math.abs(distanceKm(AUSTIN.latitude, AUSTIN.longitude, AUSTIN.latitude, bounds.east) - 5) < 0.05);
+    });
+
+    it('rejects boxes that cross the antimeridian and incomplete input', () => {
+        // Fiji: west of the antimeridian is east of it in longitude
+        assert.throws(
+            () => resolveGridArea({ boundingBox: { north: -16, south: -19, east: -179.5, west: 177 } }),
+            /east > west/
+        );
+        assert.throws(() => resolveGridArea({ boundingBox: { north: 30.3, south: 30.2, east: -97.7 } }), /numeric/);
+        assert.throws(() => resolveGridArea({ center: AUSTIN }), /radius/);
+        assert.throws(() => resolveGridArea({}), /bounding box or a center/);
+    });
+});
+
+describe('isWithinArea', () => {
+    it('checks the bounding box and the radius', () => {
+        const area = resolveGridArea({ center: AUSTIN, radiusKm: 5 });
+        const { north, east } = area.bounds;
+
+        assert.equal(isWithinArea(AUSTIN, area), true);
+        // Inside the box but outside the circle
+        assert.equal(isWithinArea({ latitude: north - 0.001, longitude: east - 0.001 }, area), false);
+        assert.equal(isWithinArea({ latitude: north + 0.01, longitude: AUSTIN.longitude }, area), false);
+        assert.equal(isWithinArea({ latitude: null, longitude: null }, area), false);
+        assert.equal(isWithinArea(null, area), false);
+    });
+
+    it('accepts the whole box when there is no radius', () => {
+        const area = resolveGridArea({ boundingBox: { north: 30.3, south: 30.2, east: -97.7, west: -97.8 } });
+
+        assert.equal(isWithinArea({ latitude: 30.2999, longitude: -97.7001 }, area), true);
+        assert.equal(isWithinArea({ latitude: 30.31, longitude: -97.75 }, area), false);
+    });
+});
+
+describe('zoomForCellSize', () => {
+    it('zooms out as cells grow and toward the poles', () => {
+        const zooms = [0.5, 1, 2, 5, 10, 20].map(cellSizeKm => zoomForCellSize(cellSizeKm, 30));
+
+        assert.deepEqual(zooms, [18, 17, 16, 14, 13, 12]);
+        assert.equal(zoomForCellSize(2, 60), 15);
+    });
+
+    it('stays within zoom 10 to 18', () => {
+        assert.equal(zoomForCellSize(0.05, 0), 18);
+        assert.equal(zoomForCellSize(200, 0), 10);
+    });
+});
@@ -0,0 +1,57 @@
+/**
+ * Browser helpers for fixture tests
+ * Tests that need Chromium are skipped, with a warning, when it is not installed
+ * (run `npx playwright install chromium`, or point CHROME_PATH at a local Chrome).
+ * In CI they are never skipped: a missing browser fails them instead
+ */
+
+import { existsSync } from 'fs';
+import { basename } from 'path';
+import { chromium } from 'playwright';
+
+const executablePath = process.env.CHROME_PATH || undefined;
+
+const MISSING_BROWSER = 'Chromium is not installed (run `npx playwright install chromium` or set CHROME_PATH)';
+
+const browserMissing = (() => {
+    try {
+        return !existsSync(executablePath || chromium.executablePath());
+    } catch (error) {
+        return true;
+    }
+})();
+
+if (browserMissing) {
+    const outcome = process.env.CI ? 'FAIL because CI is set' : 'be SKIPPED';
+    process.stderr.write(`\n⚠ ${MISSING_BROWSER}: browser tests in ${basename(process.argv[1] || '')} will ${outcome}\n\n`);
+}
+
+/**
+ * Skip reason for browser tests, or false if they should run
+ */
+export const browserSkipReason = browserMissing && !process.env.CI ? MISSING_BROWSER : false;
+
+/**
+ * Launch a headless browser
+ */
+export async function launchBrowser() {
+    if (browserMissing) {
+        throw new Error(MISSING_BROWSER);
+    }
+    return chromium.launch({ headless: true, executablePath });
+}
+
+/**
+ * Open a page that can only reach the local fixture server
+ * Any other request is aborted, so tests never touch the network
+ * @param {import('playwright').Browser} browser
+ * @param {string} baseUrl - Fixture server base URL
+ * @returns {Promise<import('playwright').Page>}
+ */
+export async function newOfflinePage(browser, baseUrl) {
+    const context = await browser.newContext();
+    await context.route('**/*', route => (
+        route.request().url().startsWith(baseUrl) ? route.continue() : route.abort()
+    ));
+    return context.newPage();
+}
@@ -0,0 +1,54 @@
+/**
+ * Local HTTP server for test fixtures
+ * Serves saved Google Maps snapshots and sample business websites from test/fixtures
+ */
+
+import { createServer } from 'http';
+import { readFile } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { dirname, join, normalize, extname } from 'path';
+
+const FIXTURES_DIR = join(dirname(fileURLToPath(import.meta.url)), '../fixtures');
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css',
+    '.js': 'text/javascript',
+    '.xml': 'application/xml',
+};
+
+/**
+ * Start a server for the fixtures directory on a random local port
+ * @param {string} [root] - Fixtures subdirectory to serve as the site root (e.g. a website with its own sitemap.xml)
+ * @returns {Promise<{baseUrl: string, url: Function, close: Function}>}
+ */
+export async function startFixtureServer(root = '') {
+    const rootDir = join(FIXTURES_DIR, root);
+    const server = createServer(async (req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        const filePath = normalize(join(rootDir, decodeURIComponent(pathname)));
+
+        // Never serve anything outside the fixtures directory
+        if (!filePath.startsWith(rootDir)) {
+            res.writeHead(403).end();
+            return;
+        }
+
+        try {
+            const body = await readFile(filePath.endsWith('/') ? join(filePath, 'index.html') : filePath);
+            res.writeHead(200, { 'Content-Type': CONTENT_TYPES[extname(filePath)] || 'text/html; charset=utf-8' });
+            res.end(body);
+        } catch (error) {
+            res.writeHead(404, { 'Content-Type': 'text/html' }).end('<h1>Not found</h1>');
+        }
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    return {
+        baseUrl,
+        url: (path) => `${baseUrl}/${path.replace(/^\//, '')}`,
+        close: () => new Promise(resolve => server.close(resolve)),
+    };
+}
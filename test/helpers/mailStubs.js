@@ -0,0 +1,153 @@
+/**
+ * Local DNS and SMTP stub servers for email verification tests
+ * The DNS stub answers MX, A and AAAA queries from a fixed record table; the SMTP
+ * stub accepts a fixed set of mailboxes and records the commands it receives
+ */
+
+import { createSocket } from 'dgram';
+import { createServer } from 'net';
+
+const TYPES = { A: 1, MX: 15, AAAA: 28 };
+
+/**
+ * Encode a domain name as DNS labels ("" is the root)
+ */
+function encodeName(name) {
+    const labels = name ? name.split('.') : [];
+    return Buffer.concat([
+        ...labels.map(label => Buffer.concat([Buffer.from([label.length]), Buffer.from(label)])),
+        Buffer.from([0]),
+    ]);
+}
+
+/**
+ * Build the answer record data for a record type
+ */
+function encodeRecord(type, value) {
+    if (type === 'A') {
+        return Buffer.from(value.split('.').map(Number));
+    }
+    // MX: preference, then the exchange name
+    const preference = Buffer.alloc(2);
+    preference.writeUInt16BE(value.priority);
+    return Buffer.concat([preference, encodeName(value.exchange)]);
+}
+
+/**
+ * Start a DNS server on a random local UDP port
+ * Names missing from the table are NXDOMAIN; record types missing for a known name have no answers
+ * @param {Object} records - { "example.com": { MX: [{priority, exchange}], A: ["127.0.0.1"] } }
+ * @returns {Promise<{server: string, queries: string[], close: Function}>} - server is "127.0.0.1:port"
+ */
+export async function startDnsStub(records) {
+    const socket = createSocket('udp4');
+    const queries = [];
+
+    socket.on('message', (message, remote) => {
+        // Question: length-prefixed labels after the 12-byte header, then type and class
+        const labels = [];
+        let offset = 12;
+        while (message[offset] !== 0) {
+            labels.push(message.subarray(offset + 1, offset + 1 + message[offset]).toString());
+            offset += message[offset] + 1;
+        }
+        const name = labels.join('.').toLowerCase();
+        const typeCode = message.readUInt16BE(offset + 1);
+        const type = Object.keys(TYPES).find(key => TYPES[key] === typeCode);
+        const question = message.subarray(12, offset + 5);
+        queries.push(`${type} ${name}`);
+
+        const known = name in records;
+        const answers = (known && records[name][type]) || [];
+
+        const header = Buffer.alloc(12);
+        message.copy(header, 0, 0, 2);
+        // Response with recursion available; rcode 3 is NXDOMAIN
+        header.writeUInt16BE(0x8180 | (known ? 0 : 3), 2);
+        header.writeUInt16BE(1, 4);
+        header.writeUInt16BE(answers.length, 6);
+
+        const answerRecords = answers.map((value) => {
+            const data = encodeRecord(type, value);
+            const fixed = Buffer.alloc(12);
+            // Name is a pointer to the question name
+            fixed.writeUInt16BE(0xc00c, 0);
+            fixed.writeUInt16BE(typeCode, 2);
+            fixed.writeUInt16BE(1, 4);
+            fixed.writeUInt32BE(300, 6);
+            fixed.writeUInt16BE(data.length, 10);
+            return Buffer.concat([fixed, data]);
+        });
+
+        socket.send(Buffer.concat([header, question, ...answerRecords]), remote.port, remote.address);
+    });
+
+    await new Promise(resolve => socket.bind(0, '127.0.0.1', resolve));
+
+    return {
+        server: `127.0.0.1:${socket.address().port}`,
+        queries,
+        close: () => new Promise(resolve => socket.close(resolve)),
+    };
+}
+
+/**
+ * Start an SMTP server on a random local port
+ * @param {Object} options
+ * @param {string[]} [options.mailboxes] - Addresses that are accepted
+ * @param {string[]} [options.greylisted] - Addresses that get a temporary failure
+ * @param {boolean} [options.catchAll] - Accept every address
+ * @returns {Promise<{host: string, commands: string[], close: Function}>} - host is "127.0.0.1:port"
+ */
+export async function startSmtpStub({ mailboxes = [], greylisted = [], catchAll = false } = {}) {
+    const commands = [];
+    const sockets = new Set();
+
+    const server = createServer((socket) => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+        socket.setEncoding('utf-8');
+        socket.write('220 stub.example ESMTP\r\n');
+
+        let buffer = '';
+        socket.on('data', (chunk) => {
+            buffer += chunk;
+            let newline;
+            while ((newline = buffer.indexOf('\r\n')) !== -1) {
+                const command = buffer.slice(0, newline);
+                buffer = buffer.slice(newline + 2);
+                commands.push(command);
+
+                const recipient = command.match(/^RCPT TO:<(.*)>$/i)?.[1].toLowerCase();
+                if (/^EHLO/i.test(command)) {
+                    socket.write('250-stub.example\r\n250 SIZE 10240000\r\n');
+                } else if (/^MAIL FROM/i.test(command)) {
+                    socket.write('250 OK\r\n');
+                } else if (recipient !== undefined) {
+                    if (greylisted.includes(recipient)) {
+                        socket.write('451 4.7.1 Try again later\r\n');
+                    } else if (catchAll || mailboxes.includes(recipient)) {
+                        socket.write('250 OK\r\n');
+                    } else {
+                        socket.write('550 5.1.1 No such user\r\n');
+                    }
+                } else if (/^QUIT/i.test(command)) {
+                    socket.end('221 Bye\r\n');
+                } else {
+                    socket.write('502 Command not implemented\r\n');
+                }
+            }
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        host: `127.0.0.1:${server.address().port}`,
+        commands,
+        close: () => new Promise((resolve) => {
+            sockets.forEach(socket => socket.destroy());
+            server.close(resolve);
+        }),
+    };
+}
@@ -0,0 +1,140 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    getLocale,
+    setLanguageParam,
+    toCanonicalDay,
+    toCanonicalHoursText,
+    toCanonicalPriceLevel,
+    toCanonicalAttributeName,
+    toBusinessStatus,
+    toRelativeDateParts,
+    isHoursButtonText,
+} from '../src/utils/locale.js';
+import { LOCALES } from '../src/config/locales.js';
+
+describe('getLocale', () => {
+    it('returns the pack for a supported language', () => {
+        assert.equal(getLocale('de').closed, 'Geschlossen');
+        assert.equal(getLocale().closed, 'Closed');
+    });
+
+    it('rejects unsupported languages', () => {
+        assert.throws(() => getLocale('xx'), /Unsupported language "xx"/);
+    });
+
+    it('has every pack complete', () => {
+        for (const [language, locale] of Object.entries(LOCALES)) {
+            assert.equal(locale.days.length, 7, language);
+            assert.equal(locale.priceLevels.length, 4, language);
+            for (const key of ['acceptLanguage', 'ratingSelector', 'reviewCountSelector', 'copyHoursLabel', 'closed', 'open24Hours', 'permanentlyClosed', 'temporarilyClosed', 'opensSoon', 'noReviews']) {
+                assert.ok(locale[key], `${language}.${key}`);
+            }
+            for (const key of ['reviewsTabSelector', 'reviewsSortSelector', 'aboutTabSelector', 'photoCountSelector', 'galleryOwnerTabSelector']) {
+                assert.ok(!locale[key].includes('undefined'), `${language}.${key}`);
+            }
+            for (const key of ['photos', 'missingAttribute', 'busyAtHour', 'liveBusyness', 'timeSpent', 'relativeDate']) {
+                assert.ok(locale[key] instanceof RegExp, `${language}.${key}`);
+            }
+            assert.deepEqual(Object.keys(locale.timeUnits), ['minute', 'hour', 'day', 'week', 'month', 'year'], language);
+        }
+    });
+});
+
+describe('locale patterns', () => {
+    it('read localized rating and review labels', () => {
+        const card = (language, label) => {
+            const { rating, reviews } = getLocale(language);
+            return [label.match(rating)?.[1], label.match(reviews)?.[1]];
+        };
+
+        assert.deepEqual(card('en', '4.8 stars 1,234 Reviews'), ['4.8', '1,234']);
+        assert.deepEqual(card('de', '4,6 Sterne 1.234 Rezensionen'), ['4,6', '1.234']);
+        assert.deepEqual(card('fr', '4,2 étoiles 1 234 avis'), ['4,2', '1 234']);
+        assert.deepEqual(card('es', '4,5 estrellas 87 reseñas'), ['4,5', '87']);
+    });
+
+    it('read localized photo counts', () => {
+        assert.equal('1.234 Fotos'.match(getLocale('de').photos)?.[1], '1.234');
+        assert.equal('87 photos'.match(getLocale('fr').photos)?.[1], '87');
+        assert.equal('1,234 photos'.match(getLocale('en').photos)?.[1], '1,234');
+    });
+});
+
+describe('toRelativeDateParts', () => {
+    it('reads relative dates in the locale and in English', () => {
+        assert.deepEqual(toRelativeDateParts('2 months ago'), { amount: 2, unit: 'month' });
+        assert.deepEqual(toRelativeDateParts('vor einer Woche', getLocale('de')), { amount: 1, unit: 'week' });
+        assert.deepEqual(toRelativeDateParts('Bearbeitet: vor 3 Tagen', getLocale('de')), { amount: 3, unit: 'day' });
+        assert.deepEqual(toRelativeDateParts('il y a un an', getLocale('fr')), { amount: 1, unit: 'year' });
+        assert.deepEqual(toRelativeDateParts('hace 5 meses', getLocale('es')), { amount: 5, unit: 'month' });
+        assert.deepEqual(toRelativeDateParts('2 settimane fa', getLocale('it')), { amount: 2, unit: 'week' });
+        assert.deepEqual(toRelativeDateParts('een jaar geleden', getLocale('nl')), { amount: 1, unit: 'year' });
+        assert.deepEqual(toRelativeDateParts('há um mês', getLocale('pt')), { amount: 1, unit: 'month' });
+        assert.deepEqual(toRelativeDateParts('a week ago', getLocale('de')), { amount: 1, unit: 'week' });
+    });
+
+    it('rejects other text', () => {
+        assert.equal(toRelativeDateParts('vor einer Woche'), null);
+        assert.equal(toRelativeDateParts('vor 3 Wochenenden', getLocale('de')), null);
+        assert.equal(toRelativeDateParts(null), null);
+    });
+});
+
+describe('isHoursButtonText', () => {
+    it('recognizes the hours button in the locale and in English', () => {
+        assert.equal(isHoursButtonText('See more hours'), true);
+        assert.equal(isHoursButtonText('Open ⋅ Closes 5 PM'), true);
+        assert.equal(isHoursButtonText('Geöffnet ⋅ Schließt um 18:00', getLocale('de')), true);
+        assert.equal(isHoursButtonText('Weitere Öffnungszeiten', getLocale('de')), true);
+        assert.equal(isHoursButtonText('Route', getLocale('de')), false);
+        assert.equal(isHoursButtonText('Open in app'), false);
+        assert.equal(isHoursButtonText(null), false);
+    });
+});
+
+describe('setLanguageParam', () => {
+    it('sets or replaces hl', () => {
+        assert.equal(setLanguageParam('https://www.google.com/maps/search/pizza', 'de'), 'https://www.google.com/maps/search/pizza?hl=de');
+        assert.equal(setLanguageParam('https://www.google.com/maps?cid=123&hl=en', 'fr'), 'https://www.google.com/maps?cid=123&hl=fr');
+        assert.equal(setLanguageParam('not a url', 'de'), 'not a url');
+    });
+});
+
+describe('canonical values', () => {
+    it('translates day names from any supported language', () => {
+        assert.equal(toCanonicalDay('Montag'), 'Monday');
+        assert.equal(toCanonicalDay('mercredi'), 'Wednesday');
+        assert.equal(toCanonicalDay('sábado'), 'Saturday');
+        assert.equal(toCanonicalDay('Sunday'), 'Sunday');
+        assert.equal(toCanonicalDay('Funday'), null);
+    });
+
+    it('translates closed and all-day hours text', () => {
+        assert.equal(toCanonicalHoursText('Geschlossen'), 'Closed');
+        assert.equal(toCanonicalHoursText('Aperto 24 ore su 24'), 'Open 24 hours');
+        assert.equal(toCanonicalHoursText('08:00–17:00'), '08:00–17:00');
+    });
+
+    it('turns price labels into $ symbols', () => {
+        assert.equal(toCanonicalPriceLevel('Mittelteuer', getLocale('de')), '$$');
+        assert.equal(toCanonicalPriceLevel('Very Expensive', getLocale('de')), '$$$$');
+        assert.equal(toCanonicalPriceLevel('Inexpensive'), '$');
+        assert.equal(toCanonicalPriceLevel('Cheap-ish'), null);
+    });
+
+    it('translates attribute names the locale pack lists', () => {
+        assert.equal(toCanonicalAttributeName('Barrierefreiheit', getLocale('de')), 'Accessibility');
+        assert.equal(toCanonicalAttributeName('vente à emporter', getLocale('fr')), 'Takeout');
+        assert.equal(toCanonicalAttributeName('Vegetarische Gerichte', getLocale('de')), 'Vegetarische Gerichte');
+        assert.equal(toCanonicalAttributeName('Dine-in'), 'Dine-in');
+    });
+
+    it('turns closure banners into business statuses', () => {
+        assert.equal(toBusinessStatus('Permanently closed'), 'CLOSED_PERMANENTLY');
+        assert.equal(toBusinessStatus('Vorübergehend geschlossen', getLocale('de')), 'CLOSED_TEMPORARILY');
+        assert.equal(toBusinessStatus('Opens soon · Mar 3'), 'FUTURE_OPENING');
+        assert.equal(toBusinessStatus('Open ⋅ Closes 5 PM'), null);
+        assert.equal(toBusinessStatus(null), null);
+    });
+});
@@ -0,0 +1,38 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizePhone } from '../src/utils/phoneNumber.js';
+
+describe('normalizePhone', () => {
+    it('formats a national number for the place country', () => {
+        assert.deepEqual(normalizePhone('030 12345678', 'DE'), {
+            phone: '+493012345678',
+            phoneNational: '030 12345678',
+            phoneType: 'landline',
+        });
+    });
+
+    it('leaves the type unknown where the numbering plan does not tell', () => {
+        assert.deepEqual(normalizePhone('(512) 555-0123', 'US'), {
+            phone: '+15125550123',
+            phoneNational: '(512) 555-0123',
+            phoneType: null,
+        });
+    });
+
+    it('classifies mobile and toll-free numbers', () => {
+        assert.equal(normalizePhone('07911 123456', 'GB').phoneType, 'mobile');
+        assert.equal(normalizePhone('0800 123 4567', 'GB').phoneType, 'toll-free');
+        assert.equal(normalizePhone('(800) 555-0199', 'US').phoneType, 'toll-free');
+    });
+
+    it('reads international numbers without a country', () => {
+        assert.equal(normalizePhone('+33 1 42 68 53 00').phone, '+33142685300');
+        assert.equal(normalizePhone('+33 1 42 68 53 00', 'DE').phoneNational, '01 42 68 53 00');
+    });
+
+    it('rejects numbers that are not valid for the country', () => {
+        assert.equal(normalizePhone('12345', 'US'), null);
+        assert.equal(normalizePhone('030 12345678'), null);
+        assert.equal(normalizePhone(null, 'US'), null);
+    });
+});
@@ -0,0 +1,77 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFixtureServer } from './helpers/fixtureServer.js';
+import { browserSkipReason, launchBrowser, newOfflinePage } from './helpers/browser.js';
+import { extractPhotoSummary, extractPhotos } from '../src/photoScraper.js';
+
+// The code under test logs progress; keep test output readable
+mock.method(console, 'log', () => {});
+
+const photo = (id, size = 'w1920-h1080-k-no') => `https://lh5.googleusercontent.com/p/${id}=${size}`;
+
+describe('photo scraper', { skip: browserSkipReason }, () => {
+    let server;
+    let browser;
+
+    before(async () => {
+        server = await startFixtureServer();
+        browser = await launchBrowser();
+    });
+
+    after(async () => {
+        await browser?.close();
+        await server?.close();
+    });
+
+    const openFixture = async (path) => {
+        const page = await newOfflinePage(browser, server.baseUrl);
+        await page.goto(server.url(path));
+        return page;
+    };
+
+    describe('extractPhotoSummary', () => {
+        it('reads the photo count and resizes the cover photo', async () => {
+            const page = await openFixture('maps/place-dentist.html');
+
+            assert.deepEqual(await extractPhotoSummary(page, 'small'), {
+                photoCount: 1234,
+                coverPhotoUrl: photo('AF1QipCover001', 'w408-h306-k-no'),
+            });
+        });
+
+        it('returns nulls when the place has no photos', async () => {
+            const page = await openFixture('maps/place-restaurant.html');
+            assert.deepEqual(await extractPhotoSummary(page), { photoCount: null, coverPhotoUrl: null });
+        });
+    });
+
+    describe('extractPhotos', () => {
+        it('collects gallery photos and marks who uploaded them', async () => {
+            const page = await openFixture('maps/place-dentist.html');
+            const photos = await extractPhotos(page, { maxPhotos: 10, fastMode: true });
+
+            // The Street View tile is skipped
+            assert.deepEqual(photos, [
+                { url: photo('AF1QipCover001'), uploadedBy: 'owner' },
+                { url: photo('AF1QipCustomer01'), uploadedBy: 'customer' },
+                { url: photo('AF1QipOwner0002'), uploadedBy: 'owner' },
+                { url: photo('AF1QipCustomer02'), uploadedBy: 'customer' },
+            ]);
+
+            // The gallery is closed again for the steps that follow
+            assert.equal(await page.$('#gallery-photos'), null);
+        });
+
+        it('stops at maxPhotos', async () => {
+            const page = await openFixture('maps/place-dentist.html');
+            const photos = await extractPhotos(page, { maxPhotos: 2, size: 'original', fastMode: true });
+
+            assert.deepEqual(photos.map(p => p.url), [photo('AF1QipCover001', 's0'), photo('AF1QipCustomer01', 's0')]);
+        });
+
+        it('returns null when the place has no gallery', async () => {
+            const page = await openFixture('maps/place-restaurant.html');
+            assert.equal(await extractPhotos(page, { fastMode: true }), null);
+        });
+    });
+});
@@ -0,0 +1,59 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    isGooglePhotoUrl,
+    getPhotoKey,
+    resizePhotoUrl,
+    parseBackgroundImageUrl,
+} from '../src/utils/photoUrls.js';
+import { flattenForCSV } from '../src/utils/csvExport.js';
+
+const THUMBNAIL = 'https://lh5.googleusercontent.com/p/AF1QipCover001=w203-h152-k-no';
+
+describe('isGooglePhotoUrl', () => {
+    it('accepts Google-hosted place photos only', () => {
+        assert.equal(isGooglePhotoUrl(THUMBNAIL), true);
+        assert.equal(isGooglePhotoUrl('https://lh3.ggpht.com/p/AF1Qip=s0'), true);
+        assert.equal(isGooglePhotoUrl('https://streetviewpixels-pa.googleapis.com/v1/thumbnail?panoid=abc'), false);
+        assert.equal(isGooglePhotoUrl(null), false);
+    });
+});
+
+describe('resizePhotoUrl / getPhotoKey', () => {
+    it('swaps the size parameters', () => {
+        assert.equal(resizePhotoUrl(THUMBNAIL, 'medium'), 'https://lh5.googleusercontent.com/p/AF1QipCover001=w800-h600-k-no');
+        assert.equal(resizePhotoUrl(THUMBNAIL, 'original'), 'https://lh5.googleusercontent.com/p/AF1QipCover001=s0');
+        assert.equal(resizePhotoUrl(THUMBNAIL, 'unknown'), 'https://lh5.googleusercontent.com/p/AF1QipCover001=w1920-h1080-k-no');
+    });
+
+    it('identifies a photo regardless of size', () => {
+        assert.equal(getPhotoKey(THUMBNAIL), getPhotoKey(resizePhotoUrl(THUMBNAIL, 'small')));
+    });
+
+    it('leaves other URLs unchanged', () => {
+        const url = 'https://example.com/photo.jpg?w=200';
+        assert.equal(resizePhotoUrl(url, 'small'), url);
+    });
+});
+
+describe('parseBackgroundImageUrl', () => {
+    it('reads quoted and unquoted url() values', () => {
+        assert.equal(parseBackgroundImageUrl(`url("${THUMBNAIL}")`), THUMBNAIL);
+        assert.equal(parseBackgroundImageUrl(`url(${THUMBNAIL})`), THUMBNAIL);
+        assert.equal(parseBackgroundImageUrl('none'), null);
+        assert.equal(parseBackgroundImageUrl(''), null);
+    });
+});
+
+describe('flattenForCSV photos', () => {
+    it('joins photo URLs with their uploader', () => {
+        const row = flattenForCSV({
+            photos: [
+                { url: 'https://lh5.googleusercontent.com/p/A=s0', uploadedBy: 'owner' },
+                { url: 'https://lh5.googleusercontent.com/p/B=s0', uploadedBy: null },
+            ],
+        });
+
+        assert.equal(row.photos, 'https://lh5.googleusercontent.com/p/A=s0 (owner); https://lh5.googleusercontent.com/p/B=s0');
+    });
+});
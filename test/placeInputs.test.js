@@ -0,0 +1,78 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolvePlaceInput, buildPlaceTargets } from '../src/utils/placeInputs.js';
+
+const FEATURE_ID = '0x8644b5a7c4c2f4e1:0x4d7b2a6f1e9c3a5b';
+const FEATURE_CID = '5583102819799153243';
+const PLACE_ID = 'ChIJLwPMoJm1RIYRetVp1EtGm10';
+
+describe('resolvePlaceInput', () => {
+    it('opens place URLs as given, keyed by their IDs', () => {
+        const url = `https://www.google.com/maps/place/Bright+Smile+Dental/@30.2672,-97.7431,17z/data=!4m6!3m5!1s${FEATURE_ID}!8m2`;
+
+        assert.deepEqual(resolvePlaceInput(` ${url} `), { url, businessKey: `cid:${FEATURE_CID}` });
+        assert.deepEqual(resolvePlaceInput('https://maps.google.com/?cid=123456789'), {
+            url: 'https://maps.google.com/?cid=123456789',
+            businessKey: 'cid:123456789',
+        });
+        assert.equal(resolvePlaceInput('https://maps.app.goo.gl/AbCdEf123').businessKey, 'url:/AbCdEf123');
+    });
+
+    it('builds place ID URLs', () => {
+        assert.deepEqual(resolvePlaceInput(PLACE_ID), {
+            url: `https://www.google.com/maps/place/?q=place_id:${PLACE_ID}`,
+            businessKey: `place:${PLACE_ID}`,
+        });
+    });
+
+    it('builds CID URLs from CIDs and feature IDs', () => {
+        assert.deepEqual(resolvePlaceInput('123456789'), {
+            url: 'https://www.google.com/maps?cid=123456789',
+            businessKey: 'cid:123456789',
+        });
+        assert.deepEqual(resolvePlaceInput(FEATURE_ID), {
+            url: `https://www.google.com/maps?cid=${FEATURE_CID}`,
+            businessKey: `cid:${FEATURE_CID}`,
+        });
+    });
+
+    it('rejects other input', () => {
+        assert.equal(resolvePlaceInput('https://www.example.com/maps/place/Bright+Smile+Dental'), null);
+        assert.equal(resolvePlaceInput('Bright Smile Dental'), null);
+        assert.equal(resolvePlaceInput('1234'), null);
+        assert.equal(resolvePlaceInput('ChIJshort'), null);
+        // A feature ID without a CID half
+        assert.equal(resolvePlaceInput('0x8644b5a7c4c2f4e1:0x0'), null);
+    });
+});
+
+describe('buildPlaceTargets', () => {
+    it('drops the same place given twice in any form', () => {
+        const targets = buildPlaceTargets([
+            FEATURE_ID,
+            FEATURE_CID,
+            `https://www.google.com/maps?cid=${FEATURE_CID}`,
+            PLACE_ID,
+            `https://www.google.com/maps/place/?q=place_id:${PLACE_ID}`,
+        ]);
+
+        assert.deepEqual(targets.map(target => target.input), [FEATURE_ID, PLACE_ID]);
+        assert.deepEqual(targets.map(target => target.businessKey), [`cid:${FEATURE_CID}`, `place:${PLACE_ID}`]);
+    });
+
+    it('skips blank entries', () => {
+        assert.deepEqual(buildPlaceTargets(['', '  ', null, ' 123456789 ']), [{
+            input: '123456789',
+            url: 'https://www.google.com/maps?cid=123456789',
+            businessKey: 'cid:123456789',
+        }]);
+        assert.deepEqual(buildPlaceTargets(undefined), []);
+    });
+
+    it('rejects values that are not places', () => {
+        assert.throws(
+            () => buildPlaceTargets([PLACE_ID, 'dentists in Austin']),
+            /Invalid place "dentists in Austin"/
+        );
+    });
+});
@@ -0,0 +1,98 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFixtureServer } from './helpers/fixtureServer.js';
+import { browserSkipReason, launchBrowser, newOfflinePage } from './helpers/browser.js';
+import { extractPopularTimes, cleanPopularTimes } from '../src/popularTimesScraper.js';
+import { getLocale } from '../src/utils/locale.js';
+
+// The code under test logs progress; keep test output readable
+mock.method(console, 'log', () => {});
+
+describe('cleanPopularTimes', () => {
+    it('reads hourly busyness per day, Sunday first', () => {
+        const popularTimes = cleanPopularTimes([
+            [],
+            ['20% busy at 11 AM.', '55% busy at 12 PM.', '0% busy at 12 AM.'],
+        ], 'People typically spend 15 min to 1 hr here');
+
+        assert.deepEqual(popularTimes, {
+            histogram: {
+                Monday: [
+                    { hour: 11, busyness: 20 },
+                    { hour: 12, busyness: 55 },
+                    { hour: 0, busyness: 0 },
+                ],
+            },
+            live: null,
+            typicalTimeSpent: '15 min to 1 hr',
+        });
+    });
+
+    it('places the live bar after the hour before it', () => {
+        const popularTimes = cleanPopularTimes([
+            ['30% busy at 5 PM.', 'Currently 70% busy, usually 40% busy.', '25% busy at 7 PM.'],
+        ]);
+
+        assert.deepEqual(popularTimes.live, { day: 'Sunday', hour: 18, busyness: 70, usual: 40 });
+        assert.deepEqual(popularTimes.histogram.Sunday.map(h => h.hour), [17, 18, 19]);
+        assert.equal(popularTimes.histogram.Sunday[1].busyness, 40);
+        assert.equal(popularTimes.typicalTimeSpent, null);
+    });
+
+    it('reads 24-hour labels in the interface language', () => {
+        const popularTimes = cleanPopularTimes([
+            ['Um 17 Uhr zu 30 % ausgelastet.', 'Derzeit zu 70 % ausgelastet; normal sind 40 %.', 'Um 19 Uhr zu 25 % ausgelastet.'],
+        ], 'Kunden verbringen hier normalerweise 15 Min. bis 1 Std.', getLocale('de'));
+
+        assert.deepEqual(popularTimes, {
+            histogram: {
+                Sunday: [
+                    { hour: 17, busyness: 30 },
+                    { hour: 18, busyness: 40 },
+                    { hour: 19, busyness: 25 },
+                ],
+            },
+            live: { day: 'Sunday', hour: 18, busyness: 70, usual: 40 },
+            typicalTimeSpent: '15 Min. bis 1 Std',
+        });
+    });
+
+    it('returns null when there are no bars', () => {
+        assert.equal(cleanPopularTimes([[], []]), null);
+        assert.equal(cleanPopularTimes(null), null);
+    });
+});
+
+describe('extractPopularTimes', { skip: browserSkipReason }, () => {
+    let server;
+    let browser;
+
+    before(async () => {
+        server = await startFixtureServer();
+        browser = await launchBrowser();
+    });
+
+    after(async () => {
+        await browser?.close();
+        await server?.close();
+    });
+
+    it('scrolls to the chart and reads it', async () => {
+        const page = await newOfflinePage(browser, server.baseUrl);
+        await page.goto(server.url('maps/place-restaurant.html'));
+
+        const popularTimes = await extractPopularTimes(page, { fastMode: true });
+
+        assert.deepEqual(Object.keys(popularTimes.histogram), ['Monday', 'Tuesday']);
+        assert.equal(popularTimes.histogram.Monday.length, 4);
+        assert.deepEqual(popularTimes.live, { day: 'Tuesday', hour: 12, busyness: 80, usual: 50 });
+        assert.equal(popularTimes.typicalTimeSpent, '45 min to 1.5 hr');
+    });
+
+    it('returns null when the place shows no popular times', async () => {
+        const page = await newOfflinePage(browser, server.baseUrl);
+        await page.goto(server.url('maps/place-dentist.html'));
+
+        assert.equal(await extractPopularTimes(page, { fastMode: true }), null);
+    });
+});
@@ -0,0 +1,139 @@
+import { describe, it, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { Actor } from 'apify';
+import { createResultStream } from '../src/resultStream.js';
+import { createRunState, loadRunState, startCheckpointing } from '../src/utils/runState.js';
+
+// The code under test logs progress; keep test output readable
+mock.method(console, 'log', () => {});
+
+// Records pushed to the dataset, copied at push time
+let pushed = [];
+mock.method(Actor, 'pushData', async (item) => {
+    pushed.push(structuredClone(item));
+});
+
+// Key-value store of the run, copied on write
+let store = {};
+mock.method(Actor, 'getValue', async key => store[key] ?? null);
+mock.method(Actor, 'setValue', async (key, value) => {
+    store[key] = structuredClone(value);
+});
+
+const createStream = (runState, options = {}) => createResultStream({
+    runState,
+    enqueueEmailLookup: async () => {},
+    statusMessages: false,
+    ...options,
+});
+
+describe('createResultStream', () => {
+    beforeEach(() => {
+        pushed = [];
+        store = {};
+    });
+
+    it('saves a business found by two queries once, with both labels', async () => {
+        const runState = createRunState(['dentists in Austin', 'orthodontists in Austin']);
+        const stream = createStream(runState);
+
+        // Found by the first query and extracted before the second query ran
+        const business = { businessName: 'Bright Smile Dental', searchQueries: ['dentists in Austin'] };
+        runState.seenBusinesses.smile = business;
+        await stream.add('smile', business);
+        runState.completedQueries.push('dentists in Austin');
+        await stream.queryDone();
+        assert.equal(pushed.length, 0);
+
+        // The second query finds it again
+        business.searchQueries.push('orthodontists in Austin');
+        runState.completedQueries.push('orthodontists in Austin');
+        await stream.queryDone();
+
+        assert.deepEqual(pushed, [{
+            businessName: 'Bright Smile Dental',
+            searchQueries: ['dentists in Austin', 'orthodontists in Austin'],
+        }]);
+        assert.deepEqual(runState.pushedKeys, ['smile']);
+
+        // Businesses extracted after the last search are saved right away
+        await stream.add('lakeside', { businessName: 'Lakeside Family Dentistry', searchQueries: ['dentists in Austin'] });
+        assert.equal(pushed.length, 2);
+    });
+
+    it('saves right away in single-query runs', async () => {
+        const stream = createStream(createRunState(['dentists in Austin']));
+
+        await stream.add('smile', { businessName: 'Bright Smile Dental', searchQueries: ['dentists in Austin'] });
+
+        assert.equal(pushed.length, 1);
+    });
+
+    it('treats a failed search as finished', async () => {
+        const runState = createRunState(['dentists in Austin', 'orthodontists in Austin']);
+        const stream = createStream(runState);
+
+        await stream.add('smile', { businessName: 'Bright Smile Dental', searchQueries: ['dentists in Austin'] });
+        runState.completedQueries.push('dentists in Austin');
+        runState.failedRequests.push({ label: 'SEARCH', query: 'orthodontists in Austin' });
+        await stream.queryDone();
+
+        assert.equal(pushed.length, 1);
+    });
+
+    it('saves held businesses on flush', async () => {
+        const stream = createStream(createRunState(['dentists in Austin', 'orthodontists in Austin']));
+
+        await stream.add('smile', { businessName: 'Bright Smile Dental', searchQueries: ['dentists in Austin'] });
+        await stream.flush();
+        await stream.flush();
+
+        assert.equal(pushed.length, 1);
+    });
+
+    it('saves the oldest held business once too many are held', async () => {
+        const stream = createStream(createRunState(['dentists in Austin', 'orthodontists in Austin']), { maxHeld: 2 });
+
+        await stream.add('smile', { businessName: 'Bright Smile Dental', searchQueries: ['dentists in Austin'] });
+        await stream.add('lakeside', { businessName: 'Lakeside Family Dentistry', searchQueries: ['dentists in Austin'] });
+        assert.equal(pushed.length, 0);
+
+        await stream.add('studio', { businessName: 'New Patient Dental Studio', searchQueries: ['dentists in Austin'] });
+        assert.deepEqual(pushed.map(business => business.businessName), ['Bright Smile Dental']);
+    });
+
+    it('never holds businesses of a direct place run', async () => {
+        // Direct place runs label their run state with place keys
+        const stream = createResultStream({
+            runState: createRunState(['cid:1', 'cid:2']),
+            enqueueEmailLookup: async () => {},
+            placesTotal: 2,
+            statusMessages: false,
+        });
+
+        await stream.add('cid:1', { businessName: 'Bright Smile Dental', searchQueries: [] });
+
+        assert.equal(pushed.length, 1);
+    });
+
+    it('does not push a business again after a crash between its push and the next checkpoint', async () => {
+        const labels = ['dentists in Austin'];
+        const runState = await loadRunState(labels);
+        const checkpoint = startCheckpointing(runState);
+        const stream = createStream(runState, { savePushedKeys: checkpoint.savePushedKeys });
+
+        const business = { businessName: 'Bright Smile Dental', searchQueries: ['dentists in Austin'] };
+        runState.seenBusinesses.smile = business;
+        await stream.add('smile', business);
+        // Crash: the run state is never checkpointed
+        checkpoint.stop();
+        assert.equal(store.RUN_STATE, undefined);
+
+        const resumedState = await loadRunState(labels);
+        const resumedStream = createStream(resumedState);
+        await resumedStream.add('smile', business);
+
+        assert.deepEqual(resumedState.pushedKeys, ['smile']);
+        assert.equal(pushed.length, 1);
+    });
+});
@@ -0,0 +1,163 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { Actor } from 'apify';
+import {
+    createRunState,
+    loadRunState,
+    startCheckpointing,
+    RUN_STATE_KEY,
+    PUSHED_KEYS_KEY,
+} from '../src/utils/runState.js';
+
+// The code under test logs progress; keep test output readable
+mock.method(console, 'log', () => {});
+
+// Key-value store of the run, copied on write
+let store = {};
+mock.method(Actor, 'getValue', async key => store[key] ?? null);
+const setValue = mock.method(Actor, 'setValue', async (key, value) => {
+    store[key] = structuredClone(value);
+});
+
+// Platform event handlers registered by the code under test
+const handlers = new Map();
+mock.method(Actor, 'on', (event, handler) => {
+    handlers.set(event, [...(handlers.get(event) || []), handler]);
+});
+mock.method(Actor, 'off', (event, handler) => {
+    handlers.set(event, (handlers.get(event) || []).filter(registered => registered !== handler));
+});
+const emit = event => Promise.all((handlers.get(event) || []).map(handler => handler()));
+
+// Lets pending saves finish
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+const LABELS = ['dentists in Austin', 'orthodontists in Austin'];
+
+describe('loadRunState', () => {
+    beforeEach(() => {
+        store = {};
+    });
+
+    it('starts fresh without saved state', async () => {
+        assert.deepEqual(await loadRunState(LABELS), createRunState(LABELS));
+    });
+
+    it('resumes saved state for the same queries', async () => {
+        store[RUN_STATE_KEY] = {
+            ...createRunState(LABELS),
+            completedQueries: ['dentists in Austin'],
+            seenBusinesses: { smile: { businessName: 'Bright Smile Dental' } },
+            pushedKeys: ['smile'],
+        };
+
+        const state = await loadRunState(LABELS);
+
+        assert.deepEqual(state.completedQueries, ['dentists in Austin']);
+        assert.deepEqual(Object.keys(state.seenBusinesses), ['smile']);
+        assert.deepEqual(state.pushedKeys, ['smile']);
+        // Fields added since the state was saved get their defaults
+        assert.deepEqual(state.blockEvents, []);
+    });
+
+    it('starts fresh when the queries changed', async () => {
+        store[RUN_STATE_KEY] = { ...createRunState(['dentists in Austin']), completedQueries: ['dentists in Austin'] };
+        store[PUSHED_KEYS_KEY] = { queryLabels: ['dentists in Austin'], keys: ['smile'] };
+
+        const state = await loadRunState(LABELS);
+
+        assert.deepEqual(state, createRunState(LABELS));
+    });
+
+    it('adds businesses pushed after the last checkpoint', async () => {
+        store[RUN_STATE_KEY] = { ...createRunState(LABELS), pushedKeys: ['smile'] };
+        store[PUSHED_KEYS_KEY] = { queryLabels: LABELS, keys: ['smile', 'lakeside'] };
+
+        const state = await loadRunState(LABELS);
+
+        assert.deepEqual(state.pushedKeys, ['smile', 'lakeside']);
+    });
+});
+
+describe('startCheckpointing', () => {
+    let checkpoint;
+
+    beforeEach(() => {
+        store = {};
+        handlers.clear();
+        setValue.mock.resetCalls();
+        mock.timers.enable({ apis: ['setInterval'] });
+    });
+
+    afterEach(() => {
+        checkpoint?.stop();
+        mock.timers.reset();
+    });
+
+    it('saves the run state every 30 seconds', async () => {
+        const state = createRunState(LABELS);
+        checkpoint = startCheckpointing(state);
+
+        mock.timers.tick(29999);
+        await settle();
+        assert.equal(setValue.mock.callCount(), 0);
+
+        state.completedQueries.push('dentists in Austin');
+        mock.timers.tick(1);
+        await settle();
+        assert.deepEqual(store[RUN_STATE_KEY].completedQueries, ['dentists in Austin']);
+
+        mock.timers.tick(30000);
+        await settle();
+        assert.equal(setValue.mock.callCount(), 2);
+    });
+
+    it('saves the run state on platform events', async () => {
+        const state = createRunState(LABELS);
+        checkpoint = startCheckpointing(state);
+
+        for (const event of ['persistState', 'migrating', 'aborting']) {
+            state.completedQueries.push(event);
+            await emit(event);
+            assert.deepEqual(store[RUN_STATE_KEY].completedQueries, state.completedQueries, event);
+        }
+    });
+
+    it('stops saving once stopped', async () => {
+        checkpoint = startCheckpointing(createRunState(LABELS));
+        checkpoint.stop();
+
+        mock.timers.tick(60000);
+        await emit('persistState');
+        await emit('migrating');
+        await settle();
+
+        assert.equal(setValue.mock.callCount(), 0);
+        assert.ok([...handlers.values()].every(registered => registered.length === 0));
+    });
+
+    it('saves pushed keys in order with the queries they belong to', async () => {
+        const state = createRunState(LABELS);
+        checkpoint = startCheckpointing(state);
+
+        state.pushedKeys.push('smile');
+        const first = checkpoint.savePushedKeys();
+        state.pushedKeys.push('lakeside');
+        await Promise.all([first, checkpoint.savePushedKeys()]);
+
+        assert.deepEqual(store[PUSHED_KEYS_KEY], { queryLabels: LABELS, keys: ['smile', 'lakeside'] });
+    });
+
+    it('keeps running when a save fails', async () => {
+        const consoleError = mock.method(console, 'error', () => {});
+        setValue.mock.mockImplementationOnce(async () => {
+            throw new Error('Storage unavailable');
+        });
+        checkpoint = startCheckpointing(createRunState(LABELS));
+
+        await checkpoint.persist();
+
+        assert.match(consoleError.mock.calls[0].arguments[0], /Failed to save run state: Storage unavailable/);
+        consoleError.mock.restore();
+    });
+});
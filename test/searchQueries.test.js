@@ -0,0 +1,74 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildSearchQueries } from '../src/utils/searchQueries.js';
+
+const labels = queries => queries.map(query => query.label);
+
+describe('buildSearchQueries', () => {
+    it('searches every keyword in every location', () => {
+        const queries = buildSearchQueries({
+            keywords: ['dentists', 'orthodontists'],
+            locations: ['Austin, TX', 'Round Rock, TX'],
+            maxResults: 50,
+        });
+
+        assert.deepEqual(labels(queries), [
+            'dentists in Austin, TX',
+            'dentists in Round Rock, TX',
+            'orthodontists in Austin, TX',
+            'orthodontists in Round Rock, TX',
+        ]);
+        assert.ok(queries.every(query => query.maxResults === 50));
+        assert.equal(queries[0].searchUrl, 'https://www.google.com/maps/search/dentists%20Austin%2C%20TX');
+    });
+
+    it('drops duplicate searches regardless of case', () => {
+        const queries = buildSearchQueries({
+            keyword: 'dentists',
+            keywords: ['dentists', ' Dentists '],
+            location: 'Austin, TX',
+            queries: [{ keyword: 'DENTISTS', location: 'austin, tx', maxResults: 10 }],
+        });
+
+        assert.deepEqual(labels(queries), ['dentists in Austin, TX']);
+        assert.equal(queries[0].maxResults, 100);
+    });
+
+    it('adds explicit queries after the keyword searches', () => {
+        const queries = buildSearchQueries({
+            keyword: 'dentists',
+            location: 'Austin, TX',
+            queries: [
+                { keyword: 'orthodontists', location: 'Round Rock, TX', maxResults: 20 },
+                { keyword: 'pediatric dentists' },
+            ],
+            maxResults: 50,
+        });
+
+        assert.deepEqual(labels(queries), ['dentists in Austin, TX', 'orthodontists in Round Rock, TX', 'pediatric dentists']);
+        assert.deepEqual(queries.map(query => query.maxResults), [50, 20, 50]);
+        assert.equal(queries[2].location, null);
+    });
+
+    it('returns no searches for keywords without a location', () => {
+        assert.deepEqual(buildSearchQueries({ keywords: ['dentists', 'orthodontists'] }), []);
+    });
+
+    it('keeps per-query maxResults within 1-500', () => {
+        const queries = buildSearchQueries({
+            queries: [
+                { keyword: 'dentists', maxResults: 0 },
+                { keyword: 'orthodontists', maxResults: 2000 },
+                { keyword: 'endodontists', maxResults: 12.7 },
+            ],
+        });
+
+        assert.deepEqual(queries.map(query => query.maxResults), [1, 500, 12]);
+    });
+
+    it('rejects queries without a keyword or with a non-numeric maxResults', () => {
+        assert.throws(() => buildSearchQueries({ queries: [{ location: 'Austin, TX' }] }), /"keyword" is required/);
+        assert.throws(() => buildSearchQueries({ queries: [{ keyword: 'dentists', maxResults: '50' }] }), /"maxResults" must be a number/);
+        assert.throws(() => buildSearchQueries({ queries: [{ keyword: 'dentists', maxResults: NaN }] }), /"maxResults" must be a number/);
+    });
+});
@@ -0,0 +1,57 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeSocialUrl, collectSocialProfiles, emptySocialProfiles } from '../src/utils/socialProfiles.js';
+
+describe('normalizeSocialUrl', () => {
+    it('rewrites profile links to canonical URLs', () => {
+        const cases = [
+            ['https://m.facebook.com/AcmeCoffee/?ref=page_internal', 'facebook', 'https://www.facebook.com/AcmeCoffee'],
+            ['https://www.facebook.com/profile.php?id=100063512345678&sk=about', 'facebook', 'https://www.facebook.com/profile.php?id=100063512345678'],
+            ['http://instagram.com/acme.coffee', 'instagram', 'https://www.instagram.com/acme.coffee'],
+            ['https://www.linkedin.com/company/acme-coffee/about/', 'linkedin', 'https://www.linkedin.com/company/acme-coffee'],
+            ['https://mobile.twitter.com/AcmeCoffee', 'twitter', 'https://x.com/AcmeCoffee'],
+            ['https://x.com/AcmeCoffee?lang=en', 'twitter', 'https://x.com/AcmeCoffee'],
+            ['https://www.tiktok.com/@acmecoffee?lang=en', 'tiktok', 'https://www.tiktok.com/@acmecoffee'],
+            ['https://youtube.com/@AcmeCoffee/videos', 'youtube', 'https://www.youtube.com/@AcmeCoffee'],
+            ['https://www.youtube.com/channel/UC1234567890abcdef', 'youtube', 'https://www.youtube.com/channel/UC1234567890abcdef'],
+            ['https://m.yelp.com/biz/acme-coffee-brooklyn?osq=coffee', 'yelp', 'https://www.yelp.com/biz/acme-coffee-brooklyn'],
+            ['https://wa.me/17185551234?text=Hi', 'whatsapp', 'https://wa.me/17185551234'],
+        ];
+
+        for (const [url, network, canonical] of cases) {
+            assert.deepEqual(normalizeSocialUrl(url), { network, url: canonical }, url);
+        }
+    });
+
+    it('ignores share buttons, posts and personal pages', () => {
+        for (const url of [
+            'https://www.facebook.com/sharer/sharer.php?u=https://acme.example',
+            'https://www.instagram.com/p/C1a2b3c4d5e/',
+            'https://www.linkedin.com/in/jane-doe',
+            'https://twitter.com/intent/tweet?text=hi',
+            'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+            'https://www.yelp.com/search?find_desc=coffee',
+            'https://facebook.com/',
+            'https://acme.example/facebook',
+            'not a url',
+        ]) {
+            assert.equal(normalizeSocialUrl(url), null, url);
+        }
+    });
+});
+
+describe('collectSocialProfiles', () => {
+    it('keeps the first profile per network', () => {
+        const profiles = collectSocialProfiles([
+            'https://www.facebook.com/AcmeCoffee',
+            'https://www.facebook.com/AcmeCoffeeOld',
+            'https://www.instagram.com/acme.coffee/',
+        ]);
+
+        assert.deepEqual(profiles, {
+            ...emptySocialProfiles(),
+            facebook: 'https://www.facebook.com/AcmeCoffee',
+            instagram: 'https://www.instagram.com/acme.coffee',
+        });
+    });
+});
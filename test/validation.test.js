@@ -0,0 +1,329 @@
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'fs/promises';
+import {
+    cleanPhone,
+    validateEmail,
+    parseRating,
+    parseReviewCount,
+    parseRelativeDate,
+    parseCoordinates,
+    parsePlaceIds,
+    getBusinessKey,
+    validateBusinessHours,
+    validateAttributes,
+    isValidBusinessName,
+    validateBusinessData,
+    validateListingData,
+    meetsFilterCriteria,
+    extractEmailsFromHTML,
+    extractEmailDetailsFromHTML,
+    buildEmailDetails,
+    prioritizeEmails,
+} from '../src/utils/validation.js';
+import { getLocale } from '../src/utils/locale.js';
+
+// The code under test logs progress; keep test output readable
+mock.method(console, 'log', () => {});
+
+const PLACE_URL = 'https://www.google.com/maps/place/Bright+Smile+Dental/data=!4m7!3m6!1s0x8644b5a1b2c3d4e5:0x33df10e49762f8e4!8m2!3d30.2672!4d-97.7431!16s%2Fg%2F11abc!19sChIJhRwB-yFawokR5Phil-QQ3zM';
+
+describe('parseRating / parseReviewCount', () => {
+    it('reads ratings from aria-label text', () => {
+        assert.equal(parseRating('4.8'), 4.8);
+        assert.equal(parseRating('4 stars'), 4);
+        assert.equal(parseRating('7.5'), null);
+        assert.equal(parseRating(null), null);
+    });
+
+    it('reads decimal comma ratings', () => {
+        assert.equal(parseRating('4,6 Sterne'), 4.6);
+    });
+
+    it('reads review counts with thousands separators', () => {
+        assert.equal(parseReviewCount('1,234'), 1234);
+        assert.equal(parseReviewCount('87 reviews'), 87);
+        assert.equal(parseReviewCount(null), 0);
+    });
+
+    it('reads dot and space thousands separators', () => {
+        assert.equal(parseReviewCount('1.234 Rezensionen'), 1234);
+        assert.equal(parseReviewCount('12\u202f345 avis'), 12345);
+        assert.equal(parseReviewCount('(87)'), 87);
+    });
+});
+
+describe('parseRelativeDate', () => {
+    const now = new Date('2025-06-15T12:00:00Z');
+
+    it('converts relative dates', () => {
+        assert.equal(parseRelativeDate('2 months ago', now), '2025-04-15');
+        assert.equal(parseRelativeDate('a week ago', now), '2025-06-08');
+        assert.equal(parseRelativeDate('Edited 3 days ago', now), '2025-06-12');
+    });
+
+    it('converts relative dates in the interface language', () => {
+        assert.equal(parseRelativeDate('vor 2 Monaten', now, getLocale('de')), '2025-04-15');
+        assert.equal(parseRelativeDate('il y a une semaine', now, getLocale('fr')), '2025-06-08');
+        assert.equal(parseRelativeDate('vor 2 Monaten', now), null);
+    });
+
+    it('passes absolute dates through and rejects unknown text', () => {
+        assert.equal(parseRelativeDate('March 3, 2024', now), '2024-03-03');
+        assert.equal(parseRelativeDate('yesterday-ish', now), null);
+    });
+});
+
+describe('parseCoordinates', () => {
+    it('reads the @lat,lng and !3d!4d formats', () => {
+        assert.deepEqual(parseCoordinates('https://www.google.com/maps/place/X/@30.2672,-97.7431,17z'), { latitude: 30.2672, longitude: -97.7431 });
+        assert.deepEqual(parseCoordinates(PLACE_URL), { latitude: 30.2672, longitude: -97.7431 });
+    });
+
+    it('returns nulls when the URL has no coordinates', () => {
+        assert.deepEqual(parseCoordinates('https://www.google.com/maps/search/dentists'), { latitude: null, longitude: null });
+    });
+});
+
+describe('parsePlaceIds / getBusinessKey', () => {
+    it('reads feature ID, CID and place ID from a place URL', () => {
+        assert.deepEqual(parsePlaceIds(PLACE_URL), {
+            placeId: 'ChIJhRwB-yFawokR5Phil-QQ3zM',
+            cid: '3737724789719234788',
+            featureId: '0x8644b5a1b2c3d4e5:0x33df10e49762f8e4',
+        });
+    });
+
+    it('reads ?cid= URLs', () => {
+        assert.equal(parsePlaceIds('https://maps.google.com/?cid=3737160455397193956').cid, '3737160455397193956');
+    });
+
+    it('prefers CID, then place ID, then the URL path', () => {
+        assert.equal(getBusinessKey(PLACE_URL), 'cid:3737724789719234788');
+        assert.equal(getBusinessKey('https://www.google.com/maps/place/?q=place_id:ChIJhRwB-yFawokR5Phil-QQ3zM'), 'place:ChIJhRwB-yFawokR5Phil-QQ3zM');
+        assert.equal(getBusinessKey('/maps/place/Some+Place/@30.1,-97.1,17z?hl=en'), 'url:/place/Some+Place/@30.1,-97.1,17z');
+    });
+});
+
+describe('cleanPhone', () => {
+    it('adds +1 to 10-digit numbers and keeps international numbers', () => {
+        assert.equal(cleanPhone('(512) 555-0123'), '+15125550123');
+        assert.equal(cleanPhone('+44 20 7946 0958'), '+442079460958');
+        assert.equal(cleanPhone(null), null);
+    });
+});
+
+describe('validateBusinessHours', () => {
+    it('keeps valid days only', () => {
+        assert.deepEqual(
+            validateBusinessHours({ Monday: ' 8 AM to 5 PM ', Funday: 'All day', Sunday: '' }),
+            { Monday: '8 AM to 5 PM' }
+        );
+        assert.equal(validateBusinessHours({}), null);
+    });
+
+    it('translates localized days and closed text to English', () => {
+        assert.deepEqual(
+            validateBusinessHours({ Montag: '06:30–18:00', Sonntag: 'Geschlossen' }),
+            { Monday: '06:30–18:00', Sunday: 'Closed' }
+        );
+    });
+});
+
+describe('validateAttributes', () => {
+    it('keeps boolean attributes and drops empty sections', () => {
+        assert.deepEqual(
+            validateAttributes({
+                Accessibility: { 'Wheelchair-accessible entrance': true, 'Wheelchair-accessible restroom': false },
+                Crowd: { 'LGBTQ+ friendly': 'yes' },
+                Planning: null,
+            }),
+            { Accessibility: { 'Wheelchair-accessible entrance': true, 'Wheelchair-accessible restroom': false } }
+        );
+        assert.equal(validateAttributes({}), null);
+        assert.equal(validateAttributes(null), null);
+    });
+});
+
+describe('isValidBusinessName', () => {
+    it('rejects localized "Results" placeholders', () => {
+        for (const name of ['Results', 'Resultados', 'Résultats', 'Ergebnisse', 'Результаты']) {
+            assert.equal(isValidBusinessName(name), false, name);
+        }
+        assert.equal(isValidBusinessName('Bright Smile Dental'), true);
+    });
+});
+
+describe('emails', () => {
+    it('filters blacklisted domains and patterns', () => {
+        assert.equal(validateEmail('Info@BrightSmile.example'), 'info@brightsmile.example');
+        assert.equal(validateEmail('noreply@brightsmile.example'), null);
+        assert.equal(validateEmail('user@example.com'), null);
+        assert.equal(validateEmail('not-an-email'), null);
+    });
+
+    it('extracts unique valid emails from a saved website', async () => {
+        const html = await readFile(new URL('./fixtures/websites/brightsmile/index.html', import.meta.url), 'utf-8');
+        assert.deepEqual(extractEmailsFromHTML(html), ['info@brightsmile.example']);
+    });
+
+    it('extracts obfuscated emails with the technique that decoded them', () => {
+        const html = '<a href="/cdn-cgi/l/email-protection#1f6b7a7e725f7d6d7678776b6c7276737a317a677e726f737a">[email protected]</a>'
+            + '<p>noreply [at] brightsmile [dot] example, Info@BrightSmile.example</p>';
+        assert.deepEqual(extractEmailDetailsFromHTML(html), [
+            { email: 'info@brightsmile.example', technique: 'plain' },
+            { email: 'team@brightsmile.example', technique: 'cloudflare' },
+        ]);
+    });
+
+    it('prioritizes common business prefixes', () => {
+        assert.equal(prioritizeEmails(['dr.lee@brightsmile.example', 'info@brightsmile.example']), 'info@brightsmile.example');
+        assert.equal(prioritizeEmails([]), null);
+    });
+
+    it('keeps free-mail addresses that share a suffix with blacklisted domains', () => {
+        assert.equal(validateEmail('brightsmile.atx@gmail.com'), 'brightsmile.atx@gmail.com');
+        assert.equal(validateEmail('info@mail.com'), null);
+        assert.equal(validateEmail('abc123@o12345.ingest.sentry.io'), null);
+    });
+
+    it('picks the primary email by the configured ranking', () => {
+        const emails = ['brightsmile.atx@gmail.com', 'dr.lee@brightsmile.example', 'sales@brightsmile.example', 'info@brightsmile.example'];
+        const details = buildEmailDetails(emails, [], 'https://www.brightsmile.example/');
+
+        assert.equal(prioritizeEmails(emails, { details }), 'info@brightsmile.example');
+        assert.equal(prioritizeEmails(emails, { details, ranking: ['personal'] }), 'brightsmile.atx@gmail.com');
+        assert.equal(prioritizeEmails(emails, { details, ranking: ['not-free-mail', 'personal'] }), 'dr.lee@brightsmile.example');
+
+        // A verified address beats a catch-all one
+        details.find(detail => detail.email === 'sales@brightsmile.example').status = 'valid';
+        details.find(detail => detail.email === 'info@brightsmile.example').status = 'catch-all';
+        assert.equal(prioritizeEmails(emails, { details }), 'sales@brightsmile.example');
+    });
+});
+
+describe('validateBusinessData / meetsFilterCriteria', () => {
+    const raw = {
+        businessName: '  Bright Smile   Dental ',
+        address: '123 Congress Ave Suite 200, Austin, TX 78701',
+        phone: '(512) 555-0123',
+        website: 'http://brightsmile.example/',
+        rating: '4.8',
+        reviewCount: '1,234',
+        category: 'Dentist',
+        googleMapsUrl: PLACE_URL,
+        emails: ['info@brightsmile.example', 'noreply@brightsmile.example'],
+        emailSource: 'website',
+        searchQueries: ['dentists in Austin, TX'],
+        businessHours: { Monday: '8 AM to 5 PM', Sunday: 'Closed' },
+    };
+
+    it('cleans a raw record into the output shape', () => {
+        const business = validateBusinessData(raw);
+        assert.equal(business.businessName, 'Bright Smile Dental');
+        assert.equal(business.city, 'Austin');
+        assert.equal(business.countryCode, 'US');
+        assert.equal(business.addressConfidence, 'high');
+        assert.equal(business.phone, '+15125550123');
+        assert.equal(business.phoneNational, '(512) 555-0123');
+        assert.equal(business.phoneDisplay, '(512) 555-0123');
+        assert.equal(business.rating, 4.8);
+        assert.equal(business.reviewCount, 1234);
+        assert.equal(business.cid, '3737724789719234788');
+        assert.equal(business.latitude, 30.2672);
+        assert.deepEqual(business.emails, ['info@brightsmile.example']);
+        assert.equal(business.primaryEmail, 'info@brightsmile.example');
+        assert.deepEqual(business.emailDetails, [{
+            email: 'info@brightsmile.example',
+            technique: 'plain',
+            sourceUrl: null,
+            type: 'role',
+            freeMail: false,
+            domainMatch: true,
+            status: null,
+            reason: null,
+        }]);
+        assert.deepEqual(business.searchQueries, ['dentists in Austin, TX']);
+        assert.equal(business.reviews, null);
+        assert.deepEqual(business.structuredHours, { Sunday: [], Monday: [{ open: '08:00', close: '17:00' }] });
+        assert.equal(business.secondaryHours, null);
+        assert.equal(business.businessStatus, 'OPERATIONAL');
+    });
+
+    it('normalizes phones for the address country', () => {
+        const business = validateBusinessData({
+            ...raw,
+            address: 'Hauptstraße 5, 10827 Berlin, Deutschland',
+            phone: '030 12345678',
+            googleMapsUrl: null,
+        });
+        assert.equal(business.countryCode, 'DE');
+        assert.equal(business.phone, '+493012345678');
+        assert.equal(business.phoneNational, '030 12345678');
+        assert.equal(business.phoneType, 'landline');
+    });
+
+    it('drops records with placeholder names', () => {
+        assert.equal(validateBusinessData({ ...raw, businessName: 'Results' }), null);
+    });
+
+    it('applies rating, review and price filters', () => {
+        const business = { rating: 4.3, reviewCount: 512, priceLevel: '$$', priceRange: '$10–20' };
+        assert.equal(meetsFilterCriteria(business, { minRating: 4.5 }), false);
+        assert.equal(meetsFilterCriteria(business, { minReviews: 1000 }), false);
+        assert.equal(meetsFilterCriteria(business, { filterByPriceLevel: ['$'] }), false);
+        assert.equal(meetsFilterCriteria(business, { maxPrice: 5 }), false);
+        assert.equal(meetsFilterCriteria(business, { minRating: 4, minReviews: 100, filterByPriceLevel: ['$$'] }), true);
+        // Missing price data never filters a business out
+        assert.equal(meetsFilterCriteria({ rating: 4.3, reviewCount: 512 }, { filterByPriceLevel: ['$'] }), true);
+    });
+
+    it('excludes closed places or keeps only them', () => {
+        const open = { businessStatus: 'OPERATIONAL' };
+        const closed = { businessStatus: 'CLOSED_TEMPORARILY' };
+        const opensSoon = { businessStatus: 'FUTURE_OPENING' };
+        assert.equal(meetsFilterCriteria(closed, {}), true);
+        assert.equal(meetsFilterCriteria(closed, { closedPlaces: 'exclude' }), false);
+        assert.equal(meetsFilterCriteria(opensSoon, { closedPlaces: 'exclude' }), true);
+        assert.equal(meetsFilterCriteria(open, { closedPlaces: 'only' }), false);
+        assert.equal(meetsFilterCriteria(closed, { closedPlaces: 'only' }), true);
+        // Feed cards have no status yet; they are checked again on the place page
+        assert.equal(meetsFilterCriteria({ rating: 4.3 }, { closedPlaces: 'only' }), true);
+    });
+});
+
+describe('validateListingData', () => {
+    const card = {
+        url: `${PLACE_URL}?authuser=0&hl=en`,
+        name: 'Bright Smile Dental',
+        rating: '4.8',
+        reviewCount: '1,234',
+        category: 'Dentist',
+        priceLevel: null,
+        address: '123 Congress Ave',
+        openStatus: 'Open · Closes 5 PM',
+        businessStatus: null,
+        phone: '(512) 555-0123',
+        website: 'http://brightsmile.example/',
+    };
+
+    it('cleans a feed card into the business output shape', () => {
+        const listing = validateListingData(card, { location: 'Austin, TX' });
+        assert.equal(listing.businessName, 'Bright Smile Dental');
+        assert.equal(listing.address, '123 Congress Ave');
+        assert.equal(listing.rating, 4.8);
+        assert.equal(listing.reviewCount, 1234);
+        assert.equal(listing.cid, '3737724789719234788');
+        assert.equal(listing.phone, '+15125550123');
+        assert.equal(listing.countryCode, 'US');
+        assert.equal(listing.businessStatus, 'OPERATIONAL');
+        assert.deepEqual(listing.emails, []);
+    });
+
+    it('filters cards like full records', () => {
+        const closed = validateListingData({ ...card, businessStatus: 'CLOSED_TEMPORARILY', reviewCount: null });
+        assert.equal(closed.reviewCount, 0);
+        assert.equal(meetsFilterCriteria(closed, { closedPlaces: 'exclude' }), false);
+        assert.equal(validateListingData({ ...card, name: 'Results' }), null);
+    });
+});
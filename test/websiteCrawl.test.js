@@ -0,0 +1,91 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    getRegistrableDomain,
+    normalizePageUrl,
+    scorePage,
+    rankCandidatePages,
+    parseSitemap,
+} from '../src/utils/websiteCrawl.js';
+
+describe('getRegistrableDomain', () => {
+    it('strips subdomains using the public suffix list', () => {
+        assert.equal(getRegistrableDomain('https://www.acme.com/contact'), 'acme.com');
+        assert.equal(getRegistrableDomain('https://shop.acme.co.uk/'), 'acme.co.uk');
+        assert.equal(getRegistrableDomain('http://127.0.0.1:8080/'), '127.0.0.1');
+        assert.equal(getRegistrableDomain('not a url'), null);
+    });
+});
+
+describe('scorePage / rankCandidatePages', () => {
+    const siteDomains = ['acme.de'];
+
+    it('scores contact and legal pages above about and team pages', () => {
+        assert.ok(scorePage({ url: 'https://acme.de/kontakt' }) > scorePage({ url: 'https://acme.de/impressum' }));
+        assert.ok(scorePage({ url: 'https://acme.de/impressum' }) > scorePage({ url: 'https://acme.de/ueber-uns' }));
+        // Spanish and French legal notices are the local impressum
+        assert.equal(scorePage({ url: 'https://acme.es/aviso-legal' }), scorePage({ url: 'https://acme.de/impressum' }));
+        assert.equal(scorePage({ url: 'https://acme.fr/', text: 'Mentions légales' }), scorePage({ url: 'https://acme.de/impressum' }));
+        assert.ok(scorePage({ url: 'https://acme.de/ueber-uns' }) > scorePage({ url: 'https://acme.de/team' }));
+        // Link text counts as much as the path
+        assert.equal(scorePage({ url: 'https://acme.de/seite-7', text: 'kontakt' }), scorePage({ url: 'https://acme.de/kontakt' }));
+        assert.equal(scorePage({ url: 'https://acme.de/produkte' }), 0);
+        assert.equal(scorePage({ url: 'https://acme.de/produkte', inFooter: true }), 10);
+    });
+
+    it('ranks same-site pages, best first', () => {
+        const ranked = rankCandidatePages([
+            { url: 'https://acme.de/produkte' },
+            { url: 'https://acme.de/team' },
+            { url: 'https://shop.acme.de/kontakt#form' },
+            { url: 'https://acme.de/impressum' },
+            { url: 'https://partner.example/kontakt' },
+            { url: 'mailto:info@acme.de', text: 'kontakt' },
+            { url: 'https://acme.de/downloads/kontakt-formular.pdf' },
+            { url: 'https://acme.de/ueber-uns' },
+        ], { siteDomains, exclude: ['https://acme.de/ueber-uns/'] });
+
+        assert.deepEqual(ranked, [
+            'https://shop.acme.de/kontakt',
+            'https://acme.de/impressum',
+            'https://acme.de/team',
+        ]);
+    });
+
+    it('keeps the best score of a page linked several times', () => {
+        const ranked = rankCandidatePages([
+            { url: 'https://acme.de/seite-7', text: 'mehr' },
+            { url: 'https://acme.de/team' },
+            { url: 'https://acme.de/seite-7/', text: 'kontakt' },
+        ], { siteDomains });
+
+        assert.deepEqual(ranked, ['https://acme.de/seite-7/', 'https://acme.de/team']);
+    });
+
+    it('normalizes URLs for de-duplication', () => {
+        assert.equal(normalizePageUrl('https://acme.de/kontakt/#form'), 'https://acme.de/kontakt');
+        assert.equal(normalizePageUrl('nope'), null);
+    });
+});
+
+describe('parseSitemap', () => {
+    it('reads page URLs from a urlset', () => {
+        const xml = `<?xml version="1.0"?>
+            <urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+              <url><loc>https://acme.de/</loc><lastmod>2025-01-01</lastmod></url>
+              <url><loc> https://acme.de/kontakt?a=1&amp;b=2 </loc></url>
+              <url><loc><![CDATA[https://acme.de/impressum]]></loc></url>
+            </urlset>`;
+        assert.deepEqual(parseSitemap(xml), {
+            pages: ['https://acme.de/', 'https://acme.de/kontakt?a=1&b=2', 'https://acme.de/impressum'],
+            sitemaps: [],
+        });
+    });
+
+    it('reads child sitemaps from a sitemap index', () => {
+        const xml = '<sitemapindex><sitemap><loc>https://acme.de/page-sitemap.xml</loc></sitemap></sitemapindex>';
+        assert.deepEqual(parseSitemap(xml), { pages: [], sitemaps: ['https://acme.de/page-sitemap.xml'] });
+        assert.deepEqual(parseSitemap('<html><body>Not found</body></html>'), { pages: [], sitemaps: [] });
+        assert.deepEqual(parseSitemap(null), { pages: [], sitemaps: [] });
+    });
+});